@@ -0,0 +1,175 @@
+/**
+ * 价格提醒规则
+ * 每次抓取后比较新旧数据，按配置文件中的规则生成提醒
+ *
+ * 规则类型:
+ * - below / above: 某地区某套餐的价格跌破 / 超过阈值 (从未满足变为满足时提醒一次)
+ *   { "type": "below", "region": "TR", "plan": "2TB", "price": 40, "currency": "CNY", "basis": "incl" }
+ * - local-change: 所列地区的本地货币价格发生任何变化
+ *   { "type": "local-change", "regions": ["CN", "HK", "US"], "plans": ["2TB"] }
+ */
+
+const fs = require('fs');
+const query = require('./query');
+const tiers = require('./tiers');
+const history = require('./history');
+
+const RULE_TYPES = ['below', 'above', 'local-change'];
+
+/**
+ * 读取提醒配置，文件不存在时返回 null
+ * 格式: { "rules": [...], "notifiers": [...] }
+ */
+function loadAlertConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  const errors = validateAlertConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`提醒配置无效 (${configPath}): ${errors.join('; ')}`);
+  }
+  return config;
+}
+
+/**
+ * 检查配置结构，返回错误列表
+ */
+function validateAlertConfig(config) {
+  const errors = [];
+  if (!config || !Array.isArray(config.rules)) {
+    return ['缺少 rules 数组'];
+  }
+  config.rules.forEach((rule, i) => {
+    const label = `rules[${i}]`;
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label}: 未知的规则类型 ${rule.type} (可选: ${RULE_TYPES.join(', ')})`);
+      return;
+    }
+    if (rule.type === 'local-change') {
+      if (!Array.isArray(rule.regions) || rule.regions.length === 0) {
+        errors.push(`${label}: local-change 规则需要 regions 数组`);
+      }
+      (rule.plans || []).filter(plan => !tiers.parseTier(plan)).forEach(plan => {
+        errors.push(`${label}: 无法识别的 plan ${plan}`);
+      });
+      return;
+    }
+    if (!rule.region) errors.push(`${label}: 缺少 region`);
+    if (!tiers.parseTier(rule.plan)) {
+      errors.push(`${label}: 缺少或无法识别的 plan ${rule.plan}`);
+    }
+    if (typeof rule.price !== 'number' || !(rule.price > 0)) errors.push(`${label}: price 必须是正数`);
+    if (rule.currency && !query.CURRENCY_SYMBOLS[rule.currency]) errors.push(`${label}: 不支持的货币 ${rule.currency}`);
+    if (rule.basis && !query.PRICE_BASIS[rule.basis]) errors.push(`${label}: 未知的计价口径 ${rule.basis}`);
+  });
+  if (config.notifiers !== undefined && !Array.isArray(config.notifiers)) {
+    errors.push('notifiers 必须是数组');
+  }
+  return errors;
+}
+
+/**
+ * 规则的显示名称
+ */
+function ruleName(rule, index) {
+  return rule.id || `rule-${index + 1}`;
+}
+
+/**
+ * 读取某地区某套餐在规则货币下的价格，找不到时返回 null
+ */
+function readRulePrice(data, rule) {
+  const region = query.matchRegions(data.regions, String(rule.region).toLowerCase())[0];
+  const planName = tiers.parseTier(rule.plan).id;
+  const plan = region && region.Plans.find(p => p.Name === planName);
+  if (!plan) return null;
+
+  const view = {
+    priceField: rule.basis ? query.PRICE_BASIS[rule.basis] : (data.rankBasis || 'PriceInCNY'),
+    currency: rule.currency || 'CNY',
+    rates: data.exchangeRates && data.exchangeRates.rates
+  };
+  const value = query.getDisplayPrice(plan, view);
+  return value === null ? null : { region, plan, value };
+}
+
+/**
+ * 阈值规则: 本次满足而上次不满足 (或没有上次数据) 时提醒
+ */
+function evaluateThreshold(rule, name, previous, current) {
+  const now = readRulePrice(current, rule);
+  if (!now) return [];
+  const matches = value => (rule.type === 'below' ? value < rule.price : value > rule.price);
+  if (!matches(now.value)) return [];
+
+  const before = previous ? readRulePrice(previous, rule) : null;
+  if (before && matches(before.value)) return [];
+
+  const currency = rule.currency || 'CNY';
+  const word = rule.type === 'below' ? '低于' : '高于';
+  return [{
+    rule: name,
+    type: rule.type,
+    CountryISO: now.region.CountryISO,
+    Country: now.region.Country,
+    Plan: now.plan.Name,
+    Currency: currency,
+    Threshold: rule.price,
+    OldValue: before ? before.value : null,
+    NewValue: now.value,
+    message: `${now.region.Country} ${now.plan.Name} ${word} ${query.formatMoney(rule.price, currency)}: ` +
+      (before ? `${query.formatMoney(before.value, currency)} → ` : '') + query.formatMoney(now.value, currency)
+  }];
+}
+
+/**
+ * 本地价格变化规则
+ */
+function evaluateLocalChange(rule, name, previous, current) {
+  if (!previous) return [];
+  const keys = new Set();
+  rule.regions.forEach(term => {
+    query.matchRegions(current.regions, String(term).toLowerCase()).forEach(region => keys.add(history.regionKey(region)));
+  });
+  const plans = rule.plans ? rule.plans.map(plan => (tiers.parseTier(plan) || {}).id) : null;
+
+  return history.diffLocalPrices(previous, current)
+    .filter(change => keys.has(history.regionKey(change)) && (!plans || plans.includes(change.Plan)))
+    .map(change => ({
+      rule: name,
+      type: rule.type,
+      CountryISO: change.CountryISO,
+      Country: change.Country,
+      Plan: change.Plan,
+      Currency: change.Currency,
+      OldValue: change.OldPrice,
+      NewValue: change.NewPrice,
+      message: `${change.Country} ${change.Plan} 本地价格变化: ` +
+        `${change.OldPrice} ${change.OldCurrency || change.Currency} → ${change.NewPrice} ${change.Currency}`
+    }));
+}
+
+/**
+ * 按规则比较新旧数据，返回提醒列表
+ * previous 为 null 时 (首次抓取) 只评估阈值规则
+ */
+function evaluateRules(rules, previous, current) {
+  const alerts = [];
+  rules.forEach((rule, index) => {
+    const name = ruleName(rule, index);
+    if (rule.type === 'local-change') {
+      alerts.push(...evaluateLocalChange(rule, name, previous, current));
+    } else {
+      alerts.push(...evaluateThreshold(rule, name, previous, current));
+    }
+  });
+  return alerts;
+}
+
+module.exports = {
+  RULE_TYPES,
+  loadAlertConfig,
+  validateAlertConfig,
+  evaluateRules
+};
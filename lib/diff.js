@@ -0,0 +1,124 @@
+/**
+ * 价格数据对比
+ * 区分 Apple 调整本地价格与汇率波动引起的 CNY 价格变化
+ */
+
+const { regionName, regionKey, diffLocalPrices } = require('./history');
+
+// 默认的汇率波动报告阈值 (百分比)
+const DEFAULT_FX_THRESHOLD = 1;
+
+/**
+ * 对比两份价格数据
+ * fxThreshold: 本地价格不变时，CNY 价格变化超过该百分比才计入汇率波动
+ */
+function diffPriceData(oldData, newData, options = {}) {
+  const fxThreshold = options.fxThreshold ?? DEFAULT_FX_THRESHOLD;
+  const oldRegions = new Map(oldData.regions.map(r => [regionKey(r), r]));
+  const newRegions = new Map(newData.regions.map(r => [regionKey(r), r]));
+
+  const summarize = region => ({
+    CountryISO: region.CountryISO,
+    Country: regionName(region),
+    Currency: region.Currency
+  });
+
+  const result = {
+    from: oldData.lastUpdated || null,
+    to: newData.lastUpdated || null,
+    fxThreshold,
+    priceChanges: diffLocalPrices(oldData, newData),
+    addedRegions: [],
+    removedRegions: [],
+    addedPlans: [],
+    removedPlans: [],
+    fxDrift: []
+  };
+
+  newRegions.forEach((region, key) => {
+    if (!oldRegions.has(key)) {
+      result.addedRegions.push(summarize(region));
+    }
+  });
+
+  oldRegions.forEach((previous, key) => {
+    const region = newRegions.get(key);
+    if (!region) {
+      result.removedRegions.push(summarize(previous));
+      return;
+    }
+
+    const oldNames = previous.Plans.map(p => p.Name);
+    const newNames = region.Plans.map(p => p.Name);
+    newNames.filter(name => !oldNames.includes(name)).forEach(name => {
+      result.addedPlans.push({ ...summarize(region), Plan: name });
+    });
+    oldNames.filter(name => !newNames.includes(name)).forEach(name => {
+      result.removedPlans.push({ ...summarize(region), Plan: name });
+    });
+
+    // 本地价格与货币都没变，CNY 价格的变化只来自汇率
+    if (previous.Currency !== region.Currency) return;
+    region.Plans.forEach(plan => {
+      const oldPlan = previous.Plans.find(p => p.Name === plan.Name);
+      if (!oldPlan || oldPlan.Price !== plan.Price || !oldPlan.PriceInCNY) return;
+
+      const changePercent = (plan.PriceInCNY - oldPlan.PriceInCNY) / oldPlan.PriceInCNY * 100;
+      if (Math.abs(changePercent) >= fxThreshold) {
+        result.fxDrift.push({
+          ...summarize(region),
+          Plan: plan.Name,
+          Price: plan.Price,
+          OldPriceInCNY: oldPlan.PriceInCNY,
+          NewPriceInCNY: plan.PriceInCNY,
+          ChangePercent: Math.round(changePercent * 100) / 100
+        });
+      }
+    });
+  });
+
+  return result;
+}
+
+/**
+ * 格式化带符号的百分比
+ */
+function formatPercent(value) {
+  return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+/**
+ * 生成可读的对比报告
+ */
+function formatDiffReport(diff) {
+  const lines = [`📊 价格对比: ${diff.from || '?'} → ${diff.to || '?'}`, ''];
+
+  const section = (title, entries, format) => {
+    lines.push(`${title} (${entries.length})`);
+    entries.forEach(entry => lines.push(`  ${format(entry)}`));
+    lines.push('');
+  };
+
+  section('💰 本地价格变化', diff.priceChanges, c => {
+    const oldCurrency = c.OldCurrency || c.Currency;
+    const percent = oldCurrency === c.Currency
+      ? ` (${formatPercent((c.NewPrice - c.OldPrice) / c.OldPrice * 100)})`
+      : '';
+    return `${c.Country} ${c.Plan}: ${c.OldPrice} ${oldCurrency} → ${c.NewPrice} ${c.Currency}${percent}`;
+  });
+  section('➕ 新增地区', diff.addedRegions, r => `${r.Country} (${r.Currency})`);
+  section('➖ 移除地区', diff.removedRegions, r => `${r.Country} (${r.Currency})`);
+  section('➕ 新增套餐', diff.addedPlans, p => `${p.Country} ${p.Plan}`);
+  section('➖ 移除套餐', diff.removedPlans, p => `${p.Country} ${p.Plan}`);
+  section(`💱 汇率波动 (≥ ${diff.fxThreshold}%)`, diff.fxDrift, d =>
+    `${d.Country} ${d.Plan}: ¥${d.OldPriceInCNY} → ¥${d.NewPriceInCNY} (${formatPercent(d.ChangePercent)})`
+  );
+
+  return lines.join('\n').trimEnd();
+}
+
+module.exports = {
+  DEFAULT_FX_THRESHOLD,
+  diffPriceData,
+  formatDiffReport
+};
@@ -0,0 +1,171 @@
+/**
+ * 汇率数据源
+ * 每个数据源返回以 USD 为基准的汇率表 (1 USD = X 货币)，按配置顺序依次尝试
+ */
+
+const fs = require('fs');
+
+const EXCHANGE_RATE_API_URL = 'https://api.exchangerate-api.com/v4/latest/USD';
+
+/**
+ * 把日期或秒级时间戳统一为 ISO 字符串
+ */
+function toISOTimestamp(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * 读取 { base, rates, timestamp|date } 格式的 JSON 汇率表
+ * base 不是 USD 时换算为 USD 基准
+ */
+function normalizeRateTable(json) {
+  if (!json || typeof json.rates !== 'object') {
+    throw new Error('汇率数据缺少 rates 字段');
+  }
+  const base = json.base || 'USD';
+  const rates = rebaseToUSD({ ...json.rates, [base]: 1 }, base);
+  return {
+    rates,
+    timestamp: toISOTimestamp(json.timestamp ?? json.time_last_updated ?? json.date)
+  };
+}
+
+/**
+ * 把以 base 为基准的汇率表换算为以 USD 为基准
+ */
+function rebaseToUSD(rates, base) {
+  if (base === 'USD') return rates;
+  const usd = rates.USD;
+  if (!usd) {
+    throw new Error(`${base} 基准的汇率表缺少 USD`);
+  }
+  const rebased = {};
+  Object.entries(rates).forEach(([currency, rate]) => {
+    rebased[currency] = rate / usd;
+  });
+  rebased.USD = 1;
+  return rebased;
+}
+
+/**
+ * ExchangeRate-API: 覆盖货币最全的免费接口
+ */
+const exchangeRateAPI = {
+  name: 'exchangerate-api',
+  label: 'ExchangeRate-API',
+  async load({ fetch, urls = {} }) {
+    const url = urls['exchangerate-api'] || EXCHANGE_RATE_API_URL;
+    return normalizeRateTable(JSON.parse(await fetch(url)));
+  }
+};
+
+/**
+ * 本地 JSON 文件，格式与 ExchangeRate-API 相同
+ */
+const localFile = {
+  name: 'file',
+  label: 'Local rate file',
+  async load({ ratesFile }) {
+    if (!ratesFile) {
+      throw new Error('未指定汇率文件 (--rates-file)');
+    }
+    return normalizeRateTable(JSON.parse(fs.readFileSync(ratesFile, 'utf8')));
+  }
+};
+
+/**
+ * 上一次成功获取的汇率
+ * 优先读取本地缓存文件；缓存不入库 (如 CI 中)，退回已提交的价格数据里的 exchangeRates
+ */
+const cache = {
+  name: 'cache',
+  label: 'Cached rates',
+  async load({ cachePath, previousDataPath }) {
+    let cached = null;
+    if (cachePath && fs.existsSync(cachePath)) {
+      cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } else if (previousDataPath && fs.existsSync(previousDataPath)) {
+      cached = JSON.parse(fs.readFileSync(previousDataPath, 'utf8')).exchangeRates || null;
+    }
+    if (!cached) {
+      throw new Error('没有可用的汇率缓存');
+    }
+    const cachedFrom = cached.provider ? cached.provider.replace(/^cache:/, '') : null;
+    return { ...normalizeRateTable(cached), cachedFrom };
+  }
+};
+
+const PROVIDERS = {
+  [exchangeRateAPI.name]: exchangeRateAPI,
+  [localFile.name]: localFile,
+  [cache.name]: cache
+};
+
+const DEFAULT_PROVIDER_ORDER = ['exchangerate-api', 'cache'];
+
+/**
+ * 按名称列表获取数据源
+ */
+function resolveProviders(names) {
+  return names.map(name => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+      throw new Error(`未知的汇率数据源: ${name} (可选: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return provider;
+  });
+}
+
+/**
+ * 依次尝试各数据源，返回第一个覆盖全部所需货币的结果
+ * context: { fetch, urls, ratesFile, cachePath, previousDataPath, requiredCurrencies, log }
+ */
+async function loadExchangeRates(providers, context = {}) {
+  const required = context.requiredCurrencies || [];
+  const log = context.log || (() => {});
+  const failures = [];
+
+  for (const provider of providers) {
+    try {
+      const result = await provider.load(context);
+      const missing = required.filter(currency => !result.rates[currency]);
+      if (missing.length > 0) {
+        throw new Error(`缺少货币 ${missing.join(', ')}`);
+      }
+      if (!result.rates.CNY) {
+        throw new Error('缺少 CNY 汇率');
+      }
+      return { provider: provider.name, label: provider.label, ...result };
+    } catch (err) {
+      log(`⚠️ 汇率数据源 ${provider.name} 不可用: ${err.message}`);
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+
+  throw new Error(`所有汇率数据源均不可用 (${failures.join('; ')})`);
+}
+
+/**
+ * 保存汇率缓存，供下次数据源全部失败时使用
+ */
+function saveRateCache(cachePath, result) {
+  const cached = {
+    provider: result.cachedFrom || result.provider,
+    base: 'USD',
+    timestamp: result.timestamp,
+    savedAt: new Date().toISOString(),
+    rates: result.rates
+  };
+  fs.writeFileSync(cachePath, JSON.stringify(cached, null, 2));
+}
+
+module.exports = {
+  PROVIDERS,
+  DEFAULT_PROVIDER_ORDER,
+  EXCHANGE_RATE_API_URL,
+  resolveProviders,
+  loadExchangeRates,
+  saveRateCache
+};
@@ -0,0 +1,237 @@
+/**
+ * 价格数据导出
+ * 把嵌套的 regions[].Plans[] 展开为表格，输出 CSV、TSV、Markdown 与 SQLite
+ * 所有格式都由同一份已校验的数据生成
+ */
+
+const { tierBytes } = require('./tiers');
+
+// 展开后的列: [列名, 取值函数 (region, plan)]
+const FLAT_COLUMNS = [
+  ['CountryISO', region => region.CountryISO],
+  ['Country', region => region.Country],
+  ['Currency', region => region.Currency],
+  ['Plan', (region, plan) => plan.Name],
+  ['CapacityGB', (region, plan) => capacityGB(plan.Name)],
+  ['Price', (region, plan) => plan.Price],
+  ['PriceInCNY', (region, plan) => plan.PriceInCNY],
+  ['PriceInCNYInclTax', (region, plan) => plan.PriceInCNYInclTax],
+  ['PriceInCNYExclTax', (region, plan) => plan.PriceInCNYExclTax],
+  ['TaxRate', region => region.TaxRate],
+  ['TaxIncluded', region => region.TaxIncluded]
+];
+
+/**
+ * 套餐容量 (GB)，无法识别时返回 null
+ */
+function capacityGB(planName) {
+  const bytes = tierBytes(planName);
+  return bytes === null ? null : Math.round(bytes / 1e9);
+}
+
+/**
+ * 展开为每个地区×套餐一行，缺少的字段为 null
+ */
+function flattenPrices(data) {
+  const rows = [];
+  data.regions.forEach(region => {
+    region.Plans.forEach(plan => {
+      const row = {};
+      FLAT_COLUMNS.forEach(([name, read]) => {
+        const value = read(region, plan);
+        row[name] = value === undefined ? null : value;
+      });
+      rows.push(row);
+    });
+  });
+  return rows;
+}
+
+/**
+ * CSV 单元格: 含逗号、引号或换行时加引号
+ */
+function csvCell(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * TSV 单元格: 制表符与换行替换为空格
+ */
+function tsvCell(value) {
+  return value === null ? '' : String(value).replace(/[\t\r\n]+/g, ' ');
+}
+
+/**
+ * CSV (RFC 4180，CRLF 换行)
+ */
+function toCSV(data) {
+  const rows = flattenPrices(data);
+  const lines = [FLAT_COLUMNS.map(([name]) => name).join(',')]
+    .concat(rows.map(row => FLAT_COLUMNS.map(([name]) => csvCell(row[name])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * TSV，带 UTF-8 BOM，Excel 打开时能正确识别中文与特殊字符
+ */
+function toTSV(data) {
+  const rows = flattenPrices(data);
+  const lines = [FLAT_COLUMNS.map(([name]) => name).join('\t')]
+    .concat(rows.map(row => FLAT_COLUMNS.map(([name]) => tsvCell(row[name])).join('\t')));
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Markdown 单元格: 转义竖线
+ */
+function mdCell(text) {
+  return String(text).replace(/\|/g, '\\|');
+}
+
+/**
+ * Markdown 表格: 每个地区一行，各套餐一列，单元格为 "本地价格 (¥CNY)"
+ * 地区按数据中的顺序 (即排序依据) 排列
+ */
+function toMarkdown(data) {
+  const basis = data.rankBasis || 'PriceInCNY';
+  const planNames = [...new Set(data.regions.flatMap(region => region.Plans.map(plan => plan.Name)))]
+    .sort((a, b) => (tierBytes(a) || 0) - (tierBytes(b) || 0));
+
+  const header = ['#', '地区', '货币', ...planNames];
+  const lines = [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map((_, i) => (i === 0 || i > 2 ? '---:' : '---')).join(' | ')} |`
+  ];
+  data.regions.forEach((region, index) => {
+    const cells = planNames.map(name => {
+      const plan = region.Plans.find(p => p.Name === name);
+      if (!plan) return '—';
+      const cny = typeof plan[basis] === 'number' ? plan[basis] : plan.PriceInCNY;
+      return `${plan.Price} (¥${cny.toFixed(2)})`;
+    });
+    lines.push(`| ${[index + 1, region.Country, region.Currency, ...cells].map(mdCell).join(' | ')} |`);
+  });
+
+  lines.push('', `数据更新时间: ${data.lastUpdated}`);
+  return lines.join('\n') + '\n';
+}
+
+const SQLITE_SCHEMA = `
+CREATE TABLE metadata (
+  key TEXT PRIMARY KEY,
+  value TEXT
+);
+CREATE TABLE regions (
+  id INTEGER PRIMARY KEY,
+  country_iso TEXT NOT NULL,
+  country TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  tax_rate REAL,
+  tax_included INTEGER,
+  billed_in_usd INTEGER
+);
+CREATE TABLE plans (
+  name TEXT PRIMARY KEY,
+  capacity_gb INTEGER
+);
+CREATE TABLE prices (
+  region_id INTEGER NOT NULL REFERENCES regions(id),
+  plan TEXT NOT NULL REFERENCES plans(name),
+  price REAL NOT NULL,
+  price_cny REAL NOT NULL,
+  price_cny_incl_tax REAL,
+  price_cny_excl_tax REAL,
+  PRIMARY KEY (region_id, plan)
+);
+CREATE TABLE rates (
+  currency TEXT PRIMARY KEY,
+  per_usd REAL NOT NULL
+);
+`;
+
+/**
+ * 布尔值转为 SQLite 整数，未知时为 null
+ */
+function sqlBool(value) {
+  return typeof value === 'boolean' ? Number(value) : null;
+}
+
+/**
+ * SQLite 数据库，返回文件内容 (Uint8Array)
+ * 表: metadata、regions、plans、prices、rates
+ */
+async function toSQLite(data) {
+  // sql.js 为 WebAssembly 版 SQLite，只在导出 SQLite 时加载
+  const initSqlJs = require('sql.js');
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+
+  try {
+    db.run(SQLITE_SCHEMA);
+    db.run('BEGIN');
+
+    const metadata = {
+      lastUpdated: data.lastUpdated,
+      source: data.source,
+      rankBasis: data.rankBasis,
+      taxRatesVersion: data.taxRatesVersion,
+      exchangeRateProvider: data.exchangeRates && data.exchangeRates.provider,
+      exchangeRateTimestamp: data.exchangeRates && data.exchangeRates.timestamp
+    };
+    Object.entries(metadata).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        db.run('INSERT INTO metadata (key, value) VALUES (?, ?)', [key, String(value)]);
+      }
+    });
+
+    const planNames = new Set();
+    data.regions.forEach((region, index) => {
+      const id = index + 1;
+      db.run(
+        'INSERT INTO regions (id, country_iso, country, currency, tax_rate, tax_included, billed_in_usd) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [id, region.CountryISO, region.Country, region.Currency, region.TaxRate ?? null,
+          sqlBool(region.TaxIncluded), sqlBool(region.BilledInUSD)]
+      );
+      region.Plans.forEach(plan => {
+        if (!planNames.has(plan.Name)) {
+          planNames.add(plan.Name);
+          db.run('INSERT INTO plans (name, capacity_gb) VALUES (?, ?)', [plan.Name, capacityGB(plan.Name)]);
+        }
+        db.run(
+          'INSERT INTO prices (region_id, plan, price, price_cny, price_cny_incl_tax, price_cny_excl_tax) VALUES (?, ?, ?, ?, ?, ?)',
+          [id, plan.Name, plan.Price, plan.PriceInCNY, plan.PriceInCNYInclTax ?? null, plan.PriceInCNYExclTax ?? null]
+        );
+      });
+    });
+
+    const rates = (data.exchangeRates && data.exchangeRates.rates) || {};
+    Object.entries(rates).forEach(([currency, perUSD]) => {
+      db.run('INSERT INTO rates (currency, per_usd) VALUES (?, ?)', [currency, perUSD]);
+    });
+
+    db.run('COMMIT');
+    return db.export();
+  } finally {
+    db.close();
+  }
+}
+
+// 导出格式 -> { 扩展名, 生成函数 }
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', render: toCSV },
+  tsv: { extension: 'tsv', render: toTSV },
+  md: { extension: 'md', render: toMarkdown },
+  sqlite: { extension: 'sqlite', render: toSQLite }
+};
+
+module.exports = {
+  FLAT_COLUMNS,
+  EXPORT_FORMATS,
+  flattenPrices,
+  toCSV,
+  toTSV,
+  toMarkdown,
+  toSQLite
+};
@@ -0,0 +1,31 @@
+/**
+ * 报告中世界地图的投影与底图
+ * 地区位置取自注册表中的近似地理中心 (lib/registry.js)，底图为简化的陆地轮廓 (lib/world-outline.json)
+ */
+
+const registry = require('./registry');
+const WORLD_OUTLINE = require('./world-outline.json');
+
+/**
+ * 等距圆柱投影: 把经纬度映射到 width × height 的画布坐标
+ */
+function project([lat, lon], width, height) {
+  return {
+    x: (lon + 180) / 360 * width,
+    y: (90 - lat) / 180 * height
+  };
+}
+
+/**
+ * 地区的近似地理中心 [纬度, 经度]，注册表中没有时返回 null
+ */
+function regionPosition(iso) {
+  const country = registry.getCountry(iso);
+  return country ? country.centroid : null;
+}
+
+module.exports = {
+  WORLD_OUTLINE,
+  project,
+  regionPosition
+};
@@ -0,0 +1,124 @@
+/**
+ * 价格历史归档
+ * 每次运行保存一份按日期命名的快照，并把本地货币价格的变化追加到变更日志
+ */
+
+const fs = require('fs');
+const path = require('path');
+const registry = require('./registry');
+
+/**
+ * 地区的国家名称
+ * 旧数据的国家名称可能带有脚注编号 (如 "Russia3")，去掉后返回
+ */
+function regionName(region) {
+  return region.Country.replace(/\d{1,2}(?:\s*,\s*\d{1,2})*$/, '').trim();
+}
+
+/**
+ * 生成地区的唯一键
+ * 按 CountryISO 区分地区，Apple 改名 (如 Turkey → Türkiye) 不会被当作删除加新增
+ * 没有 CountryISO 的旧数据按名称在注册表中解析，仍无法识别时退回名称
+ */
+function regionKey(region) {
+  const name = regionName(region);
+  return region.CountryISO || registry.resolveCountry(name) || name;
+}
+
+/**
+ * 比较两份价格数据中的本地货币价格
+ * 只记录两边都存在的地区与套餐，新增或删除的地区不计入
+ */
+function diffLocalPrices(oldData, newData) {
+  const oldRegions = new Map(oldData.regions.map(r => [regionKey(r), r]));
+  const changes = [];
+
+  newData.regions.forEach(region => {
+    const previous = oldRegions.get(regionKey(region));
+    if (!previous) return;
+
+    region.Plans.forEach(plan => {
+      const oldPlan = previous.Plans.find(p => p.Name === plan.Name);
+      if (!oldPlan) return;
+      if (oldPlan.Price === plan.Price && previous.Currency === region.Currency) return;
+
+      const change = {
+        CountryISO: region.CountryISO,
+        Country: regionName(region),
+        Plan: plan.Name,
+        Currency: region.Currency,
+        OldPrice: oldPlan.Price,
+        NewPrice: plan.Price
+      };
+      if (previous.Currency !== region.Currency) {
+        change.OldCurrency = previous.Currency;
+      }
+      changes.push(change);
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * 保存当天的快照，返回快照路径
+ * 同一天多次运行时覆盖当天的快照
+ */
+function saveSnapshot(data, historyDir) {
+  if (!fs.existsSync(historyDir)) {
+    fs.mkdirSync(historyDir, { recursive: true });
+  }
+  const date = data.lastUpdated.slice(0, 10);
+  const snapshotPath = path.join(historyDir, `${date}.json`);
+  fs.writeFileSync(snapshotPath, JSON.stringify(data, null, 2));
+  return snapshotPath;
+}
+
+/**
+ * 按日期顺序读取全部快照，返回 [{ date, data }]
+ * 目录不存在时返回空数组
+ */
+function loadSnapshots(historyDir) {
+  if (!fs.existsSync(historyDir)) {
+    return [];
+  }
+  return fs.readdirSync(historyDir)
+    .filter(name => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+    .sort()
+    .map(name => ({
+      date: name.slice(0, 10),
+      data: JSON.parse(fs.readFileSync(path.join(historyDir, name), 'utf8'))
+    }));
+}
+
+/**
+ * 读取变更日志，文件不存在时返回空日志
+ */
+function loadChangelog(changelogPath) {
+  if (!fs.existsSync(changelogPath)) {
+    return { changes: [] };
+  }
+  return JSON.parse(fs.readFileSync(changelogPath, 'utf8'));
+}
+
+/**
+ * 把价格变化追加到变更日志
+ */
+function appendChangelog(changes, changelogPath, date) {
+  const changelog = loadChangelog(changelogPath);
+  changes.forEach(change => {
+    changelog.changes.push({ Date: date, ...change });
+  });
+  fs.writeFileSync(changelogPath, JSON.stringify(changelog, null, 2));
+  return changelog;
+}
+
+module.exports = {
+  regionName,
+  regionKey,
+  diffLocalPrices,
+  saveSnapshot,
+  loadSnapshots,
+  loadChangelog,
+  appendChangelog
+};
@@ -0,0 +1,272 @@
+/**
+ * 抓取用的 HTTP 客户端
+ * 有上限的重定向、429/5xx 与网络错误的指数退避重试、gzip/deflate/br 解压、
+ * 响应大小上限、按 charset 解码，以及 ETag / If-Modified-Since 条件请求
+ */
+
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+
+const DEFAULT_OPTIONS = {
+  timeout: 15000,
+  maxRedirects: 5,
+  retries: 3,
+  retryDelay: 500,
+  maxRetryDelay: 10000,
+  maxBytes: 5 * 1024 * 1024,
+  headers: {
+    'User-Agent': 'Mozilla/5.0 (compatible; icloud-pricing; +https://github.com/ssfun/icloud-pricing)',
+    'Accept': 'text/html,application/json;q=0.9,*/*;q=0.8',
+    'Accept-Encoding': 'gzip, deflate, br'
+  }
+};
+
+// 可重试的网络错误
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+/**
+ * 非 2xx 响应
+ */
+class HttpStatusError extends Error {
+  constructor(status, url, headers = {}) {
+    super(`HTTP ${status}`);
+    this.name = 'HttpStatusError';
+    this.status = status;
+    this.url = url;
+    this.headers = headers;
+  }
+}
+
+/**
+ * 按 Content-Encoding 创建解压流，未压缩时返回 null
+ */
+function createDecoder(encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    case '':
+    case 'identity':
+      return null;
+    default:
+      throw new Error(`不支持的内容编码: ${encoding}`);
+  }
+}
+
+/**
+ * 确定响应的字符集: Content-Type 头 > BOM > HTML <meta charset> > UTF-8
+ */
+function detectCharset(buffer, contentType) {
+  const header = /charset\s*=\s*"?([\w.:-]+)/i.exec(contentType || '');
+  if (header) return header[1];
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) return 'utf-8';
+  const head = buffer.subarray(0, 1024).toString('latin1');
+  const meta = /<meta[^>]+charset\s*=\s*["']?([\w.:-]+)/i.exec(head);
+  return meta ? meta[1] : 'utf-8';
+}
+
+/**
+ * 把响应内容解码为字符串，无法识别的字符集按 UTF-8 处理
+ */
+function decodeBody(buffer, contentType) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(detectCharset(buffer, contentType));
+  } catch (err) {
+    decoder = new TextDecoder('utf-8');
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * 单次请求 (跟随重定向，不重试)
+ * 返回 { status, url, headers, body }，304 时 body 为 null
+ * 其他非 2xx 响应抛出 HttpStatusError
+ */
+function request(url, options = {}, redirects = 0) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const headers = { ...DEFAULT_OPTIONS.headers, ...(options.headers || {}) };
+  const validators = options.validators || {};
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'http:' ? http : target.protocol === 'https:' ? https : null;
+    if (!client) {
+      reject(new Error(`不支持的协议: ${target.protocol}`));
+      return;
+    }
+
+    const req = client.get(target, { headers, timeout: settings.timeout }, (res) => {
+      const { statusCode } = res;
+
+      if (statusCode >= 300 && statusCode < 400 && statusCode !== 304 && res.headers.location) {
+        res.resume();
+        if (redirects >= settings.maxRedirects) {
+          reject(new Error(`重定向次数过多 (${settings.maxRedirects}): ${url}`));
+          return;
+        }
+        request(new URL(res.headers.location, target).href, options, redirects + 1).then(resolve, reject);
+        return;
+      }
+      if (statusCode === 304) {
+        res.resume();
+        resolve({ status: 304, url: target.href, headers: res.headers, body: null });
+        return;
+      }
+      if (statusCode < 200 || statusCode >= 300) {
+        res.resume();
+        reject(new HttpStatusError(statusCode, target.href, res.headers));
+        return;
+      }
+
+      const declared = Number(res.headers['content-length']);
+      if (declared > settings.maxBytes && !res.headers['content-encoding']) {
+        res.destroy();
+        reject(new Error(`响应超过大小上限 (${settings.maxBytes} 字节): ${url}`));
+        return;
+      }
+
+      let stream = res;
+      try {
+        const decoder = createDecoder(res.headers['content-encoding']);
+        // pipeline 把响应本身的错误 (如连接中途断开) 也传给 reject
+        if (decoder) stream = pipeline(res, decoder, (err) => { if (err) reject(err); });
+      } catch (err) {
+        res.destroy();
+        reject(err);
+        return;
+      }
+
+      // 大小上限按解压后的字节数计算
+      const chunks = [];
+      let size = 0;
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > settings.maxBytes) {
+          res.destroy();
+          stream.destroy();
+          reject(new Error(`响应超过大小上限 (${settings.maxBytes} 字节): ${url}`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      stream.on('error', reject);
+      stream.on('end', () => {
+        resolve({
+          status: statusCode,
+          url: target.href,
+          headers: res.headers,
+          body: decodeBody(Buffer.concat(chunks), res.headers['content-type'])
+        });
+      });
+    });
+
+    req.on('timeout', () => {
+      const err = new Error(`请求超时: ${url}`);
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 是否值得重试: 429、5xx 与临时的网络错误
+ */
+function isRetryable(err) {
+  if (err instanceof HttpStatusError) {
+    return err.status === 429 || err.status >= 500;
+  }
+  return RETRYABLE_CODES.includes(err.code);
+}
+
+/**
+ * 解析 Retry-After 头 (秒数或 HTTP 日期)，返回毫秒，无效时返回 null
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * 第 attempt 次重试前的等待时间 (毫秒)
+ * 指数增长并加入随机抖动 (取区间后半段)，服务器给出 Retry-After 时优先使用，均不超过 maxRetryDelay
+ */
+function backoffDelay(attempt, options = {}, err = null, random = Math.random) {
+  const { retryDelay, maxRetryDelay } = { ...DEFAULT_OPTIONS, ...options };
+  const retryAfter = err && err.headers ? parseRetryAfter(err.headers['retry-after']) : null;
+  if (retryAfter !== null) {
+    return Math.min(retryAfter, maxRetryDelay);
+  }
+  const delay = Math.min(retryDelay * 2 ** attempt, maxRetryDelay);
+  return Math.round(delay / 2 + random() * delay / 2);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 带重试的请求
+ * options.retries 最多重试次数；options.sleep / options.random 可替换，便于测试
+ * options.onRetry(err, attempt, delay) 在每次重试前调用
+ */
+async function fetchWithRetry(url, options = {}) {
+  const retries = options.retries ?? DEFAULT_OPTIONS.retries;
+  const wait = options.sleep || sleep;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request(url, options);
+    } catch (err) {
+      if (attempt >= retries || !isRetryable(err)) throw err;
+      const delay = backoffDelay(attempt, options, err, options.random);
+      if (options.onRetry) options.onRetry(err, attempt + 1, delay);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * 响应中的缓存验证信息，没有时返回 null
+ */
+function getValidators(response) {
+  const etag = response.headers.etag;
+  const lastModified = response.headers['last-modified'];
+  if (!etag && !lastModified) return null;
+  return {
+    ...(etag ? { etag } : {}),
+    ...(lastModified ? { lastModified } : {})
+  };
+}
+
+/**
+ * 获取页面文本
+ * 传入 options.validators 时发送条件请求，内容未变化 (304) 时返回 null
+ * options.onResponse(response) 可读取响应头 (如新的 ETag)
+ */
+async function fetchText(url, options = {}) {
+  const response = await fetchWithRetry(url, options);
+  if (options.onResponse) options.onResponse(response);
+  return response.body;
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  HttpStatusError,
+  decodeBody,
+  request,
+  isRetryable,
+  parseRetryAfter,
+  backoffDelay,
+  fetchWithRetry,
+  getValidators,
+  fetchText
+};
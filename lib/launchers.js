@@ -0,0 +1,226 @@
+/**
+ * 启动器输出适配
+ * 把 lib/query.js 的查询结果整理为与平台无关的条目，再按启动器格式输出:
+ * Alfred Script Filter JSON、Raycast 脚本命令文本、uTools 列表、Wox JSON-RPC 结果与 NDJSON
+ * 每个结果条目带三个动作: 复制换算价格 (copy)、复制原始价格 (copyOriginal)、打开 Apple 页面 (open)
+ * 与 lib/query.js 一样保持 ES5 写法，供 JXA 与 Node 共用，非 Node 环境下需先加载 lib/query.js
+ * 各启动器的入口: scripts/icloud.js (Alfred)、scripts/raycast*.js、scripts/utools/、scripts/wox/
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./query'));
+  } else {
+    root.IcloudLaunchers = factory(root.IcloudQuery);
+  }
+}(this, function(queryModule) {
+
+  /**
+   * Apple 官方价格页面
+   */
+  var APPLE_PAGE_URL = 'https://support.apple.com/zh-cn/108047';
+
+  var ICON = 'icon.png';
+
+  /**
+   * 帮助条目: [标题, 说明]，分组与货币取自查询引擎
+   */
+  var HELP_ENTRIES = [
+    ['用法: icloud [套餐] [地区...] [分组] [<价格] [topN] [/tb|upgrade] [含税|税前] [货币]',
+      '套餐: 50gb-12tb | 分组: ' + Object.keys(queryModule.REGION_GROUPS).join(', ') +
+      ' | 计价: incl, excl | 货币: ' + Object.keys(queryModule.CURRENCY_SYMBOLS).join(', ').toLowerCase()],
+    ['示例: icloud 2tb', '查看所有地区 2TB 套餐价格排名'],
+    ['示例: icloud us', '查看美国所有套餐价格'],
+    ['示例: icloud 2tb excl', '按不含税价格查看 2TB 套餐排名'],
+    ['示例: icloud 2tb usd', '以美元显示 2TB 套餐价格排名'],
+    ['示例: icloud 2tb eu <¥80 top5', '欧盟地区 2TB 套餐中低于 ¥80 的前 5 名'],
+    ['示例: icloud /tb', '按每 TB 价格对所有地区、所有套餐排名'],
+    ['示例: icloud 2tb upgrade', '按 200GB 升级到 2TB 的每 TB 成本排名'],
+    ['示例: icloud 2tb us vs cn', '对比美国与中国大陆 2TB 套餐的差价'],
+    ['示例: icloud 50gb jp', '查看日本 50GB 套餐价格']
+  ];
+
+  /**
+   * 结果行 -> 条目
+   */
+  function rowEntry(row, view, pageURL) {
+    var details = [row.diffStr ? row.diffStr : '#' + row.rank, row.plan + ' 套餐'];
+    // 价格未在最近一次抓取中更新时放在最前面提示
+    if (row.staleStr) details.unshift(row.staleStr);
+    if (view.upgrade && row.upgradeStr) details.push(row.upgradeStr);
+    if (row.basisLabel) details.push(row.basisLabel);
+    if (row.premiumStr) details.push(row.premiumStr);
+
+    return {
+      kind: 'result',
+      uid: row.uid,
+      title: row.flag + ' ' + row.country + ' | ' + row.localPriceStr + ' ≈ ' + row.displayStr,
+      subtitle: details.join(' | '),
+      largetype: row.flag + ' ' + row.country + '\n' + row.plan + ': ' + row.localPriceStr + ' ≈ ' + row.displayStr,
+      actions: { copy: row.displayStr, copyOriginal: row.localPriceStr, open: pageURL },
+      row: row
+    };
+  }
+
+  /**
+   * 只有标题与说明、不可选择的条目
+   */
+  function infoEntry(title, subtitle) {
+    return { kind: 'info', title: title, subtitle: subtitle, actions: {} };
+  }
+
+  /**
+   * 把查询结果整理为条目列表
+   * result 为 executeQuery 的返回值，或 { type: 'error', message } (如数据加载失败)
+   * options.pageURL 替换 Apple 页面地址
+   */
+  function buildEntries(result, options) {
+    var pageURL = (options && options.pageURL) || APPLE_PAGE_URL;
+
+    switch (result.type) {
+      case 'help':
+        return HELP_ENTRIES.map(function(entry) { return infoEntry(entry[0], entry[1]); });
+      case 'error':
+        return [infoEntry('获取数据失败', result.message)];
+      case 'empty':
+        return [infoEntry(
+          result.missing ? '未找到地区: ' + result.missing : '未找到匹配的地区',
+          '尝试使用其他关键词，如 US, 日本, xianggang'
+        )];
+    }
+
+    var entries = result.rows.map(function(row) { return rowEntry(row, result.view, pageURL); });
+    (result.notices || []).forEach(function(notice) {
+      entries.push(infoEntry('⚠️ ' + notice, '价格数据不完整'));
+    });
+    if (result.lastUpdated) {
+      entries.push({
+        kind: 'footer',
+        title: '数据更新时间: ' + result.lastUpdated.slice(0, 10),
+        subtitle: '查看 Apple 官方页面',
+        actions: { open: pageURL }
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Alfred Script Filter: Enter 复制换算价格，⌘ 复制原始价格，⌥ 打开 Apple 页面
+   */
+  function renderAlfred(entries) {
+    var items = entries.map(function(entry) {
+      if (entry.kind === 'result') {
+        return {
+          uid: entry.uid,
+          title: entry.title,
+          subtitle: entry.subtitle,
+          arg: entry.actions.copy,
+          icon: { path: ICON },
+          mods: {
+            cmd: { valid: true, arg: entry.actions.copyOriginal, subtitle: '⌘ 复制原始价格' },
+            alt: { valid: true, arg: entry.actions.open, subtitle: '⌥ 打开 Apple 支持页面' }
+          },
+          text: { copy: entry.actions.copy, largetype: entry.largetype }
+        };
+      }
+      var item = { title: entry.title, subtitle: entry.subtitle, valid: false, icon: { path: ICON } };
+      if (entry.kind === 'footer') item.subtitle = '按 ⌥ + Enter ' + entry.subtitle;
+      if (entry.actions.open) {
+        item.mods = { alt: { valid: true, arg: entry.actions.open, subtitle: '⌥ 打开 Apple 支持页面' } };
+      }
+      return item;
+    });
+    return JSON.stringify({ items: items });
+  }
+
+  /**
+   * Raycast 脚本命令 (fullOutput 模式) 只能输出文本:
+   * 每个结果两行，标题含换算价格与原始价格 (⌘C 复制全部输出)，页面地址附在末尾
+   * 复制单个价格或打开页面由 scripts/raycast-copy.js 对第一条结果执行
+   */
+  function renderRaycast(entries) {
+    var lines = [];
+    var pageURL = null;
+    entries.forEach(function(entry) {
+      if (entry.kind === 'footer') {
+        lines.push('', entry.title);
+      } else {
+        lines.push(entry.title, '    ' + entry.subtitle);
+      }
+      if (entry.actions.open) pageURL = entry.actions.open;
+    });
+    if (pageURL) lines.push('Apple 支持页面: ' + pageURL);
+    return lines.join('\n');
+  }
+
+  /**
+   * uTools 列表 (callbackSetList): 选中条目时插件按 copy / copyOriginal / url 执行动作 (见 scripts/utools/preload.js)
+   */
+  function renderUTools(entries) {
+    return JSON.stringify(entries.map(function(entry) {
+      var item = { title: entry.title, description: entry.subtitle, icon: ICON };
+      if (entry.actions.copy) item.copy = entry.actions.copy;
+      if (entry.actions.copyOriginal) item.copyOriginal = entry.actions.copyOriginal;
+      if (entry.actions.open) item.url = entry.actions.open;
+      return item;
+    }));
+  }
+
+  /**
+   * Wox JSON-RPC 结果: 选中时复制换算价格 (没有价格时打开页面)，
+   * 原始价格与页面地址放在 ContextData 中供右键菜单使用 (见 scripts/wox/main.js)
+   */
+  function renderWox(entries) {
+    return JSON.stringify({
+      result: entries.map(function(entry) {
+        var item = { Title: entry.title, SubTitle: entry.subtitle, IcoPath: ICON };
+        if (entry.actions.copy) {
+          item.JsonRPCAction = { method: 'copy', parameters: [entry.actions.copy], dontHideAfterAction: false };
+          item.ContextData = { copyOriginal: entry.actions.copyOriginal, url: entry.actions.open };
+        } else if (entry.actions.open) {
+          item.JsonRPCAction = { method: 'open_url', parameters: [entry.actions.open], dontHideAfterAction: false };
+        }
+        return item;
+      })
+    });
+  }
+
+  /**
+   * 每行一个 JSON 对象，结果条目附带完整的结果行
+   */
+  function renderNDJSON(entries) {
+    return entries.map(function(entry) {
+      var line = { kind: entry.kind, title: entry.title, subtitle: entry.subtitle, actions: entry.actions };
+      if (entry.row) line.row = entry.row;
+      return JSON.stringify(line);
+    }).join('\n');
+  }
+
+  /**
+   * 输出格式 -> 渲染函数
+   */
+  var ADAPTERS = {
+    alfred: renderAlfred,
+    raycast: renderRaycast,
+    utools: renderUTools,
+    wox: renderWox,
+    ndjson: renderNDJSON
+  };
+
+  /**
+   * 按启动器格式输出查询结果，未知格式抛出错误
+   */
+  function render(format, result, options) {
+    var adapter = ADAPTERS[format];
+    if (!adapter) {
+      throw new Error('未知的输出格式: ' + format + ' (可选: ' + Object.keys(ADAPTERS).join(', ') + ')');
+    }
+    return adapter(buildEntries(result, options));
+  }
+
+  return {
+    APPLE_PAGE_URL: APPLE_PAGE_URL,
+    ADAPTERS: ADAPTERS,
+    buildEntries: buildEntries,
+    render: render
+  };
+}));
@@ -0,0 +1,114 @@
+/**
+ * 价值指标
+ * 每 TB 价格、相邻套餐之间的升级成本与相对全球中位数的溢价，抓取时计算并写入 prices.json
+ */
+
+const { tierBytes } = require('./tiers');
+
+/**
+ * 套餐容量 (TB)，按 1TB = 1000GB 计算，无法识别时返回 null
+ */
+function planTB(name) {
+  const bytes = tierBytes(name);
+  return bytes === null ? null : bytes / 1e12;
+}
+
+/**
+ * 保留两位小数
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 中位数，空数组返回 null
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 计算单个地区各套餐的每 TB 价格与升级成本
+ * 套餐按容量排序，升级成本相对于本地区的上一档套餐
+ */
+function computePlanMetrics(region, basis) {
+  const plans = region.Plans
+    .filter(plan => planTB(plan.Name) && typeof plan[basis] === 'number')
+    .sort((a, b) => planTB(a.Name) - planTB(b.Name));
+
+  const metrics = new Map();
+  plans.forEach((plan, index) => {
+    const tb = planTB(plan.Name);
+    const entry = { PricePerTBInCNY: round(plan[basis] / tb) };
+
+    const previous = plans[index - 1];
+    if (previous) {
+      const cost = plan[basis] - previous[basis];
+      entry.UpgradeFrom = previous.Name;
+      entry.UpgradeCostInCNY = round(cost);
+      entry.UpgradeCostPerTBInCNY = round(cost / (tb - planTB(previous.Name)));
+    }
+    metrics.set(plan, entry);
+  });
+  return metrics;
+}
+
+/**
+ * 为价格数据添加价值指标
+ * basis: 计算所依据的 CNY 价格字段 (通常与排序依据相同)
+ * 中位数中的价格以 basis 字段名为键，如 medians['2TB'].PriceInCNYInclTax
+ * 返回新对象，不修改传入的数据
+ */
+function addValueMetrics(data, basis = 'PriceInCNY') {
+  const perRegion = data.regions.map(region => computePlanMetrics(region, basis));
+
+  // 各套餐在所有地区中的中位数
+  const columns = {};
+  data.regions.forEach((region, i) => {
+    region.Plans.forEach(plan => {
+      const entry = perRegion[i].get(plan);
+      if (!entry) return;
+      const column = columns[plan.Name] || (columns[plan.Name] = { price: [], perTB: [], upgrade: [] });
+      column.price.push(plan[basis]);
+      column.perTB.push(entry.PricePerTBInCNY);
+      if (entry.UpgradeCostPerTBInCNY !== undefined) column.upgrade.push(entry.UpgradeCostPerTBInCNY);
+    });
+  });
+
+  const medians = {};
+  Object.entries(columns).forEach(([name, column]) => {
+    medians[name] = {
+      [basis]: round(median(column.price)),
+      PricePerTBInCNY: round(median(column.perTB))
+    };
+    if (column.upgrade.length > 0) {
+      medians[name].UpgradeCostPerTBInCNY = round(median(column.upgrade));
+    }
+  });
+
+  return {
+    ...data,
+    metrics: { basis, medians },
+    regions: data.regions.map((region, i) => ({
+      ...region,
+      Plans: region.Plans.map(plan => {
+        const entry = perRegion[i].get(plan);
+        if (!entry) return plan;
+        const mid = medians[plan.Name][basis];
+        return {
+          ...plan,
+          ...entry,
+          PremiumVsMedian: round((plan[basis] - mid) / mid * 100)
+        };
+      })
+    }))
+  };
+}
+
+module.exports = {
+  median,
+  addValueMetrics
+};
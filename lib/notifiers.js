@@ -0,0 +1,335 @@
+/**
+ * 提醒通知渠道
+ * stdout、通用 Webhook (JSON)、Slack 兼容的 Incoming Webhook 与 SMTP 邮件，只依赖 Node 标准库
+ * 配置中以 "env:NAME" 开头的字符串从环境变量读取，避免把密钥写入仓库
+ */
+
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const DEFAULT_TIMEOUT = 10000;
+
+/**
+ * 解析配置值: "env:NAME" 读取环境变量，缺失或为空时抛出错误
+ * (GitHub Actions 中未设置的 Secret 会展开为空字符串)
+ */
+function resolveValue(value) {
+  if (typeof value !== 'string' || !value.startsWith('env:')) return value;
+  const name = value.slice(4);
+  if (!process.env[name]) {
+    throw new Error(`缺少环境变量: ${name}`);
+  }
+  return process.env[name];
+}
+
+/**
+ * 提醒的纯文本内容
+ */
+function formatAlertText(alerts, context = {}) {
+  const lines = [`🔔 iCloud+ 价格提醒 (${alerts.length} 条)`];
+  alerts.forEach(alert => lines.push(`- [${alert.rule}] ${alert.message}`));
+  if (context.lastUpdated) lines.push('', `数据更新时间: ${context.lastUpdated}`);
+  return lines.join('\n');
+}
+
+/**
+ * POST JSON，非 2xx 响应视为失败
+ */
+function postJSON(url, body, options = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify(body);
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        'User-Agent': 'icloud-pricing',
+        ...(options.headers || {})
+      },
+      timeout: options.timeout || DEFAULT_TIMEOUT
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve({ status: res.statusCode, body: data });
+        } else {
+          reject(new Error(`HTTP ${res.statusCode}: ${data.slice(0, 200)}`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('请求超时')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * SMTP 会话: 按行读取服务器响应，支持多行响应与 STARTTLS 升级
+ */
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.buffer = '';
+    this.lines = [];
+    this.waiting = null;
+    this.error = null;
+    this.timeout = timeout;
+    this.attach(socket);
+  }
+
+  /**
+   * 监听新的连接; STARTTLS 升级后原连接的数据由 TLS 层读取，需先移除旧的监听
+   */
+  attach(socket) {
+    if (this.socket) {
+      this.socket.setTimeout(0);
+      this.socket.removeListener('data', this.onData);
+      this.socket.removeListener('error', this.onError);
+      this.socket.removeListener('close', this.onClose);
+    }
+    this.onData = chunk => {
+      this.buffer += chunk.toString('utf8');
+      let index;
+      while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+        this.lines.push(this.buffer.slice(0, index));
+        this.buffer = this.buffer.slice(index + 2);
+      }
+      this.flush();
+    };
+    this.onError = err => {
+      this.error = err;
+      this.flush();
+    };
+    this.onClose = () => {
+      this.error = this.error || new Error('SMTP 连接已关闭');
+      this.flush();
+    };
+
+    this.socket = socket;
+    socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP 连接超时')));
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+  }
+
+  /**
+   * 完整的响应 ("250-..." 续行直到 "250 ...") 到达后交给等待者
+   */
+  flush() {
+    if (!this.waiting) return;
+    const end = this.lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+    if (end !== -1) {
+      const lines = this.lines.splice(0, end + 1);
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ code: Number(lines[end].slice(0, 3)), lines: lines.map(line => line.slice(4)) });
+    } else if (this.error) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.flush();
+    });
+  }
+
+  /**
+   * 发送命令并检查响应码
+   */
+  async command(line, expected, label = line.split(' ')[0]) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} 失败: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+}
+
+/**
+ * RFC 2047 编码邮件头 (非 ASCII 时)
+ */
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * 生成 UTF-8 纯文本邮件，正文以 base64 编码
+ */
+function buildMessage({ from, to, subject, text, date = new Date() }) {
+  const body = (Buffer.from(text, 'utf8').toString('base64').match(/.{1,76}/g) || []).join('\r\n');
+  return [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+/**
+ * 通过 SMTP 发送邮件
+ * options: { host, port, secure, starttls = true, allowInsecureAuth = false, username, password, from, to, timeout }
+ * secure 为 true 时直接建立 TLS 连接 (通常为 465 端口)，否则在服务器支持时使用 STARTTLS
+ * 连接未加密时拒绝发送认证信息，除非 allowInsecureAuth 为 true
+ */
+async function sendMail(options, message) {
+  const port = options.port || (options.secure ? 465 : 587);
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const socket = await new Promise((resolve, reject) => {
+    const connect = options.secure
+      ? () => tls.connect({ host: options.host, port, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false })
+      : () => net.connect({ host: options.host, port });
+    const s = connect();
+    // 连接 (含 TLS 握手) 同样受 timeout 限制，建立后由 SmtpSession 接管超时
+    const onTimeout = () => s.destroy(new Error('SMTP 连接超时'));
+    s.setTimeout(timeout, onTimeout);
+    s.once(options.secure ? 'secureConnect' : 'connect', () => {
+      s.removeListener('timeout', onTimeout);
+      s.setTimeout(0);
+      resolve(s);
+    });
+    s.once('error', reject);
+  });
+
+  const session = new SmtpSession(socket, timeout);
+  try {
+    await session.command(null, [220], 'greeting');
+    const hostname = os.hostname() || 'localhost';
+    const ehlo = await session.command(`EHLO ${hostname}`, [250]);
+
+    const supportsTLS = ehlo.lines.some(line => /^STARTTLS\b/i.test(line));
+    let encrypted = Boolean(options.secure);
+    if (!options.secure && supportsTLS && options.starttls !== false) {
+      await session.command('STARTTLS', [220]);
+      const secured = await new Promise((resolve, reject) => {
+        const s = tls.connect({ socket, servername: options.host, rejectUnauthorized: options.rejectUnauthorized !== false });
+        s.once('secureConnect', () => resolve(s));
+        s.once('error', reject);
+      });
+      session.attach(secured);
+      encrypted = true;
+      await session.command(`EHLO ${hostname}`, [250]);
+    }
+
+    if (options.username) {
+      if (!encrypted && !options.allowInsecureAuth) {
+        throw new Error('SMTP 连接未加密 (服务器不支持 STARTTLS 或已禁用)，拒绝发送认证信息；确需明文认证时设置 allowInsecureAuth: true');
+      }
+      const token = Buffer.from(`\0${options.username}\0${options.password || ''}`, 'utf8').toString('base64');
+      await session.command(`AUTH PLAIN ${token}`, [235], 'AUTH');
+    }
+
+    await session.command(`MAIL FROM:<${message.from}>`, [250], 'MAIL FROM');
+    for (const recipient of message.to) {
+      await session.command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await session.command('DATA', [354]);
+    // 以 "." 开头的行需要加倍，避免被当作结束标记
+    const data = buildMessage(message).replace(/^\./gm, '..');
+    await session.command(`${data}\r\n.`, [250], 'DATA');
+    await session.command('QUIT', [221]);
+  } finally {
+    session.socket.end();
+  }
+}
+
+// 通知渠道类型 -> 工厂函数 (config) => send(alerts, context)
+const NOTIFIERS = {
+  stdout: () => async (alerts, context) => {
+    console.log(formatAlertText(alerts, context));
+  },
+
+  webhook: config => async (alerts, context) => {
+    await postJSON(resolveValue(config.url), {
+      source: 'icloud-pricing',
+      lastUpdated: context.lastUpdated || null,
+      alerts
+    }, { headers: resolveHeaders(config.headers), timeout: config.timeout });
+  },
+
+  slack: config => async (alerts, context) => {
+    await postJSON(resolveValue(config.url), {
+      text: formatAlertText(alerts, context),
+      ...(config.channel ? { channel: config.channel } : {})
+    }, { timeout: config.timeout });
+  },
+
+  smtp: config => async (alerts, context) => {
+    const to = [].concat(resolveValue(config.to));
+    await sendMail({
+      host: resolveValue(config.host),
+      port: config.port,
+      secure: config.secure,
+      starttls: config.starttls,
+      allowInsecureAuth: config.allowInsecureAuth,
+      rejectUnauthorized: config.rejectUnauthorized,
+      username: resolveValue(config.username),
+      password: resolveValue(config.password),
+      timeout: config.timeout
+    }, {
+      from: resolveValue(config.from),
+      to,
+      subject: config.subject || `iCloud+ 价格提醒 (${alerts.length} 条)`,
+      text: formatAlertText(alerts, context)
+    });
+  }
+};
+
+/**
+ * 解析请求头中的环境变量引用
+ */
+function resolveHeaders(headers) {
+  return Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name, resolveValue(value)]));
+}
+
+/**
+ * 由配置创建通知渠道，未知类型抛出错误
+ */
+function createNotifier(config) {
+  const factory = NOTIFIERS[config.type];
+  if (!factory) {
+    throw new Error(`未知的通知渠道: ${config.type} (可选: ${Object.keys(NOTIFIERS).join(', ')})`);
+  }
+  return { type: config.type, name: config.name || config.type, send: factory(config) };
+}
+
+/**
+ * 把提醒发送到所有渠道，单个渠道失败不影响其他渠道
+ * 返回 [{ name, ok, error }]
+ */
+async function notifyAll(notifiers, alerts, context = {}) {
+  const results = [];
+  for (const notifier of notifiers) {
+    try {
+      await notifier.send(alerts, context);
+      results.push({ name: notifier.name, ok: true, error: null });
+    } catch (err) {
+      results.push({ name: notifier.name, ok: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  NOTIFIERS,
+  resolveValue,
+  formatAlertText,
+  postJSON,
+  buildMessage,
+  sendMail,
+  createNotifier,
+  notifyAll
+};
@@ -0,0 +1,160 @@
+/**
+ * 家庭存储方案规划
+ * 给定总存储需求、人数与计费时长，为每个地区找出最便宜的套餐或套餐组合
+ */
+
+const { tierBytes } = require('./tiers');
+
+// 一个 iCloud+ 套餐最多可通过家人共享给 6 人使用 (组织者 + 5 位成员)
+const FAMILY_SIZE = 6;
+
+// 需求上限 (GB)，避免组合计算过大
+const MAX_DEMAND_GB = 120000;
+
+// 人数上限，套餐数随人数增长，同样避免组合计算过大
+const MAX_PEOPLE = 120;
+
+/**
+ * 保留两位小数
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 解析存储需求: "3tb"、"500GB"、"2.5 TB"，纯数字按 GB 计算
+ * 返回 GB 数，无法解析时返回 NaN
+ */
+function parseStorage(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(gb|tb)?$/i);
+  if (!match) return NaN;
+  const size = parseFloat(match[1]);
+  return match[2] && match[2].toLowerCase() === 'tb' ? size * 1000 : size;
+}
+
+/**
+ * 最大公约数
+ */
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * 在一个地区内找出满足容量与人数要求的最便宜组合
+ * 一个套餐最多共享给 FAMILY_SIZE 人，因此人数较多时至少需要多个套餐
+ * 每个 Apple 账户只能订阅一个套餐，组合方案意味着由多个账户分别订阅
+ * 返回 { items: [{ plan, count }], capacityGB, monthlyCNY, monthlyLocal }，无可用套餐时返回 null
+ */
+function cheapestCombination(region, demandGB, people, basis) {
+  const plans = region.Plans
+    .filter(plan => tierBytes(plan.Name) && typeof plan[basis] === 'number')
+    .map(plan => ({ plan, gb: Math.round(tierBytes(plan.Name) / 1e9), cost: plan[basis] }));
+  if (plans.length === 0) return null;
+
+  // 以各套餐容量的最大公约数为单位做动态规划: 状态为 (已覆盖容量, 套餐数)，两者都封顶
+  const unit = plans.reduce((acc, p) => gcd(acc, p.gb), 0);
+  const target = Math.ceil(demandGB / unit);
+  const minCount = Math.ceil(people / FAMILY_SIZE);
+  const states = [];
+  for (let u = 0; u <= target; u++) {
+    states.push(new Array(minCount + 1).fill(null));
+  }
+  states[0][0] = { cost: 0, count: 0, prev: null, item: null };
+
+  for (let u = 0; u <= target; u++) {
+    for (let c = 0; c <= minCount; c++) {
+      const state = states[u][c];
+      if (!state) continue;
+      plans.forEach(item => {
+        const nu = Math.min(target, u + item.gb / unit);
+        const nc = Math.min(minCount, c + 1);
+        if (nu === u && nc === c) return;
+        const cost = state.cost + item.cost;
+        const current = states[nu][nc];
+        // 价格相同时选套餐数更少的组合
+        if (!current || cost < current.cost - 1e-9 ||
+            (Math.abs(cost - current.cost) < 1e-9 && state.count + 1 < current.count)) {
+          states[nu][nc] = { cost, count: state.count + 1, prev: state, item };
+        }
+      });
+    }
+  }
+
+  const best = states[target][minCount];
+  if (!best) return null;
+
+  const counts = new Map();
+  for (let state = best; state.item; state = state.prev) {
+    counts.set(state.item, (counts.get(state.item) || 0) + 1);
+  }
+  const items = [...counts.entries()]
+    .sort((a, b) => b[0].gb - a[0].gb)
+    .map(([item, count]) => ({ plan: item.plan, count }));
+
+  return {
+    items,
+    capacityGB: items.reduce((sum, { plan, count }) => sum + Math.round(tierBytes(plan.Name) / 1e9) * count, 0),
+    monthlyCNY: items.reduce((sum, { plan, count }) => sum + plan[basis] * count, 0),
+    monthlyLocal: items.reduce((sum, { plan, count }) => sum + plan.Price * count, 0)
+  };
+}
+
+/**
+ * 为所有地区规划存储方案，按计费期内的 CNY 总价排名
+ * options: { demandGB, people = 1, months = 12, basis = data.rankBasis }
+ */
+function planHousehold(data, options) {
+  const demandGB = options.demandGB;
+  const people = options.people ?? 1;
+  const months = options.months ?? 12;
+  const basis = options.basis || data.rankBasis || 'PriceInCNY';
+
+  if (!(demandGB > 0) || demandGB > MAX_DEMAND_GB) {
+    throw new Error(`存储需求需在 0 到 ${MAX_DEMAND_GB / 1000}TB 之间`);
+  }
+  if (!Number.isInteger(people) || people < 1 || people > MAX_PEOPLE) {
+    throw new Error(`人数必须是 1 到 ${MAX_PEOPLE} 之间的整数`);
+  }
+  if (!Number.isInteger(months) || months < 1) {
+    throw new Error('计费时长必须是正整数 (月)');
+  }
+
+  const regions = [];
+  data.regions.forEach(region => {
+    const combination = cheapestCombination(region, demandGB, people, basis);
+    if (!combination) return;
+    regions.push({
+      CountryISO: region.CountryISO,
+      Country: region.Country,
+      Currency: region.Currency,
+      Plans: combination.items.map(({ plan, count }) => ({
+        Name: plan.Name,
+        Count: count,
+        Price: plan.Price,
+        PriceInCNY: plan[basis]
+      })),
+      CapacityGB: combination.capacityGB,
+      MonthlyLocal: round(combination.monthlyLocal),
+      MonthlyCNY: round(combination.monthlyCNY),
+      TotalLocal: round(combination.monthlyLocal * months),
+      TotalCNY: round(combination.monthlyCNY * months),
+      PerPersonMonthlyCNY: round(combination.monthlyCNY / people)
+    });
+  });
+
+  regions.sort((a, b) => a.TotalCNY - b.TotalCNY);
+  regions.forEach((region, index) => {
+    region.Rank = index + 1;
+  });
+
+  return { demandGB, people, months, basis, regions };
+}
+
+module.exports = {
+  FAMILY_SIZE,
+  MAX_DEMAND_GB,
+  MAX_PEOPLE,
+  parseStorage,
+  cheapestCombination,
+  planHousehold
+};
@@ -0,0 +1,172 @@
+/**
+ * 按货币解析价格字符串
+ * 每种货币有各自的小数点、千分位与最小单位位数，无法确定含义的写法直接拒绝
+ */
+
+const registry = require('./registry');
+
+/**
+ * 货币格式约定
+ * decimal: 小数点  group: 千分位分隔符  minorUnits: 最小单位位数 (ISO 4217)
+ * indianGrouping: 千位以上按两位分组 (1,00,000)
+ */
+const CURRENCY_FORMATS = {
+  // 小数点为 "."
+  USD: { decimal: '.', group: ',', minorUnits: 2 },
+  CAD: { decimal: '.', group: ',', minorUnits: 2 },
+  MXN: { decimal: '.', group: ',', minorUnits: 2 },
+  PEN: { decimal: '.', group: ',', minorUnits: 2 },
+  GBP: { decimal: '.', group: ',', minorUnits: 2 },
+  ILS: { decimal: '.', group: ',', minorUnits: 2 },
+  AED: { decimal: '.', group: ',', minorUnits: 2 },
+  SAR: { decimal: '.', group: ',', minorUnits: 2 },
+  QAR: { decimal: '.', group: ',', minorUnits: 2 },
+  EGP: { decimal: '.', group: ',', minorUnits: 2 },
+  NGN: { decimal: '.', group: ',', minorUnits: 2 },
+  TZS: { decimal: '.', group: ',', minorUnits: 2 },
+  AUD: { decimal: '.', group: ',', minorUnits: 2 },
+  NZD: { decimal: '.', group: ',', minorUnits: 2 },
+  CNY: { decimal: '.', group: ',', minorUnits: 2 },
+  HKD: { decimal: '.', group: ',', minorUnits: 2 },
+  TWD: { decimal: '.', group: ',', minorUnits: 2 },
+  SGD: { decimal: '.', group: ',', minorUnits: 2 },
+  MYR: { decimal: '.', group: ',', minorUnits: 2 },
+  THB: { decimal: '.', group: ',', minorUnits: 2 },
+  PHP: { decimal: '.', group: ',', minorUnits: 2 },
+  PKR: { decimal: '.', group: ',', minorUnits: 2 },
+  INR: { decimal: '.', group: ',', minorUnits: 2, indianGrouping: true },
+  JPY: { decimal: '.', group: ',', minorUnits: 0 },
+  KRW: { decimal: '.', group: ',', minorUnits: 0 },
+  KWD: { decimal: '.', group: ',', minorUnits: 3 },
+  BHD: { decimal: '.', group: ',', minorUnits: 3 },
+  OMR: { decimal: '.', group: ',', minorUnits: 3 },
+  CHF: { decimal: '.', group: '\'', minorUnits: 2 },
+  // 小数点为 ","
+  EUR: { decimal: ',', group: '.', minorUnits: 2 },
+  BRL: { decimal: ',', group: '.', minorUnits: 2 },
+  COP: { decimal: ',', group: '.', minorUnits: 2 },
+  CLP: { decimal: ',', group: '.', minorUnits: 0 },
+  VND: { decimal: ',', group: '.', minorUnits: 0 },
+  IDR: { decimal: ',', group: '.', minorUnits: 2 },
+  TRY: { decimal: ',', group: '.', minorUnits: 2 },
+  RON: { decimal: ',', group: '.', minorUnits: 2 },
+  BGN: { decimal: ',', group: ' ', minorUnits: 2 },
+  DKK: { decimal: ',', group: '.', minorUnits: 2 },
+  NOK: { decimal: ',', group: ' ', minorUnits: 2 },
+  SEK: { decimal: ',', group: ' ', minorUnits: 2 },
+  PLN: { decimal: ',', group: ' ', minorUnits: 2 },
+  CZK: { decimal: ',', group: ' ', minorUnits: 2 },
+  HUF: { decimal: ',', group: ' ', minorUnits: 2 },
+  RUB: { decimal: ',', group: ' ', minorUnits: 2 },
+  KZT: { decimal: ',', group: ' ', minorUnits: 2 },
+  ZAR: { decimal: ',', group: ' ', minorUnits: 2 }
+};
+
+// 未登记货币的默认格式
+const DEFAULT_FORMAT = { decimal: '.', group: ',', minorUnits: 2 };
+
+/**
+ * 获取货币格式约定
+ * 未登记的货币使用默认分隔符，最小单位位数取自 ISO 4217 (lib/registry.js)
+ */
+function getCurrencyFormat(currency) {
+  if (CURRENCY_FORMATS[currency]) return CURRENCY_FORMATS[currency];
+  const minorUnits = registry.getMinorUnits(currency);
+  return minorUnits === null ? DEFAULT_FORMAT : { ...DEFAULT_FORMAT, minorUnits };
+}
+
+/**
+ * 检查整数部分的分组是否合法
+ */
+function isValidGrouping(groups, format) {
+  if (groups.length === 1) return groups[0].length > 0;
+  if (groups[0].length < 1 || groups[0].length > 3) return false;
+
+  const rest = groups.slice(1);
+  if (format.indianGrouping) {
+    // 1,00,000: 末组三位，其余各组两位
+    const last = rest.pop();
+    const leadingMax = rest.length > 0 ? 2 : 3;
+    return last.length === 3 && rest.every(g => g.length === 2) && groups[0].length <= leadingMax;
+  }
+  return rest.every(g => g.length === 3);
+}
+
+/**
+ * 解析价格字符串并记录判断依据
+ * 返回 { raw, currency, value, rule, error }，解析失败时 value 为 NaN 且 error 说明原因
+ */
+function parsePriceDetailed(text, currency) {
+  const format = getCurrencyFormat(currency);
+  const entry = { raw: text, currency: currency || null, value: NaN, rule: null, error: null };
+  const reject = (error) => Object.assign(entry, { error });
+
+  // 统一各类空格 (不换行空格、窄空格等)，并把瑞士写法 "1.–" 视为整数
+  const normalized = String(text)
+    .replace(/[\u00a0\u2007\u2009\u202f]/g, ' ')
+    .replace(/(\d)[.,]\s*[–—-]+/g, '$1');
+
+  const runs = normalized.match(/\d(?:[\d.,'’ ]*\d)?/g);
+  if (!runs) return reject('no-digits');
+  if (runs.length > 1) return reject('multiple-numbers');
+
+  const number = runs[0].replace(/’/g, '\'');
+  const separators = number.match(/[.,' ]/g) || [];
+
+  if (separators.length === 0) {
+    return Object.assign(entry, { value: parseInt(number, 10), rule: 'integer' });
+  }
+
+  const kinds = [...new Set(separators)];
+  const lastSep = separators[separators.length - 1];
+  const lastIndex = number.lastIndexOf(lastSep);
+  const digitsAfter = number.length - lastIndex - 1;
+  let decimalSep = null;
+  let rule;
+
+  if (lastSep === ' ' || lastSep === '\'') {
+    rule = 'grouping-only';
+  } else if (kinds.includes('.') && kinds.includes(',')) {
+    if (separators.filter(sep => sep === lastSep).length > 1) return reject('ambiguous-separator');
+    decimalSep = lastSep;
+    rule = 'mixed-separators';
+  } else if (separators.filter(sep => sep === lastSep).length > 1) {
+    rule = 'repeated-separator';
+  } else if (format.minorUnits === 0) {
+    if (digitsAfter !== 3) return reject('fraction-not-allowed');
+    rule = 'zero-minor-units';
+  } else if (digitsAfter === 3 && format.minorUnits < 3) {
+    rule = 'three-digit-group';
+  } else if (digitsAfter === 3) {
+    if (lastSep === format.decimal) {
+      decimalSep = lastSep;
+      rule = 'currency-decimal';
+    } else if (lastSep === format.group) {
+      rule = 'currency-group';
+    } else {
+      return reject('ambiguous-separator');
+    }
+  } else if (digitsAfter <= format.minorUnits) {
+    decimalSep = lastSep;
+    rule = lastSep === format.decimal ? 'currency-decimal' : 'fraction-digits';
+  } else {
+    return reject('ambiguous-separator');
+  }
+
+  const integerPart = decimalSep ? number.slice(0, lastIndex) : number;
+  const fraction = decimalSep ? number.slice(lastIndex + 1) : '';
+
+  if (fraction.length > format.minorUnits) return reject('too-many-fraction-digits');
+
+  const groups = integerPart.split(/[.,' ]/);
+  if (!isValidGrouping(groups, format)) return reject('invalid-grouping');
+
+  const value = parseFloat(`${groups.join('')}${fraction ? `.${fraction}` : ''}`);
+  return Object.assign(entry, { value, rule });
+}
+
+module.exports = {
+  CURRENCY_FORMATS,
+  getCurrencyFormat,
+  parsePriceDetailed
+};
@@ -0,0 +1,666 @@
+/**
+ * iCloud+ 价格查询引擎
+ * 查询解析、地区过滤、排名与格式化，不依赖任何平台 API
+ * 同时供 Alfred 工作流 (JXA) 与 Node 命令行使用，因此保持 ES5 写法并以 UMD 方式导出
+ * 依赖 lib/registry.js、lib/regions.js 与 lib/tiers.js，非 Node 环境下需先加载这些文件
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./registry'), require('./regions'), require('./tiers'));
+  } else {
+    root.IcloudQuery = factory(root.IcloudRegistry, root.IcloudRegions, root.IcloudTiers);
+  }
+}(this, function(registryModule, regionsModule, tiersModule) {
+
+  /**
+   * 计价口径关键词 -> 价格字段
+   */
+  var PRICE_BASIS = {
+    'incl': 'PriceInCNYInclTax',
+    '含税': 'PriceInCNYInclTax',
+    'excl': 'PriceInCNYExclTax',
+    '税前': 'PriceInCNYExclTax',
+    '不含税': 'PriceInCNYExclTax'
+  };
+
+  /**
+   * 价格字段 -> 显示标签
+   */
+  var PRICE_BASIS_LABELS = {
+    'PriceInCNYInclTax': '含税',
+    'PriceInCNYExclTax': '不含税'
+  };
+
+  /**
+   * 价格来源 -> 标签，只列出不是本次抓取得到的来源
+   */
+  var STALE_SOURCE_LABELS = {
+    'carried-over': '沿用旧数据',
+    'manual': '手动录入'
+  };
+
+  /**
+   * CNY 价格字段 -> 多币种价格字段
+   */
+  var PRICE_BASIS_MAPS = {
+    'PriceInCNY': 'PriceIn',
+    'PriceInCNYInclTax': 'PriceInInclTax',
+    'PriceInCNYExclTax': 'PriceInExclTax'
+  };
+
+  /**
+   * 可用于显示的货币及符号
+   */
+  var CURRENCY_SYMBOLS = {
+    'CNY': '¥',
+    'USD': '$',
+    'EUR': '€',
+    'HKD': 'HK$',
+    'JPY': 'JP¥',
+    'GBP': '£'
+  };
+
+  /**
+   * 价格上限中的货币符号 (查询已转为小写)
+   * 长的符号在前，避免 "hk$" 被识别为 "$"
+   */
+  var CAP_SYMBOLS = [
+    ['hk$', 'HKD'],
+    ['jp¥', 'JPY'],
+    ['¥', 'CNY'],
+    ['$', 'USD'],
+    ['€', 'EUR'],
+    ['£', 'GBP']
+  ];
+
+  /**
+   * 地区分组 (ISO 3166-1 alpha-2)，由注册表中的大洲与分组生成 (见 lib/registry.js)
+   * 分组名不能与地区代码重复，否则会被当作分组而非地区
+   */
+  var REGION_GROUPS = (function() {
+    var groupings = registryModule.GROUPINGS;
+    var continent = registryModule.countriesIn;
+    var except = function(list, excluded) {
+      return list.filter(function(iso) { return excluded.indexOf(iso) === -1; });
+    };
+    var americas = continent('NA').concat(continent('SA'));
+    return {
+      'eu': groupings.EU,
+      'europe': continent('EU').concat(groupings.TRANSCONTINENTAL_EUROPE),
+      'asia': except(continent('AS'), groupings.MIDDLE_EAST.concat(groupings.TRANSCONTINENTAL_EUROPE)),
+      'mideast': groupings.MIDDLE_EAST,
+      'northamerica': continent('NA'),
+      'latam': except(americas, groupings.NORTHERN_AMERICA),
+      'americas': americas,
+      'oceania': continent('OC'),
+      'africa': continent('AF')
+    };
+  }());
+
+  /**
+   * 分组的中文别名
+   */
+  var GROUP_ALIASES = {
+    '欧盟': 'eu',
+    '欧洲': 'europe',
+    '亚洲': 'asia',
+    '中东': 'mideast',
+    '北美': 'northamerica',
+    '拉美': 'latam',
+    '美洲': 'americas',
+    '大洋洲': 'oceania',
+    '非洲': 'africa'
+  };
+
+  /**
+   * 按货币查找地区的前缀，如 "cur:usd"
+   * 单独的 cny、usd、eur 等显示货币代码总是设置显示货币，需按这些货币查找地区时加此前缀
+   */
+  var CURRENCY_REGION_PREFIX = /^(?:cur|货币)[:：]([a-z]{3})$/;
+
+  /**
+   * 对比关键词
+   */
+  var COMPARE_TOKENS = ['vs', 'vs.', '对比'];
+
+  /**
+   * 按每 TB 价格排名的关键词
+   */
+  var PER_TB_TOKENS = ['/tb', 'pertb', '每tb'];
+
+  /**
+   * 按升级成本排名的关键词
+   */
+  var UPGRADE_TOKENS = ['upgrade', '升级'];
+
+  /**
+   * 升级成本排名的默认套餐 (200GB -> 2TB)
+   */
+  var DEFAULT_UPGRADE_PLAN = '2TB';
+
+  /**
+   * 获取国旗 emoji
+   */
+  function getFlag(iso) {
+    if (!/^[A-Za-z]{2}$/.test(iso || '')) return '';
+    return iso.toUpperCase().split('').map(function(c) {
+      return String.fromCodePoint(c.charCodeAt(0) + 127397);
+    }).join('');
+  }
+
+  /**
+   * 解析价格上限，如 "<30"、"<¥30"、"<=5usd"
+   * 未写货币时为 null，按显示货币比较
+   */
+  function parsePriceCap(token) {
+    var match = token.match(/^(?:<=?|≤)(.*)$/);
+    if (!match) return null;
+    var rest = match[1];
+    var currency = null;
+
+    for (var i = 0; i < CAP_SYMBOLS.length; i++) {
+      if (rest.indexOf(CAP_SYMBOLS[i][0]) === 0) {
+        currency = CAP_SYMBOLS[i][1];
+        rest = rest.slice(CAP_SYMBOLS[i][0].length);
+        break;
+      }
+    }
+
+    var number = rest.match(/^(\d+(?:\.\d+)?)([a-z]{3})?$/);
+    if (!number) return null;
+    if (number[2]) {
+      if (currency || !CURRENCY_SYMBOLS[number[2].toUpperCase()]) return null;
+      currency = number[2].toUpperCase();
+    }
+    return { value: parseFloat(number[1]), currency: currency };
+  }
+
+  /**
+   * 把组成地区名称的相邻单词合并为一个关键词，如 "south" "africa" -> "south africa"
+   * 最多合并四个单词，优先合并更长的名称
+   */
+  function mergeRegionNames(parts) {
+    var merged = [];
+    for (var i = 0; i < parts.length; i++) {
+      var taken = 1;
+      for (var n = Math.min(4, parts.length - i); n > 1; n--) {
+        if (regionsModule.isRegionName(parts.slice(i, i + n).join(' '))) {
+          taken = n;
+          break;
+        }
+      }
+      merged.push(parts.slice(i, i + taken).join(' '));
+      i += taken - 1;
+    }
+    return merged;
+  }
+
+  /**
+   * 解析查询字符串
+   * 返回 { help, plan, regions, groups, compare, maxPrice, top, perTB, upgrade, priceField, currency }
+   * regions 为地区关键词；出现 "vs" 时进入对比模式，compare 为 true
+   * 显示货币代码 (见 CURRENCY_SYMBOLS) 总是解析为 currency，按这些货币查找地区写作 "cur:usd"
+   */
+  function parseQuery(query) {
+    query = (query || '').toLowerCase().trim();
+    var parsed = {
+      help: false,
+      plan: null,
+      regions: [],
+      groups: [],
+      compare: false,
+      maxPrice: null,
+      top: null,
+      perTB: false,
+      upgrade: false,
+      priceField: null,
+      currency: null
+    };
+
+    if (query === 'help' || query === '?') {
+      parsed.help = true;
+      return parsed;
+    }
+
+    // 允许 "< 30"、"top 5" 这类带空格的写法
+    query = query
+      .replace(/(<=?|≤)\s+/g, '$1')
+      .replace(/\btop\s+(\d+)\b/g, 'top$1');
+
+    var parts = mergeRegionNames(query.split(/\s+/).filter(function(p) { return p.length > 0; }));
+    parts.forEach(function(part) {
+      var cap = parsePriceCap(part);
+      var top = part.match(/^top(\d+)$/);
+      var group = GROUP_ALIASES[part] || part;
+      var tier = tiersModule.parseTier(part);
+      var currencyRegion = part.match(CURRENCY_REGION_PREFIX);
+
+      if (currencyRegion) {
+        if (parsed.regions.indexOf(currencyRegion[1]) === -1) parsed.regions.push(currencyRegion[1]);
+      } else if (tier) {
+        parsed.plan = tier.id;
+      } else if (PRICE_BASIS[part]) {
+        parsed.priceField = PRICE_BASIS[part];
+      } else if (CURRENCY_SYMBOLS[part.toUpperCase()]) {
+        parsed.currency = part.toUpperCase();
+      } else if (COMPARE_TOKENS.indexOf(part) !== -1) {
+        parsed.compare = true;
+      } else if (PER_TB_TOKENS.indexOf(part) !== -1) {
+        parsed.perTB = true;
+      } else if (UPGRADE_TOKENS.indexOf(part) !== -1) {
+        parsed.upgrade = true;
+      } else if (cap) {
+        parsed.maxPrice = cap;
+      } else if (top && parseInt(top[1], 10) > 0) {
+        parsed.top = parseInt(top[1], 10);
+      } else if (REGION_GROUPS[group]) {
+        if (parsed.groups.indexOf(group) === -1) parsed.groups.push(group);
+      } else if (part.length >= 2 && parsed.regions.indexOf(part) === -1) {
+        parsed.regions.push(part);
+      }
+    });
+
+    return parsed;
+  }
+
+  /**
+   * 按关键词匹配地区，按匹配程度排序
+   * 支持中英文名称、拼音、ISO 代码、货币代码与拼写错误，详见 lib/regions.js
+   */
+  function matchRegions(regions, term) {
+    return regionsModule.searchRegions(regions, term);
+  }
+
+  /**
+   * 过滤地区: 各关键词与分组的匹配结果取并集，保持原有顺序
+   */
+  function filterRegions(regions, terms, groups) {
+    terms = terms || [];
+    groups = groups || [];
+    if (terms.length === 0 && groups.length === 0) return regions;
+
+    var selected = [];
+    terms.forEach(function(term) {
+      selected = selected.concat(matchRegions(regions, term));
+    });
+    groups.forEach(function(group) {
+      var members = REGION_GROUPS[group] || [];
+      selected = selected.concat(regions.filter(function(r) {
+        return members.indexOf(regionsModule.resolveRegionISO(r)) !== -1;
+      }));
+    });
+
+    return regions.filter(function(r) {
+      return selected.indexOf(r) !== -1;
+    });
+  }
+
+  /**
+   * 套餐容量 (TB)，按 1TB = 1000GB 计算，无法识别时返回 null
+   */
+  function getPlanTB(planName) {
+    var bytes = tiersModule.tierBytes(planName);
+    return bytes === null ? null : bytes / 1e12;
+  }
+
+  /**
+   * 由 CNY 价格换算为其他货币，缺少汇率时返回 null
+   */
+  function convertFromCNY(cny, currency, rates) {
+    if (currency === 'CNY') return cny;
+    if (rates && rates.CNY && rates[currency]) {
+      return cny / rates.CNY * rates[currency];
+    }
+    return null;
+  }
+
+  /**
+   * 读取指定口径的 CNY 价格，旧数据缺少该字段时退回 PriceInCNY
+   */
+  function getCNYPrice(plan, priceField) {
+    var value = plan[priceField || 'PriceInCNY'];
+    return typeof value === 'number' ? value : plan.PriceInCNY;
+  }
+
+  /**
+   * 读取显示货币的价格
+   * 优先使用数据中的换算结果，其次用汇率表由 CNY 换算，都没有时返回 null
+   */
+  function getDisplayPrice(plan, view) {
+    var cny = getCNYPrice(plan, view.priceField);
+    if (view.currency === 'CNY') return cny;
+
+    var converted = plan[PRICE_BASIS_MAPS[view.priceField] || 'PriceIn'];
+    if (converted && typeof converted[view.currency] === 'number') {
+      return converted[view.currency];
+    }
+
+    return convertFromCNY(cny, view.currency, view.rates);
+  }
+
+  /**
+   * 格式化金额，小数位数按 ISO 4217 最小单位 (未知货币保留 2 位)
+   */
+  function formatMoney(value, currency) {
+    var minorUnits = registryModule.getMinorUnits(currency);
+    var digits = minorUnits === null ? 2 : minorUnits;
+    var symbol = CURRENCY_SYMBOLS[currency];
+    return symbol ? symbol + value.toFixed(digits) : value.toFixed(digits) + ' ' + currency;
+  }
+
+  /**
+   * 格式化本地价格
+   */
+  function formatLocalPrice(price) {
+    return price % 1 === 0 ? price.toString() : price.toFixed(2);
+  }
+
+  /**
+   * 格式化带符号的百分比
+   */
+  function formatPercent(value) {
+    return (value >= 0 ? '+' : '') + value.toFixed(2) + '%';
+  }
+
+  /**
+   * 由 CNY 金额得到显示货币金额，无法换算时退回 CNY
+   */
+  function toDisplay(cny, view) {
+    var value = convertFromCNY(cny, view.currency, view.rates);
+    return value === null
+      ? { value: cny, currency: 'CNY' }
+      : { value: value, currency: view.currency };
+  }
+
+  /**
+   * 地区价格是否未在最近一次抓取中更新 (沿用旧数据或手动录入)
+   */
+  function isStale(region) {
+    return STALE_SOURCE_LABELS.hasOwnProperty(region.Source);
+  }
+
+  /**
+   * 过时价格的提示，如 "⚠️ 沿用旧数据 (2026-09-01)"，价格为最新时返回 null
+   */
+  function formatStale(region) {
+    if (!isStale(region)) return null;
+    var observed = region.PriceObservedAt ? ' (' + region.PriceObservedAt.slice(0, 10) + ')' : '';
+    return '⚠️ ' + STALE_SOURCE_LABELS[region.Source] + observed;
+  }
+
+  /**
+   * 生成与平台无关的结果行
+   * view.perTB 为 true 时显示价格与 CNY 价格均为每 TB 价格
+   * view.upgrade 为 true 时均为从上一档升级的每 TB 成本，套餐没有上一档时返回 null
+   */
+  function createRow(region, plan, planName, rank, view) {
+    var cnyPrice = getCNYPrice(plan, view.priceField);
+    var displayPrice = getDisplayPrice(plan, view);
+    var displayCurrency = view.currency;
+    var suffix = '';
+
+    if (view.upgrade) {
+      if (typeof plan.UpgradeCostPerTBInCNY !== 'number') return null;
+      cnyPrice = plan.UpgradeCostPerTBInCNY;
+      displayPrice = convertFromCNY(cnyPrice, view.currency, view.rates);
+      suffix = '/TB';
+    } else if (view.perTB) {
+      var tb = getPlanTB(planName);
+      // 口径与价值指标一致时直接使用抓取时算好的每 TB 价格，其他口径或旧数据按容量换算
+      cnyPrice = view.priceField === view.metricsBasis && typeof plan.PricePerTBInCNY === 'number'
+        ? plan.PricePerTBInCNY
+        : cnyPrice / tb;
+      if (view.currency === 'CNY') displayPrice = cnyPrice;
+      else if (displayPrice !== null) displayPrice = displayPrice / tb;
+      suffix = '/TB';
+    }
+
+    // 无法换算为显示货币时退回 CNY
+    if (displayPrice === null) {
+      displayPrice = cnyPrice;
+      displayCurrency = 'CNY';
+    }
+
+    var upgradeStr = null;
+    if (plan.UpgradeFrom && typeof plan.UpgradeCostInCNY === 'number') {
+      var cost = toDisplay(plan.UpgradeCostInCNY, view);
+      upgradeStr = plan.UpgradeFrom + '→' + planName + ' +' + formatMoney(cost.value, cost.currency);
+    }
+    var premium = typeof plan.PremiumVsMedian === 'number' ? plan.PremiumVsMedian : null;
+
+    return {
+      uid: region.CountryISO + '-' + planName,
+      iso: region.CountryISO,
+      flag: getFlag(region.CountryISO),
+      country: region.Country,
+      plan: planName,
+      rank: rank,
+      localPrice: plan.Price,
+      localCurrency: region.Currency,
+      localPriceStr: formatLocalPrice(plan.Price) + ' ' + region.Currency,
+      cnyPrice: cnyPrice,
+      displayPrice: displayPrice,
+      displayCurrency: displayCurrency,
+      displayStr: formatMoney(displayPrice, displayCurrency) + suffix,
+      basisLabel: PRICE_BASIS_LABELS[view.priceField] || null,
+      premiumPercent: premium,
+      premiumStr: premium === null ? null : '比中位数 ' + formatPercent(premium),
+      upgradeStr: upgradeStr,
+      stale: isStale(region),
+      observedAt: region.PriceObservedAt || null,
+      staleStr: formatStale(region)
+    };
+  }
+
+  /**
+   * 结果行是否不超过价格上限
+   * 上限未写货币时按显示货币比较，换算不了时按 CNY 比较
+   */
+  function withinCap(row, cap, view) {
+    var currency = cap.currency || view.currency;
+    var value = row.displayCurrency === currency
+      ? row.displayPrice
+      : convertFromCNY(row.cnyPrice, currency, view.rates);
+    if (value === null) value = row.cnyPrice;
+    return value <= cap.value;
+  }
+
+  /**
+   * 对比模式: 第一个地区为基准，其余地区给出差价与百分比
+   * 关键词匹配到多个地区时取第一个
+   */
+  function compareRegions(data, parsed, view) {
+    var sides = [];
+    for (var i = 0; i < parsed.regions.length; i++) {
+      var matches = matchRegions(data.regions, parsed.regions[i]);
+      if (matches.length === 0) {
+        return { type: 'empty', query: parsed, missing: parsed.regions[i] };
+      }
+      if (sides.indexOf(matches[0]) === -1) sides.push(matches[0]);
+    }
+    if (sides.length < 2) {
+      return { type: 'error', message: '对比需要至少两个不同的地区，如: 2tb us vs cn' };
+    }
+
+    var planNames = parsed.plan ? [parsed.plan] : sides[0].Plans.map(function(p) { return p.Name; });
+    var rows = [];
+
+    planNames.forEach(function(planName) {
+      var base = null;
+      sides.forEach(function(region) {
+        var plan = region.Plans.find(function(p) { return p.Name === planName; });
+        if (!plan) return;
+        var row = createRow(region, plan, planName, '-', view);
+        if (!row) return;
+
+        if (!base) {
+          base = row;
+          row.diff = null;
+          row.diffPercent = null;
+          row.diffStr = '基准';
+        } else {
+          // 显示货币一致时按显示货币计算差价，否则按 CNY
+          var sameCurrency = row.displayCurrency === base.displayCurrency;
+          var currency = sameCurrency ? row.displayCurrency : 'CNY';
+          var diff = sameCurrency ? row.displayPrice - base.displayPrice : row.cnyPrice - base.cnyPrice;
+          row.diff = diff;
+          row.diffPercent = Math.round((row.cnyPrice - base.cnyPrice) / base.cnyPrice * 10000) / 100;
+          row.diffStr = (diff >= 0 ? '+' : '-') + formatMoney(Math.abs(diff), currency) +
+            ' (' + formatPercent(row.diffPercent) + ')';
+        }
+        rows.push(row);
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * 数据中是否有套餐提供该价格字段
+   */
+  function hasPriceField(data, priceField) {
+    return data.regions.some(function(region) {
+      return region.Plans.some(function(plan) { return typeof plan[priceField] === 'number'; });
+    });
+  }
+
+  /**
+   * 执行查询
+   * options.currency: 未在查询中指定时使用的显示货币 (默认 CNY)
+   * 返回 { type: 'help' | 'error' | 'empty' | 'results', ... }
+   * results 的 mode 为 'region' (单个地区全部套餐)、'ranking' 或 'compare'
+   * results 的 notices 为数据不完整时的提示，如旧数据缺少含税/不含税价格
+   */
+  function executeQuery(data, query, options) {
+    options = options || {};
+    var parsed = parseQuery(query);
+
+    if (parsed.help) {
+      return { type: 'help' };
+    }
+
+    if (!data || !data.regions || data.regions.length === 0) {
+      return { type: 'error', message: '无法加载价格数据' };
+    }
+
+    var view = {
+      // 未指定计价口径时，沿用数据文件的排序口径
+      priceField: parsed.priceField || data.rankBasis || 'PriceInCNY',
+      currency: parsed.currency || (options.currency || 'CNY').toUpperCase(),
+      rates: data.exchangeRates && data.exchangeRates.rates,
+      metricsBasis: data.metrics ? data.metrics.basis : null,
+      perTB: parsed.perTB && !parsed.upgrade,
+      upgrade: parsed.upgrade
+    };
+    var notices = [];
+    // 旧数据没有含税/不含税价格时按标价计算，并且不显示计价标签
+    if (view.priceField !== 'PriceInCNY' && !hasPriceField(data, view.priceField)) {
+      notices.push('价格数据缺少' + PRICE_BASIS_LABELS[view.priceField] + '价格，按标价 (PriceInCNY) 计算，请重新运行 npm run fetch');
+      view.priceField = 'PriceInCNY';
+    }
+    // 档位以数据中出现的为准，未指定时取提供地区最多的档位
+    var catalog = tiersModule.getTierCatalog(data);
+    if (parsed.plan && !tiersModule.findTier(catalog, parsed.plan)) {
+      return {
+        type: 'error',
+        message: '未知的套餐: ' + parsed.plan + ' (可选: ' + catalog.map(function(t) { return t.id.toLowerCase(); }).join(', ') + ')'
+      };
+    }
+    var defaultPlan = view.upgrade && tiersModule.findTier(catalog, DEFAULT_UPGRADE_PLAN)
+      ? DEFAULT_UPGRADE_PLAN
+      : tiersModule.defaultTier(catalog);
+    var planName = parsed.plan || defaultPlan;
+    var rows = [];
+    var mode;
+
+    // 升级成本在抓取时计算，旧数据没有该指标
+    if (view.upgrade && !data.metrics) {
+      return { type: 'error', message: '价格数据缺少价值指标，请运行 npm run migrate 补算或重新运行 npm run fetch' };
+    }
+
+    if (parsed.compare) {
+      mode = 'compare';
+      rows = compareRegions(data, parsed, view);
+      if (!Array.isArray(rows)) return rows;
+    } else {
+      var filtered = filterRegions(data.regions, parsed.regions, parsed.groups);
+      if (filtered.length === 0) {
+        return { type: 'empty', query: parsed };
+      }
+
+      if (parsed.regions.length === 1 && parsed.groups.length === 0 && filtered.length === 1) {
+        // 精确匹配单个地区时，显示所有套餐
+        mode = 'region';
+        var region = filtered[0];
+        region.Plans.forEach(function(plan) {
+          var row = createRow(region, plan, plan.Name, '-', view);
+          if (row) rows.push(row);
+        });
+      } else if (view.perTB && !parsed.plan) {
+        // 未指定套餐时，按每 TB 价格对所有地区的所有套餐排名
+        mode = 'ranking';
+        filtered.forEach(function(r) {
+          r.Plans.forEach(function(plan) {
+            if (getPlanTB(plan.Name)) rows.push(createRow(r, plan, plan.Name, 0, view));
+          });
+        });
+        rows.sort(function(a, b) { return a.cnyPrice - b.cnyPrice; });
+      } else {
+        // 显示选定套餐的排名
+        mode = 'ranking';
+        filtered.forEach(function(r) {
+          var plan = r.Plans.find(function(p) { return p.Name === planName; });
+          var row = plan && createRow(r, plan, planName, 0, view);
+          if (row) rows.push(row);
+        });
+        // 按 CNY 价格排序，换算为其他货币不改变排名
+        rows.sort(function(a, b) { return a.cnyPrice - b.cnyPrice; });
+      }
+    }
+
+    // 数据中没有显示货币的换算价格与汇率时，结果行退回 CNY
+    if (rows.some(function(row) { return row.displayCurrency !== view.currency; })) {
+      notices.push('价格数据缺少 ' + view.currency + ' 汇率，部分价格以 CNY 显示');
+    }
+
+    if (parsed.maxPrice) {
+      rows = rows.filter(function(row) { return withinCap(row, parsed.maxPrice, view); });
+    }
+    if (mode === 'ranking') {
+      if (parsed.top) rows = rows.slice(0, parsed.top);
+      rows.forEach(function(row, idx) { row.rank = idx + 1; });
+    }
+
+    return {
+      type: 'results',
+      mode: mode,
+      plan: mode === 'ranking' && view.perTB && !parsed.plan ? null : planName,
+      query: parsed,
+      view: { priceField: view.priceField, currency: view.currency, perTB: view.perTB, upgrade: view.upgrade },
+      metricsBasis: data.metrics ? data.metrics.basis : null,
+      rows: rows,
+      notices: notices,
+      lastUpdated: data.lastUpdated || null
+    };
+  }
+
+  return {
+    PRICE_BASIS: PRICE_BASIS,
+    PRICE_BASIS_LABELS: PRICE_BASIS_LABELS,
+    CURRENCY_SYMBOLS: CURRENCY_SYMBOLS,
+    REGION_GROUPS: REGION_GROUPS,
+    getFlag: getFlag,
+    isStale: isStale,
+    parseQuery: parseQuery,
+    parsePriceCap: parsePriceCap,
+    matchRegions: matchRegions,
+    filterRegions: filterRegions,
+    getPlanTB: getPlanTB,
+    convertFromCNY: convertFromCNY,
+    getCNYPrice: getCNYPrice,
+    getDisplayPrice: getDisplayPrice,
+    formatMoney: formatMoney,
+    createRow: createRow,
+    executeQuery: executeQuery
+  };
+}));
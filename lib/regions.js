@@ -0,0 +1,355 @@
+/**
+ * 地区别名与模糊匹配
+ * 支持英文名、中文名、拼音、ISO 3166-1 alpha-2/alpha-3 代码与货币代码
+ * 代码与英文名称取自 lib/registry.js，这里只补充中文名与拼音
+ * 与 lib/query.js 一样保持 ES5 写法，供 JXA 与 Node 共用，非 Node 环境下需先加载 lib/registry.js
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./registry'));
+  } else {
+    root.IcloudRegions = factory(root.IcloudRegistry);
+  }
+}(this, function(registry) {
+
+  /**
+   * 中文名与拼音，键为 lib/registry.js 中的 alpha-2 代码
+   */
+  var REGION_ALIASES = {
+    // 美洲
+    'US': { zh: ['美国'], pinyin: ['meiguo'] },
+    'CA': { zh: ['加拿大'], pinyin: ['jianada'] },
+    'MX': { zh: ['墨西哥'], pinyin: ['moxige'] },
+    'BR': { zh: ['巴西'], pinyin: ['baxi'] },
+    'AR': { zh: ['阿根廷'], pinyin: ['agenting'] },
+    'CL': { zh: ['智利'], pinyin: ['zhili'] },
+    'CO': { zh: ['哥伦比亚'], pinyin: ['gelunbiya'] },
+    'PE': { zh: ['秘鲁'], pinyin: ['bilu'] },
+    'EC': { zh: ['厄瓜多尔'], pinyin: ['eguaduoer'] },
+    'BO': { zh: ['玻利维亚'], pinyin: ['boliweiya'] },
+    'PY': { zh: ['巴拉圭'], pinyin: ['balagui'] },
+    'UY': { zh: ['乌拉圭'], pinyin: ['wulagui'] },
+    'VE': { zh: ['委内瑞拉'], pinyin: ['weineiruila'] },
+    'CR': { zh: ['哥斯达黎加'], pinyin: ['gesidalijia'] },
+    'PA': { zh: ['巴拿马'], pinyin: ['banama'] },
+    'GT': { zh: ['危地马拉'], pinyin: ['weidimala'] },
+    'HN': { zh: ['洪都拉斯'], pinyin: ['hongdulasi'] },
+    'SV': { zh: ['萨尔瓦多'], pinyin: ['saerwaduo'] },
+    'NI': { zh: ['尼加拉瓜'], pinyin: ['nijialagua'] },
+    'DO': { zh: ['多米尼加'], pinyin: ['duominijia'] },
+    'JM': { zh: ['牙买加'], pinyin: ['yamaijia'] },
+    'TT': { zh: ['特立尼达和多巴哥'], pinyin: ['telinida'] },
+    'BS': { zh: ['巴哈马'], pinyin: ['bahama'] },
+    'BB': { zh: ['巴巴多斯'], pinyin: ['babaduosi'] },
+    'BZ': { zh: ['伯利兹'], pinyin: ['bolizi'] },
+    'GY': { zh: ['圭亚那'], pinyin: ['guiyana'] },
+    'SR': { zh: ['苏里南'], pinyin: ['sulinan'] },
+    // 欧洲
+    'GB': { zh: ['英国'], pinyin: ['yingguo'] },
+    'IE': { zh: ['爱尔兰'], pinyin: ['aierlan'] },
+    'DE': { zh: ['德国'], pinyin: ['deguo'] },
+    'FR': { zh: ['法国'], pinyin: ['faguo'] },
+    'IT': { zh: ['意大利'], pinyin: ['yidali'] },
+    'ES': { zh: ['西班牙'], pinyin: ['xibanya'] },
+    'PT': { zh: ['葡萄牙'], pinyin: ['putaoya'] },
+    'NL': { zh: ['荷兰'], pinyin: ['helan'] },
+    'BE': { zh: ['比利时'], pinyin: ['bilishi'] },
+    'LU': { zh: ['卢森堡'], pinyin: ['lusenbao'] },
+    'AT': { zh: ['奥地利'], pinyin: ['aodili'] },
+    'CH': { zh: ['瑞士'], pinyin: ['ruishi'] },
+    'LI': { zh: ['列支敦士登'], pinyin: ['liezhidunshideng'] },
+    'MC': { zh: ['摩纳哥'], pinyin: ['monage'] },
+    'DK': { zh: ['丹麦'], pinyin: ['danmai'] },
+    'SE': { zh: ['瑞典'], pinyin: ['ruidian'] },
+    'NO': { zh: ['挪威'], pinyin: ['nuowei'] },
+    'FI': { zh: ['芬兰'], pinyin: ['fenlan'] },
+    'IS': { zh: ['冰岛'], pinyin: ['bingdao'] },
+    'EE': { zh: ['爱沙尼亚'], pinyin: ['aishaniya'] },
+    'LV': { zh: ['拉脱维亚'], pinyin: ['latuoweiya'] },
+    'LT': { zh: ['立陶宛'], pinyin: ['litaowan'] },
+    'PL': { zh: ['波兰'], pinyin: ['bolan'] },
+    'CZ': { zh: ['捷克'], pinyin: ['jieke'] },
+    'SK': { zh: ['斯洛伐克'], pinyin: ['siluofake'] },
+    'HU': { zh: ['匈牙利'], pinyin: ['xiongyali'] },
+    'SI': { zh: ['斯洛文尼亚'], pinyin: ['siluowenniya'] },
+    'HR': { zh: ['克罗地亚'], pinyin: ['keluodiya'] },
+    'RO': { zh: ['罗马尼亚'], pinyin: ['luomaniya'] },
+    'BG': { zh: ['保加利亚'], pinyin: ['baojialiya'] },
+    'GR': { zh: ['希腊'], pinyin: ['xila'] },
+    'CY': { zh: ['塞浦路斯'], pinyin: ['saipulusi'] },
+    'MT': { zh: ['马耳他'], pinyin: ['maerta'] },
+    'AL': { zh: ['阿尔巴尼亚'], pinyin: ['aerbaniya'] },
+    'BA': { zh: ['波黑'], pinyin: ['bohei'] },
+    'RS': { zh: ['塞尔维亚'], pinyin: ['saierweiya'] },
+    'ME': { zh: ['黑山'], pinyin: ['heishan'] },
+    'XK': { zh: ['科索沃'], pinyin: ['kesuowo'] },
+    'MK': { zh: ['北马其顿'], pinyin: ['beimaqidun'] },
+    'MD': { zh: ['摩尔多瓦'], pinyin: ['moerduowa'] },
+    'UA': { zh: ['乌克兰'], pinyin: ['wukelan'] },
+    'BY': { zh: ['白俄罗斯'], pinyin: ['baieluosi'] },
+    'RU': { zh: ['俄罗斯'], pinyin: ['eluosi'] },
+    'TR': { zh: ['土耳其'], pinyin: ['tuerqi'] },
+    'GE': { zh: ['格鲁吉亚'], pinyin: ['gelujiya'] },
+    'AM': { zh: ['亚美尼亚'], pinyin: ['yameiniya'] },
+    'AZ': { zh: ['阿塞拜疆'], pinyin: ['asaibaijiang'] },
+    // 中东
+    'IL': { zh: ['以色列'], pinyin: ['yiselie'] },
+    'AE': { zh: ['阿联酋'], pinyin: ['alianqiu'] },
+    'SA': { zh: ['沙特阿拉伯', '沙特'], pinyin: ['shate'] },
+    'QA': { zh: ['卡塔尔'], pinyin: ['kataer'] },
+    'KW': { zh: ['科威特'], pinyin: ['keweite'] },
+    'BH': { zh: ['巴林'], pinyin: ['balin'] },
+    'OM': { zh: ['阿曼'], pinyin: ['aman'] },
+    'JO': { zh: ['约旦'], pinyin: ['yuedan'] },
+    'LB': { zh: ['黎巴嫩'], pinyin: ['libanen'] },
+    'IQ': { zh: ['伊拉克'], pinyin: ['yilake'] },
+    'YE': { zh: ['也门'], pinyin: ['yemen'] },
+    // 非洲
+    'EG': { zh: ['埃及'], pinyin: ['aiji'] },
+    'ZA': { zh: ['南非'], pinyin: ['nanfei'] },
+    'NG': { zh: ['尼日利亚'], pinyin: ['niriliya'] },
+    'KE': { zh: ['肯尼亚'], pinyin: ['kenniya'] },
+    'TZ': { zh: ['坦桑尼亚'], pinyin: ['tansangniya'] },
+    'UG': { zh: ['乌干达'], pinyin: ['wuganda'] },
+    'RW': { zh: ['卢旺达'], pinyin: ['luwangda'] },
+    'GH': { zh: ['加纳'], pinyin: ['jiana'] },
+    'CI': { zh: ['科特迪瓦'], pinyin: ['ketediwa'] },
+    'SN': { zh: ['塞内加尔'], pinyin: ['saineijiaer'] },
+    'CM': { zh: ['喀麦隆'], pinyin: ['kamailong'] },
+    'MA': { zh: ['摩洛哥'], pinyin: ['moluoge'] },
+    'DZ': { zh: ['阿尔及利亚'], pinyin: ['aerjiliya'] },
+    'TN': { zh: ['突尼斯'], pinyin: ['tunisi'] },
+    'LY': { zh: ['利比亚'], pinyin: ['libiya'] },
+    'ET': { zh: ['埃塞俄比亚'], pinyin: ['aisaiebiya'] },
+    'ZM': { zh: ['赞比亚'], pinyin: ['zanbiya'] },
+    'ZW': { zh: ['津巴布韦'], pinyin: ['jinbabuwei'] },
+    'BW': { zh: ['博茨瓦纳'], pinyin: ['bociwana'] },
+    'NA': { zh: ['纳米比亚'], pinyin: ['namibiya'] },
+    'MZ': { zh: ['莫桑比克'], pinyin: ['mosangbike'] },
+    'MG': { zh: ['马达加斯加'], pinyin: ['madajiasijia'] },
+    'MU': { zh: ['毛里求斯'], pinyin: ['maoliqiusi'] },
+    'AO': { zh: ['安哥拉'], pinyin: ['angela'] },
+    'ML': { zh: ['马里'], pinyin: ['mali'] },
+    'NE': { zh: ['尼日尔'], pinyin: ['nirier'] },
+    // 亚洲
+    'CN': { zh: ['中国大陆', '中国', '大陆', '国区'], pinyin: ['zhongguo', 'dalu'] },
+    'HK': { zh: ['香港', '港区'], pinyin: ['xianggang'] },
+    'MO': { zh: ['澳门'], pinyin: ['aomen'] },
+    'TW': { zh: ['台湾', '台灣'], pinyin: ['taiwan'] },
+    'JP': { zh: ['日本', '日区'], pinyin: ['riben'] },
+    'KR': { zh: ['韩国'], pinyin: ['hanguo'] },
+    'MN': { zh: ['蒙古'], pinyin: ['menggu'] },
+    'SG': { zh: ['新加坡'], pinyin: ['xinjiapo'] },
+    'MY': { zh: ['马来西亚'], pinyin: ['malaixiya'] },
+    'TH': { zh: ['泰国'], pinyin: ['taiguo'] },
+    'ID': { zh: ['印度尼西亚', '印尼'], pinyin: ['yinni', 'yindunixiya'] },
+    'PH': { zh: ['菲律宾'], pinyin: ['feilvbin', 'feilubin'] },
+    'VN': { zh: ['越南'], pinyin: ['yuenan'] },
+    'KH': { zh: ['柬埔寨'], pinyin: ['jianpuzhai'] },
+    'LA': { zh: ['老挝'], pinyin: ['laowo'] },
+    'MM': { zh: ['缅甸'], pinyin: ['miandian'] },
+    'BN': { zh: ['文莱'], pinyin: ['wenlai'] },
+    'IN': { zh: ['印度'], pinyin: ['yindu'] },
+    'PK': { zh: ['巴基斯坦'], pinyin: ['bajisitan'] },
+    'BD': { zh: ['孟加拉国', '孟加拉'], pinyin: ['mengjiala'] },
+    'LK': { zh: ['斯里兰卡'], pinyin: ['sililanka'] },
+    'NP': { zh: ['尼泊尔'], pinyin: ['niboer'] },
+    'BT': { zh: ['不丹'], pinyin: ['budan'] },
+    'MV': { zh: ['马尔代夫'], pinyin: ['maerdaifu'] },
+    'AF': { zh: ['阿富汗'], pinyin: ['afuhan'] },
+    'KZ': { zh: ['哈萨克斯坦'], pinyin: ['hasakesitan'] },
+    'UZ': { zh: ['乌兹别克斯坦'], pinyin: ['wuzibiekesitan'] },
+    'KG': { zh: ['吉尔吉斯斯坦'], pinyin: ['jierjisisitan'] },
+    'TJ': { zh: ['塔吉克斯坦'], pinyin: ['tajikesitan'] },
+    'TM': { zh: ['土库曼斯坦'], pinyin: ['tukumansitan'] },
+    // 大洋洲
+    'AU': { zh: ['澳大利亚', '澳洲'], pinyin: ['aodaliya', 'aozhou'] },
+    'NZ': { zh: ['新西兰'], pinyin: ['xinxilan'] },
+    'FJ': { zh: ['斐济'], pinyin: ['feiji'] },
+    'PG': { zh: ['巴布亚新几内亚'], pinyin: ['babuyaxinjineiya'] }
+  };
+
+  /**
+   * 匹配得分
+   */
+  var SCORE = {
+    exact: 100,
+    prefix: 80,
+    wordPrefix: 70,
+    substring: 60,
+    fuzzy: 50
+  };
+
+  /**
+   * 统一名称: 小写、去掉变音符号、空格与标点
+   */
+  function normalizeName(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\u3400-\u9fff]+/g, '');
+  }
+
+  /**
+   * 拆分单词，用于单词前缀匹配 ("korea" -> "Republic of Korea")
+   */
+  function splitWords(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(function(w) { return w.length > 0; });
+  }
+
+  /**
+   * 是否为注册表中的英文名称，用于把 "south africa" 这类多个单词合并为一个关键词
+   */
+  function isRegionName(text) {
+    return registry.resolveCountry(text) !== null;
+  }
+
+  /**
+   * 确定地区的 alpha-2 代码
+   * 名称能由注册表解析时以名称为准 (与抓取脚本一致)，否则使用数据中的 CountryISO
+   */
+  function resolveRegionISO(region) {
+    return registry.resolveCountry(region.Country) || region.CountryISO.toUpperCase();
+  }
+
+  /**
+   * 地区的全部可匹配关键词
+   * codes: 代码类 (只做完全匹配)  names: 名称类 (可前缀、子串与模糊匹配)
+   */
+  function getRegionKeys(region) {
+    // 不使用数据中的 CountryISO: 按美元计价的地区曾被误标为 US
+    var iso = resolveRegionISO(region);
+    var country = registry.getCountry(iso);
+    var entry = REGION_ALIASES[iso];
+    var codes = [iso, region.Currency];
+    var names = [region.Country];
+
+    if (country) {
+      codes.push(country.alpha3);
+      names = names.concat([country.name], country.aliases);
+    }
+    if (entry) {
+      names = names.concat(entry.zh, entry.pinyin);
+    }
+
+    return {
+      codes: codes.filter(Boolean).map(normalizeName),
+      names: names.map(function(name) { return { text: name, key: normalizeName(name) }; })
+    };
+  }
+
+  /**
+   * 编辑距离 (相邻字符交换计为一次编辑)
+   */
+  function editDistance(a, b) {
+    var rows = [];
+    for (var i = 0; i <= a.length; i++) {
+      rows.push([i]);
+    }
+    for (var j = 1; j <= b.length; j++) {
+      rows[0][j] = j;
+    }
+    for (i = 1; i <= a.length; i++) {
+      for (j = 1; j <= b.length; j++) {
+        var cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a.charAt(i - 1) === b.charAt(j - 2) && a.charAt(i - 2) === b.charAt(j - 1)) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * 允许的拼写错误数: 4 个字符以下不做模糊匹配
+   */
+  function allowedTypos(length) {
+    if (length < 4) return 0;
+    return length < 7 ? 1 : 2;
+  }
+
+  /**
+   * 计算关键词与地区的匹配得分，不匹配时返回 0
+   */
+  function scoreRegion(region, term) {
+    var key = normalizeName(term);
+    if (!key) return 0;
+
+    var keys = getRegionKeys(region);
+    if (keys.codes.indexOf(key) !== -1) return SCORE.exact;
+
+    // 中文不分词，一个字就有意义；拉丁字母至少两个字符才做子串匹配
+    var isCJK = /[\u3400-\u9fff]/.test(key);
+    var minSubstring = isCJK ? 1 : 3;
+    var typos = isCJK ? 0 : allowedTypos(key.length);
+    var best = 0;
+
+    keys.names.forEach(function(name) {
+      var score = 0;
+      if (name.key === key) {
+        score = SCORE.exact;
+      } else if (name.key.indexOf(key) === 0) {
+        score = SCORE.prefix;
+      } else if (splitWords(name.text).some(function(w) { return w.indexOf(key) === 0 && key.length >= 2; })) {
+        score = SCORE.wordPrefix;
+      } else if (key.length >= minSubstring && name.key.indexOf(key) !== -1) {
+        score = SCORE.substring;
+      } else if (typos > 0) {
+        // 与整个名称或同长度的前缀比较，兼容 "germny"、"austrlia" 这类输入
+        var distance = Math.min(
+          editDistance(key, name.key),
+          editDistance(key, name.key.slice(0, key.length))
+        );
+        if (distance <= typos) {
+          score = SCORE.fuzzy - distance * 10;
+        }
+      }
+      if (score > best) best = score;
+    });
+
+    return best;
+  }
+
+  /**
+   * 按得分排序返回匹配的地区
+   * 存在完全匹配时只返回完全匹配的地区；模糊匹配只在没有其他匹配时使用
+   */
+  function searchRegions(regions, term) {
+    var scored = [];
+    regions.forEach(function(region, index) {
+      var score = scoreRegion(region, term);
+      if (score > 0) scored.push({ region: region, score: score, index: index });
+    });
+    if (scored.length === 0) return [];
+
+    scored.sort(function(a, b) {
+      return b.score - a.score || a.index - b.index;
+    });
+
+    var top = scored[0].score;
+    return scored.filter(function(item) {
+      if (top === SCORE.exact) return item.score === SCORE.exact;
+      if (top > SCORE.fuzzy) return item.score > SCORE.fuzzy;
+      return true;
+    }).map(function(item) {
+      return item.region;
+    });
+  }
+
+  return {
+    REGION_ALIASES: REGION_ALIASES,
+    normalizeName: normalizeName,
+    isRegionName: isRegionName,
+    resolveRegionISO: resolveRegionISO,
+    editDistance: editDistance,
+    scoreRegion: scoreRegion,
+    searchRegions: searchRegions
+  };
+}));
@@ -0,0 +1,445 @@
+/**
+ * ISO 3166-1 国家与地区 / ISO 4217 货币注册表
+ * 每个国家记录 alpha-2、alpha-3、数字代码、英文简称、法定货币、所在大洲、近似地理中心与常见别名，另有欧盟、中东等跨大洲分组
+ * 抓取脚本据此把页面上的国家名称确定地解析为 alpha-2 代码，无法识别的名称报错而不是猜测
+ * 查询时的地区代码与英文名称 (lib/regions.js) 也取自这里
+ * 与 lib/query.js 一样保持 ES5 写法，供 JXA 与 Node 共用
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IcloudRegistry = factory();
+  }
+}(this, function() {
+
+  // 大洲分组
+  var CONTINENTS = {
+    AF: 'Africa',
+    AN: 'Antarctica',
+    AS: 'Asia',
+    EU: 'Europe',
+    NA: 'North America',
+    OC: 'Oceania',
+    SA: 'South America'
+  };
+
+  // ISO 4217 现行货币代码，另含过渡期内仍可能出现在页面上的 BGN 与 ANG
+  var CURRENCY_CODES = (
+    'AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN BZD ' +
+    'CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD GNF ' +
+    'GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT LAK LBP ' +
+    'LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR NZD OMR PAB ' +
+    'PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP STN SVC SYP SZL ' +
+    'THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG XOF XPF YER ZAR ZMW ZWG'
+  ).split(' ');
+
+  // ISO 4217 最小单位位数，未列出的货币为 2 位
+  var MINOR_UNIT_EXCEPTIONS = {
+    0: ['BIF', 'CLP', 'DJF', 'GNF', 'ISK', 'JPY', 'KMF', 'KRW', 'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'],
+    3: ['BHD', 'IQD', 'JOD', 'KWD', 'LYD', 'OMR', 'TND']
+  };
+
+  // alpha-2|alpha-3|数字代码|英文简称|货币|大洲|别名 (以 ; 分隔)
+  // 货币为 ISO 4217 中该地区的法定货币，南极洲没有法定货币
+  // 科索沃没有正式的 ISO 3166-1 代码，使用通行的用户自定义代码 XK / XKX，没有数字代码
+  // 别名包括页面上可能出现的名称与查询时常用的英文别称
+  var COUNTRY_TABLE = [
+    'AD|AND|020|Andorra|EUR|EU|',
+    'AE|ARE|784|United Arab Emirates|AED|AS|UAE;Emirates',
+    'AF|AFG|004|Afghanistan|AFN|AS|',
+    'AG|ATG|028|Antigua and Barbuda|XCD|NA|',
+    'AI|AIA|660|Anguilla|XCD|NA|',
+    'AL|ALB|008|Albania|ALL|EU|',
+    'AM|ARM|051|Armenia|AMD|AS|',
+    'AO|AGO|024|Angola|AOA|AF|',
+    'AQ|ATA|010|Antarctica||AN|',
+    'AR|ARG|032|Argentina|ARS|SA|',
+    'AS|ASM|016|American Samoa|USD|OC|',
+    'AT|AUT|040|Austria|EUR|EU|',
+    'AU|AUS|036|Australia|AUD|OC|',
+    'AW|ABW|533|Aruba|AWG|NA|',
+    'AX|ALA|248|Åland Islands|EUR|EU|Aland',
+    'AZ|AZE|031|Azerbaijan|AZN|AS|',
+    'BA|BIH|070|Bosnia and Herzegovina|BAM|EU|Bosnia',
+    'BB|BRB|052|Barbados|BBD|NA|',
+    'BD|BGD|050|Bangladesh|BDT|AS|',
+    'BE|BEL|056|Belgium|EUR|EU|',
+    'BF|BFA|854|Burkina Faso|XOF|AF|',
+    'BG|BGR|100|Bulgaria|EUR|EU|',
+    'BH|BHR|048|Bahrain|BHD|AS|',
+    'BI|BDI|108|Burundi|BIF|AF|',
+    'BJ|BEN|204|Benin|XOF|AF|',
+    'BL|BLM|652|Saint Barthélemy|EUR|NA|St Barts',
+    'BM|BMU|060|Bermuda|BMD|NA|',
+    'BN|BRN|096|Brunei Darussalam|BND|AS|Brunei',
+    'BO|BOL|068|Bolivia (Plurinational State of)|BOB|SA|Bolivia',
+    'BQ|BES|535|Bonaire, Sint Eustatius and Saba|USD|NA|Caribbean Netherlands',
+    'BR|BRA|076|Brazil|BRL|SA|Brasil',
+    'BS|BHS|044|Bahamas|BSD|NA|',
+    'BT|BTN|064|Bhutan|BTN|AS|',
+    'BV|BVT|074|Bouvet Island|NOK|AN|',
+    'BW|BWA|072|Botswana|BWP|AF|',
+    'BY|BLR|112|Belarus|BYN|EU|',
+    'BZ|BLZ|084|Belize|BZD|NA|',
+    'CA|CAN|124|Canada|CAD|NA|',
+    'CC|CCK|166|Cocos (Keeling) Islands|AUD|AS|Cocos Islands',
+    'CD|COD|180|Congo, Democratic Republic of the|CDF|AF|Democratic Republic of the Congo;Democratic Republic of Congo;DR Congo;Congo (DRC)',
+    'CF|CAF|140|Central African Republic|XAF|AF|',
+    'CG|COG|178|Congo|XAF|AF|Republic of Congo;Republic of the Congo;Congo-Brazzaville',
+    'CH|CHE|756|Switzerland|CHF|EU|',
+    'CI|CIV|384|Côte d\'Ivoire|XOF|AF|Ivory Coast',
+    'CK|COK|184|Cook Islands|NZD|OC|',
+    'CL|CHL|152|Chile|CLP|SA|',
+    'CM|CMR|120|Cameroon|XAF|AF|',
+    'CN|CHN|156|China|CNY|AS|China mainland;Mainland China',
+    'CO|COL|170|Colombia|COP|SA|',
+    'CR|CRI|188|Costa Rica|CRC|NA|',
+    'CU|CUB|192|Cuba|CUP|NA|',
+    'CV|CPV|132|Cabo Verde|CVE|AF|Cape Verde',
+    'CW|CUW|531|Curaçao|XCG|NA|',
+    'CX|CXR|162|Christmas Island|AUD|AS|',
+    'CY|CYP|196|Cyprus|EUR|EU|',
+    'CZ|CZE|203|Czechia|CZK|EU|Czech Republic',
+    'DE|DEU|276|Germany|EUR|EU|Deutschland',
+    'DJ|DJI|262|Djibouti|DJF|AF|',
+    'DK|DNK|208|Denmark|DKK|EU|',
+    'DM|DMA|212|Dominica|XCD|NA|',
+    'DO|DOM|214|Dominican Republic|DOP|NA|',
+    'DZ|DZA|012|Algeria|DZD|AF|',
+    'EC|ECU|218|Ecuador|USD|SA|',
+    'EE|EST|233|Estonia|EUR|EU|',
+    'EG|EGY|818|Egypt|EGP|AF|',
+    'EH|ESH|732|Western Sahara|MAD|AF|',
+    'ER|ERI|232|Eritrea|ERN|AF|',
+    'ES|ESP|724|Spain|EUR|EU|Espana',
+    'ET|ETH|231|Ethiopia|ETB|AF|',
+    'FI|FIN|246|Finland|EUR|EU|',
+    'FJ|FJI|242|Fiji|FJD|OC|',
+    'FK|FLK|238|Falkland Islands (Malvinas)|FKP|SA|Falkland Islands',
+    'FM|FSM|583|Micronesia (Federated States of)|USD|OC|Micronesia',
+    'FO|FRO|234|Faroe Islands|DKK|EU|',
+    'FR|FRA|250|France|EUR|EU|',
+    'GA|GAB|266|Gabon|XAF|AF|',
+    'GB|GBR|826|United Kingdom of Great Britain and Northern Ireland|GBP|EU|United Kingdom;UK;Great Britain;Britain;England',
+    'GD|GRD|308|Grenada|XCD|NA|',
+    'GE|GEO|268|Georgia|GEL|AS|',
+    'GF|GUF|254|French Guiana|EUR|SA|',
+    'GG|GGY|831|Guernsey|GBP|EU|',
+    'GH|GHA|288|Ghana|GHS|AF|',
+    'GI|GIB|292|Gibraltar|GIP|EU|',
+    'GL|GRL|304|Greenland|DKK|NA|',
+    'GM|GMB|270|Gambia|GMD|AF|The Gambia',
+    'GN|GIN|324|Guinea|GNF|AF|',
+    'GP|GLP|312|Guadeloupe|EUR|NA|',
+    'GQ|GNQ|226|Equatorial Guinea|XAF|AF|',
+    'GR|GRC|300|Greece|EUR|EU|',
+    'GS|SGS|239|South Georgia and the South Sandwich Islands|GBP|AN|',
+    'GT|GTM|320|Guatemala|GTQ|NA|',
+    'GU|GUM|316|Guam|USD|OC|',
+    'GW|GNB|624|Guinea-Bissau|XOF|AF|',
+    'GY|GUY|328|Guyana|GYD|SA|',
+    'HK|HKG|344|Hong Kong|HKD|AS|Hong Kong SAR;Hong Kong SAR China',
+    'HM|HMD|334|Heard Island and McDonald Islands|AUD|AN|',
+    'HN|HND|340|Honduras|HNL|NA|',
+    'HR|HRV|191|Croatia|EUR|EU|',
+    'HT|HTI|332|Haiti|HTG|NA|',
+    'HU|HUN|348|Hungary|HUF|EU|',
+    'ID|IDN|360|Indonesia|IDR|AS|',
+    'IE|IRL|372|Ireland|EUR|EU|',
+    'IL|ISR|376|Israel|ILS|AS|',
+    'IM|IMN|833|Isle of Man|GBP|EU|',
+    'IN|IND|356|India|INR|AS|',
+    'IO|IOT|086|British Indian Ocean Territory|USD|AS|',
+    'IQ|IRQ|368|Iraq|IQD|AS|',
+    'IR|IRN|364|Iran (Islamic Republic of)|IRR|AS|Iran',
+    'IS|ISL|352|Iceland|ISK|EU|',
+    'IT|ITA|380|Italy|EUR|EU|Italia',
+    'JE|JEY|832|Jersey|GBP|EU|',
+    'JM|JAM|388|Jamaica|JMD|NA|',
+    'JO|JOR|400|Jordan|JOD|AS|',
+    'JP|JPN|392|Japan|JPY|AS|Nippon',
+    'KE|KEN|404|Kenya|KES|AF|',
+    'KG|KGZ|417|Kyrgyzstan|KGS|AS|Kyrgyz Republic',
+    'KH|KHM|116|Cambodia|KHR|AS|',
+    'KI|KIR|296|Kiribati|AUD|OC|',
+    'KM|COM|174|Comoros|KMF|AF|',
+    'KN|KNA|659|Saint Kitts and Nevis|XCD|NA|',
+    'KP|PRK|408|Korea (Democratic People\'s Republic of)|KPW|AS|North Korea',
+    'KR|KOR|410|Korea, Republic of|KRW|AS|South Korea;Republic of Korea;Korea',
+    'KW|KWT|414|Kuwait|KWD|AS|',
+    'KY|CYM|136|Cayman Islands|KYD|NA|',
+    'KZ|KAZ|398|Kazakhstan|KZT|AS|',
+    'LA|LAO|418|Lao People\'s Democratic Republic|LAK|AS|Laos',
+    'LB|LBN|422|Lebanon|LBP|AS|',
+    'LC|LCA|662|Saint Lucia|XCD|NA|',
+    'LI|LIE|438|Liechtenstein|CHF|EU|',
+    'LK|LKA|144|Sri Lanka|LKR|AS|',
+    'LR|LBR|430|Liberia|LRD|AF|',
+    'LS|LSO|426|Lesotho|LSL|AF|',
+    'LT|LTU|440|Lithuania|EUR|EU|',
+    'LU|LUX|442|Luxembourg|EUR|EU|',
+    'LV|LVA|428|Latvia|EUR|EU|',
+    'LY|LBY|434|Libya|LYD|AF|',
+    'MA|MAR|504|Morocco|MAD|AF|',
+    'MC|MCO|492|Monaco|EUR|EU|',
+    'MD|MDA|498|Moldova, Republic of|MDL|EU|Moldova;Republic of Moldova',
+    'ME|MNE|499|Montenegro|EUR|EU|',
+    'MF|MAF|663|Saint Martin (French part)|EUR|NA|Saint Martin',
+    'MG|MDG|450|Madagascar|MGA|AF|',
+    'MH|MHL|584|Marshall Islands|USD|OC|',
+    'MK|MKD|807|North Macedonia|MKD|EU|Macedonia',
+    'ML|MLI|466|Mali|XOF|AF|',
+    'MM|MMR|104|Myanmar|MMK|AS|Burma',
+    'MN|MNG|496|Mongolia|MNT|AS|',
+    'MO|MAC|446|Macao|MOP|AS|Macau;Macao SAR;Macau SAR China',
+    'MP|MNP|580|Northern Mariana Islands|USD|OC|',
+    'MQ|MTQ|474|Martinique|EUR|NA|',
+    'MR|MRT|478|Mauritania|MRU|AF|',
+    'MS|MSR|500|Montserrat|XCD|NA|',
+    'MT|MLT|470|Malta|EUR|EU|',
+    'MU|MUS|480|Mauritius|MUR|AF|',
+    'MV|MDV|462|Maldives|MVR|AS|',
+    'MW|MWI|454|Malawi|MWK|AF|',
+    'MX|MEX|484|Mexico|MXN|NA|',
+    'MY|MYS|458|Malaysia|MYR|AS|',
+    'MZ|MOZ|508|Mozambique|MZN|AF|',
+    'NA|NAM|516|Namibia|NAD|AF|',
+    'NC|NCL|540|New Caledonia|XPF|OC|',
+    'NE|NER|562|Niger|XOF|AF|',
+    'NF|NFK|574|Norfolk Island|AUD|OC|',
+    'NG|NGA|566|Nigeria|NGN|AF|',
+    'NI|NIC|558|Nicaragua|NIO|NA|',
+    'NL|NLD|528|Netherlands (Kingdom of the)|EUR|EU|Netherlands;Holland',
+    'NO|NOR|578|Norway|NOK|EU|',
+    'NP|NPL|524|Nepal|NPR|AS|',
+    'NR|NRU|520|Nauru|AUD|OC|',
+    'NU|NIU|570|Niue|NZD|OC|',
+    'NZ|NZL|554|New Zealand|NZD|OC|',
+    'OM|OMN|512|Oman|OMR|AS|',
+    'PA|PAN|591|Panama|PAB|NA|',
+    'PE|PER|604|Peru|PEN|SA|',
+    'PF|PYF|258|French Polynesia|XPF|OC|',
+    'PG|PNG|598|Papua New Guinea|PGK|OC|',
+    'PH|PHL|608|Philippines|PHP|AS|',
+    'PK|PAK|586|Pakistan|PKR|AS|',
+    'PL|POL|616|Poland|PLN|EU|Polska',
+    'PM|SPM|666|Saint Pierre and Miquelon|EUR|NA|',
+    'PN|PCN|612|Pitcairn|NZD|OC|Pitcairn Islands',
+    'PR|PRI|630|Puerto Rico|USD|NA|',
+    'PS|PSE|275|Palestine, State of|ILS|AS|Palestine;Palestinian Territories',
+    'PT|PRT|620|Portugal|EUR|EU|',
+    'PW|PLW|585|Palau|USD|OC|',
+    'PY|PRY|600|Paraguay|PYG|SA|',
+    'QA|QAT|634|Qatar|QAR|AS|',
+    'RE|REU|638|Réunion|EUR|AF|',
+    'RO|ROU|642|Romania|RON|EU|',
+    'RS|SRB|688|Serbia|RSD|EU|',
+    'RU|RUS|643|Russian Federation|RUB|EU|Russia',
+    'RW|RWA|646|Rwanda|RWF|AF|',
+    'SA|SAU|682|Saudi Arabia|SAR|AS|',
+    'SB|SLB|090|Solomon Islands|SBD|OC|',
+    'SC|SYC|690|Seychelles|SCR|AF|',
+    'SD|SDN|729|Sudan|SDG|AF|',
+    'SE|SWE|752|Sweden|SEK|EU|',
+    'SG|SGP|702|Singapore|SGD|AS|',
+    'SH|SHN|654|Saint Helena, Ascension and Tristan da Cunha|SHP|AF|Saint Helena',
+    'SI|SVN|705|Slovenia|EUR|EU|',
+    'SJ|SJM|744|Svalbard and Jan Mayen|NOK|EU|',
+    'SK|SVK|703|Slovakia|EUR|EU|',
+    'SL|SLE|694|Sierra Leone|SLE|AF|',
+    'SM|SMR|674|San Marino|EUR|EU|',
+    'SN|SEN|686|Senegal|XOF|AF|',
+    'SO|SOM|706|Somalia|SOS|AF|',
+    'SR|SUR|740|Suriname|SRD|SA|',
+    'SS|SSD|728|South Sudan|SSP|AF|',
+    'ST|STP|678|Sao Tome and Principe|STN|AF|',
+    'SV|SLV|222|El Salvador|USD|NA|',
+    'SX|SXM|534|Sint Maarten (Dutch part)|XCG|NA|Sint Maarten',
+    'SY|SYR|760|Syrian Arab Republic|SYP|AS|Syria',
+    'SZ|SWZ|748|Eswatini|SZL|AF|Swaziland',
+    'TC|TCA|796|Turks and Caicos Islands|USD|NA|',
+    'TD|TCD|148|Chad|XAF|AF|',
+    'TF|ATF|260|French Southern Territories|EUR|AN|',
+    'TG|TGO|768|Togo|XOF|AF|',
+    'TH|THA|764|Thailand|THB|AS|',
+    'TJ|TJK|762|Tajikistan|TJS|AS|',
+    'TK|TKL|772|Tokelau|NZD|OC|',
+    'TL|TLS|626|Timor-Leste|USD|AS|East Timor',
+    'TM|TKM|795|Turkmenistan|TMT|AS|',
+    'TN|TUN|788|Tunisia|TND|AF|',
+    'TO|TON|776|Tonga|TOP|OC|',
+    'TR|TUR|792|Türkiye|TRY|AS|Turkey',
+    'TT|TTO|780|Trinidad and Tobago|TTD|NA|',
+    'TV|TUV|798|Tuvalu|AUD|OC|',
+    'TW|TWN|158|Taiwan, Province of China|TWD|AS|Taiwan',
+    'TZ|TZA|834|Tanzania, United Republic of|TZS|AF|Tanzania',
+    'UA|UKR|804|Ukraine|UAH|EU|',
+    'UG|UGA|800|Uganda|UGX|AF|',
+    'UM|UMI|581|United States Minor Outlying Islands|USD|OC|',
+    'US|USA|840|United States of America|USD|NA|United States;USA;America',
+    'UY|URY|858|Uruguay|UYU|SA|',
+    'UZ|UZB|860|Uzbekistan|UZS|AS|',
+    'VA|VAT|336|Holy See|EUR|EU|Vatican City;Vatican',
+    'VC|VCT|670|Saint Vincent and the Grenadines|XCD|NA|',
+    'VE|VEN|862|Venezuela (Bolivarian Republic of)|VES|SA|Venezuela',
+    'VG|VGB|092|Virgin Islands (British)|USD|NA|British Virgin Islands',
+    'VI|VIR|850|Virgin Islands (U.S.)|USD|NA|U.S. Virgin Islands;US Virgin Islands',
+    'VN|VNM|704|Viet Nam|VND|AS|Vietnam',
+    'VU|VUT|548|Vanuatu|VUV|OC|',
+    'WF|WLF|876|Wallis and Futuna|XPF|OC|',
+    'WS|WSM|882|Samoa|WST|OC|',
+    'XK|XKX||Kosovo|EUR|EU|',
+    'YE|YEM|887|Yemen|YER|AS|',
+    'YT|MYT|175|Mayotte|EUR|AF|',
+    'ZA|ZAF|710|South Africa|ZAR|AF|',
+    'ZM|ZMB|894|Zambia|ZMW|AF|',
+    'ZW|ZWE|716|Zimbabwe|ZWG|AF|'
+  ];
+
+  // 不按大洲划分的分组 (alpha-2)，查询分组 (lib/query.js) 与大洲一起据此生成
+  var GROUPINGS = {
+    // 欧盟成员国
+    EU: [
+      'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+      'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+    ],
+    // 中东: 西亚 (不含高加索) 与埃及
+    MIDDLE_EAST: ['AE', 'BH', 'EG', 'IL', 'IQ', 'IR', 'JO', 'KW', 'LB', 'OM', 'PS', 'QA', 'SA', 'SY', 'YE'],
+    // 地跨欧亚、通常归入欧洲的国家 (大洲记为亚洲)
+    TRANSCONTINENTAL_EUROPE: ['AM', 'AZ', 'GE', 'TR'],
+    // 北美洲中不属于拉丁美洲的部分 (UN M49 Northern America)
+    NORTHERN_AMERICA: ['BM', 'CA', 'GL', 'PM', 'US']
+  };
+
+  // 近似地理中心 [纬度, 经度]，精确到整数度，供报告中的世界地图定位
+  // 由 Natural Earth 1:50m 国界取本土 (面积最大的多边形) 的中心算出，数据中没有的小岛与科索沃为手工补充
+  var CENTROIDS = {
+    AD: [43, 2], AE: [24, 54], AF: [34, 66], AG: [17, -62], AI: [18, -63], AL: [41, 20], AM: [40, 45], AO: [-12, 18],
+    AQ: [-79, -48], AR: [-35, -65], AS: [-14, -171], AT: [48, 14], AU: [-26, 134], AW: [13, -70], AX: [60, 20], AZ: [40, 48],
+    BA: [44, 18], BB: [13, -60], BD: [24, 90], BE: [51, 5], BF: [12, -2], BG: [43, 25], BH: [26, 51], BI: [-3, 30],
+    BJ: [10, 2], BL: [18, -63], BM: [32, -65], BN: [4, 115], BO: [-17, -65], BQ: [12, -68], BR: [-11, -53], BS: [25, -78],
+    BT: [27, 90], BV: [-54, 3], BW: [-22, 24], BY: [54, 28], BZ: [17, -89], CA: [58, -102], CC: [-12, 97], CD: [-3, 24],
+    CF: [7, 20], CG: [-1, 15], CH: [47, 8], CI: [8, -6], CK: [-21, -160], CL: [-36, -71], CM: [6, 13], CN: [37, 104],
+    CO: [4, -73], CR: [10, -84], CU: [22, -79], CV: [15, -24], CW: [12, -69], CX: [-10, 106], CY: [35, 33], CZ: [50, 15],
+    DE: [51, 10], DJ: [12, 43], DK: [56, 9], DM: [15, -61], DO: [19, -71], DZ: [28, 3], EC: [-1, -78], EE: [59, 26],
+    EG: [26, 30], EH: [24, -12], ER: [15, 39], ES: [40, -4], ET: [9, 40], FI: [65, 26], FJ: [-18, 178], FK: [-52, -59],
+    FM: [7, 158], FO: [62, -7], FR: [47, 2], GA: [-1, 12], GB: [54, -3], GD: [12, -62], GE: [42, 44], GF: [4, -53],
+    GG: [49, -3], GH: [8, -1], GI: [36, -5], GL: [75, -41], GM: [13, -15], GN: [10, -11], GP: [16, -62], GQ: [2, 10],
+    GR: [39, 23], GS: [-54, -37], GT: [16, -90], GU: [13, 145], GW: [12, -15], GY: [5, -59], HK: [22, 114], HM: [-53, 74],
+    HN: [15, -87], HR: [45, 16], HT: [19, -73], HU: [47, 19], ID: [0, 114], IE: [53, -8], IL: [31, 35], IM: [54, -5],
+    IN: [23, 80], IO: [-7, 72], IQ: [33, 44], IR: [33, 54], IS: [65, -19], IT: [44, 12], JE: [49, -2], JM: [18, -77],
+    JO: [31, 37], JP: [37, 138], KE: [1, 38], KG: [41, 75], KH: [13, 105], KI: [2, -157], KM: [-12, 43], KN: [17, -63],
+    KP: [40, 127], KR: [36, 128], KW: [29, 48], KY: [19, -81], KZ: [48, 67], LA: [19, 104], LB: [34, 36], LC: [14, -61],
+    LI: [47, 10], LK: [8, 81], LR: [6, -9], LS: [-30, 28], LT: [55, 24], LU: [50, 6], LV: [57, 25], LY: [27, 18],
+    MA: [30, -8], MC: [44, 7], MD: [47, 28], ME: [43, 19], MF: [18, -63], MG: [-19, 47], MH: [7, 171], MK: [42, 22],
+    ML: [17, -4], MM: [21, 96], MN: [47, 103], MO: [22, 114], MP: [15, 146], MQ: [15, -61], MR: [20, -10], MS: [17, -62],
+    MT: [36, 14], MU: [-20, 58], MV: [4, 74], MW: [-13, 34], MX: [24, -103], MY: [4, 115], MZ: [-17, 36], NA: [-22, 17],
+    NC: [-21, 165], NE: [17, 9], NF: [-29, 168], NG: [10, 8], NI: [13, -85], NL: [52, 6], NO: [64, 14], NP: [28, 84],
+    NR: [-1, 167], NU: [-19, -170], NZ: [-44, 171], OM: [21, 56], PA: [9, -80], PE: [-9, -74], PF: [-18, -149], PG: [-7, 144],
+    PH: [16, 121], PK: [30, 69], PL: [52, 19], PM: [47, -56], PN: [-24, -128], PR: [18, -66], PS: [32, 35], PT: [40, -8],
+    PW: [8, 135], PY: [-23, -58], QA: [25, 51], RE: [-21, 56], RO: [46, 25], RS: [44, 21], RU: [62, 100], RW: [-2, 30],
+    SA: [24, 45], SB: [-10, 160], SC: [-5, 55], SD: [16, 30], SE: [63, 17], SG: [1, 104], SH: [-16, -6], SI: [46, 15],
+    SJ: [78, 16], SK: [49, 19], SL: [9, -12], SM: [44, 12], SN: [14, -14], SO: [5, 46], SR: [4, -56], SS: [7, 30],
+    ST: [0, 7], SV: [14, -89], SX: [18, -63], SY: [35, 39], SZ: [-27, 31], TC: [22, -72], TD: [15, 19], TF: [-49, 69],
+    TG: [9, 1], TH: [15, 101], TJ: [39, 71], TK: [-9, -172], TL: [-9, 126], TM: [39, 59], TN: [34, 10], TO: [-21, -175],
+    TR: [39, 35], TT: [10, -61], TV: [-8, 179], TW: [24, 121], TZ: [-6, 35], UA: [49, 31], UG: [1, 32], UM: [19, 167],
+    US: [40, -99], UY: [-33, -56], UZ: [42, 63], VA: [42, 12], VC: [13, -61], VE: [7, -66], VG: [18, -65], VI: [18, -65],
+    VN: [17, 106], VU: [-15, 167], WF: [-14, -178], WS: [-14, -172], XK: [43, 21], YE: [16, 48], YT: [-13, 45], ZA: [-29, 25],
+    ZM: [-13, 28], ZW: [-19, 30]
+  };
+
+  /**
+   * 货币的最小单位位数，未知货币返回 null
+   */
+  function getMinorUnits(currency) {
+    if (CURRENCY_CODES.indexOf(currency) === -1) return null;
+    var units = Object.keys(MINOR_UNIT_EXCEPTIONS).filter(function(digits) {
+      return MINOR_UNIT_EXCEPTIONS[digits].indexOf(currency) !== -1;
+    });
+    return units.length > 0 ? Number(units[0]) : 2;
+  }
+
+  // alpha-2 -> 国家记录
+  var COUNTRIES = {};
+  COUNTRY_TABLE.forEach(function(line) {
+    var fields = line.split('|');
+    var currency = fields[4];
+    COUNTRIES[fields[0]] = {
+      alpha2: fields[0],
+      alpha3: fields[1],
+      numeric: fields[2] || null,
+      name: fields[3],
+      currency: currency || null,
+      minorUnits: currency ? getMinorUnits(currency) : null,
+      continent: fields[5],
+      centroid: CENTROIDS[fields[0]] || null,
+      aliases: fields[6] ? fields[6].split(';') : []
+    };
+  });
+
+  /**
+   * 规范化国家名称用于匹配: 去掉重音与标点，"&" 视为 and，"St." 视为 Saint，
+   * 忽略开头或结尾的 The (如 "Bahamas, The"、"Congo, Democratic Republic of the")
+   */
+  function normalizeCountryName(text) {
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/\bst\.?\s+/g, 'saint ')
+      .replace(/^\s*the\s+/, '')
+      .replace(/[\s,]+the\s*$/, '')
+      .replace(/[^a-z0-9]+/g, '');
+  }
+
+  // 规范化名称 -> alpha-2，包括英文简称、别名与 alpha-3 代码
+  var NAME_INDEX = {};
+  Object.keys(COUNTRIES).forEach(function(alpha2) {
+    var country = COUNTRIES[alpha2];
+    [country.name].concat(country.aliases, [country.alpha3]).forEach(function(name) {
+      NAME_INDEX[normalizeCountryName(name)] = alpha2;
+    });
+  });
+
+  /**
+   * 按国家名称 (或 alpha-2 / alpha-3 代码) 解析 alpha-2 代码，无法识别时返回 null
+   */
+  function resolveCountry(name) {
+    if (typeof name !== 'string' || !name.trim()) return null;
+    var code = name.trim().toUpperCase();
+    if (Object.prototype.hasOwnProperty.call(COUNTRIES, code)) return code;
+    var key = normalizeCountryName(name);
+    return Object.prototype.hasOwnProperty.call(NAME_INDEX, key) ? NAME_INDEX[key] : null;
+  }
+
+  /**
+   * 按 alpha-2 代码读取国家记录，不存在时返回 null
+   */
+  function getCountry(alpha2) {
+    var code = String(alpha2).toUpperCase();
+    return Object.prototype.hasOwnProperty.call(COUNTRIES, code) ? COUNTRIES[code] : null;
+  }
+
+  /**
+   * 某个大洲的全部国家 alpha-2 代码
+   */
+  function countriesIn(continent) {
+    return Object.keys(COUNTRIES).filter(function(alpha2) {
+      return COUNTRIES[alpha2].continent === continent;
+    });
+  }
+
+  return {
+    CONTINENTS: CONTINENTS,
+    CURRENCY_CODES: CURRENCY_CODES,
+    GROUPINGS: GROUPINGS,
+    COUNTRIES: COUNTRIES,
+    normalizeCountryName: normalizeCountryName,
+    resolveCountry: resolveCountry,
+    getCountry: getCountry,
+    getMinorUnits: getMinorUnits,
+    countriesIn: countriesIn
+  };
+}));
@@ -0,0 +1,348 @@
+/**
+ * 静态价格报告
+ * 由 prices.json 生成单个 HTML 页面: 可排序的价格表、各套餐排名图、按 CNY 价格着色的世界热力图与历史价格走势
+ * 图表均为内联 SVG，页面不依赖任何外部资源
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WORLD_OUTLINE, project, regionPosition } = require('./geo');
+const { resolveRegionISO } = require('./regions');
+const { getFlag, getCNYPrice, formatMoney, PRICE_BASIS_LABELS } = require('./query');
+const { tierBytes } = require('./tiers');
+const { regionKey } = require('./history');
+
+// 热力图画布尺寸
+const MAP_WIDTH = 720;
+const MAP_HEIGHT = 360;
+const MAP_MARKER = 5;
+
+// 排名图尺寸
+const CHART_WIDTH = 640;
+const CHART_LABEL_WIDTH = 200;
+const CHART_VALUE_WIDTH = 80;
+const CHART_BAR_HEIGHT = 16;
+const CHART_BAR_GAP = 4;
+
+/**
+ * 转义 HTML 特殊字符
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 保留两位小数
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 数据中出现的全部套餐，按容量排序
+ */
+function getPlanNames(data) {
+  const names = new Set();
+  data.regions.forEach(region => region.Plans.forEach(plan => names.add(plan.Name)));
+  return [...names].sort((a, b) => (tierBytes(a) || 0) - (tierBytes(b) || 0));
+}
+
+/**
+ * 价格颜色: 最便宜为绿色，最贵为红色
+ */
+function priceColor(value, min, max) {
+  const t = max > min ? (value - min) / (max - min) : 0;
+  return `hsl(${Math.round(120 * (1 - t))}, 65%, 45%)`;
+}
+
+/**
+ * 取出某个套餐在各地区的价格，按价格从低到高排序
+ */
+function planEntries(data, planName, basis) {
+  const entries = [];
+  data.regions.forEach(region => {
+    const plan = region.Plans.find(p => p.Name === planName);
+    if (!plan) return;
+    entries.push({ region, plan, iso: resolveRegionISO(region), value: getCNYPrice(plan, basis) });
+  });
+  return entries.sort((a, b) => a.value - b.value);
+}
+
+/**
+ * 由历史快照生成各地区各套餐的价格序列
+ * 返回 Map: "地区代码|套餐" -> [{ date, value }]，当前数据作为最后一个点
+ */
+function buildPriceSeries(snapshots, data, basis) {
+  const series = new Map();
+  const addPoint = (date, source) => {
+    source.regions.forEach(region => {
+      region.Plans.forEach(plan => {
+        const key = `${regionKey(region)}|${plan.Name}`;
+        const points = series.get(key) || [];
+        if (points.length === 0 || points[points.length - 1].date !== date) {
+          points.push({ date, value: getCNYPrice(plan, basis) });
+        }
+        series.set(key, points);
+      });
+    });
+  };
+
+  snapshots.forEach(snapshot => addPoint(snapshot.date, snapshot.data));
+  if (data.lastUpdated) addPoint(data.lastUpdated.slice(0, 10), data);
+  return series;
+}
+
+/**
+ * 价格走势迷你图，少于两个点时返回空字符串
+ */
+function renderSparkline(points, width = 80, height = 20) {
+  if (!points || points.length < 2) return '';
+  const values = points.map(p => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const coords = points.map((p, i) => {
+    const x = i / (points.length - 1) * (width - 2) + 1;
+    const y = max > min ? (max - p.value) / (max - min) * (height - 2) + 1 : height / 2;
+    return `${round(x)},${round(y)}`;
+  });
+  const first = points[0];
+  const last = points[points.length - 1];
+  const color = last.value > first.value ? '#c62828' : last.value < first.value ? '#2e7d32' : '#607d8b';
+
+  return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img">` +
+    `<title>${escapeHTML(`${first.date} ¥${first.value.toFixed(2)} → ${last.date} ¥${last.value.toFixed(2)}`)}</title>` +
+    `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coords.join(' ')}"/></svg>`;
+}
+
+/**
+ * 单个套餐的排名条形图
+ */
+function renderRankingChart(data, planName, basis) {
+  const entries = planEntries(data, planName, basis);
+  if (entries.length === 0) return '';
+  const max = entries[entries.length - 1].value;
+  const min = entries[0].value;
+  const barSpace = CHART_WIDTH - CHART_LABEL_WIDTH - CHART_VALUE_WIDTH;
+  const height = entries.length * (CHART_BAR_HEIGHT + CHART_BAR_GAP);
+
+  const bars = entries.map((entry, i) => {
+    const y = i * (CHART_BAR_HEIGHT + CHART_BAR_GAP);
+    const width = Math.max(1, round(entry.value / max * barSpace));
+    const label = `${i + 1}. ${getFlag(entry.iso)} ${entry.region.Country}`;
+    const textY = y + CHART_BAR_HEIGHT - 4;
+    return `<g><title>${escapeHTML(`${entry.region.Country}: ${entry.plan.Price} ${entry.region.Currency}`)}</title>` +
+      `<text x="0" y="${textY}">${escapeHTML(label)}</text>` +
+      `<rect x="${CHART_LABEL_WIDTH}" y="${y}" width="${width}" height="${CHART_BAR_HEIGHT}" fill="${priceColor(entry.value, min, max)}"/>` +
+      `<text x="${CHART_LABEL_WIDTH + width + 4}" y="${textY}">${formatMoney(entry.value, 'CNY')}</text></g>`;
+  });
+
+  return `<svg class="chart" width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" role="img" ` +
+    `aria-label="${escapeHTML(`${planName} 价格排名`)}">${bars.join('')}</svg>`;
+}
+
+/**
+ * 世界热力图: 在陆地轮廓上于每个地区的地理中心绘制圆点，颜色表示 CNY 价格
+ * 没有坐标的地区列在图下方
+ */
+function renderHeatMap(data, planName, basis) {
+  const entries = planEntries(data, planName, basis);
+  if (entries.length === 0) return '';
+  const min = entries[0].value;
+  const max = entries[entries.length - 1].value;
+
+  // 底图坐标为 360 × 180 的等距圆柱投影，缩放到画布大小
+  const outline = `<path class="land" d="${WORLD_OUTLINE.path}" fill="#d6dde4" ` +
+    `transform="scale(${MAP_WIDTH / WORLD_OUTLINE.width} ${MAP_HEIGHT / WORLD_OUTLINE.height})"/>`;
+
+  const unplaced = [];
+  const markers = [];
+  entries.forEach(entry => {
+    const position = regionPosition(entry.iso);
+    if (!position) {
+      unplaced.push(entry.region.Country);
+      return;
+    }
+    const { x, y } = project(position, MAP_WIDTH, MAP_HEIGHT);
+    markers.push(`<circle class="marker" data-iso="${entry.iso}" cx="${round(x)}" cy="${round(y)}" r="${MAP_MARKER}" ` +
+      `fill="${priceColor(entry.value, min, max)}" stroke="#fff" stroke-width="1">` +
+      `<title>${escapeHTML(`${entry.region.Country} ${planName}: ${formatMoney(entry.value, 'CNY')}`)}</title></circle>`);
+  });
+
+  const legend = `<div class="legend"><span>${formatMoney(min, 'CNY')}</span>` +
+    '<span class="legend-bar"></span>' +
+    `<span>${formatMoney(max, 'CNY')}</span></div>`;
+  const note = unplaced.length > 0
+    ? `<p class="note">未在地图上标出: ${escapeHTML(unplaced.join(', '))}</p>`
+    : '';
+
+  return `<svg class="map" width="${MAP_WIDTH}" height="${MAP_HEIGHT}" viewBox="0 0 ${MAP_WIDTH} ${MAP_HEIGHT}" role="img" ` +
+    `aria-label="${escapeHTML(`${planName} 世界价格热力图`)}">` +
+    `<rect width="${MAP_WIDTH}" height="${MAP_HEIGHT}" fill="#eef3f7"/>` +
+    `${outline}${markers.join('')}</svg>${legend}${note}`;
+}
+
+/**
+ * 所有地区与套餐的价格表，单元格的 data-sort 为排序用的数值
+ */
+function renderTable(data, planNames, basis, series) {
+  const header = ['<th data-type="text">地区</th>', '<th data-type="text">货币</th>']
+    .concat(planNames.map(name => `<th data-type="number">${escapeHTML(name)}</th>`))
+    .join('');
+
+  const rows = data.regions.map(region => {
+    const iso = resolveRegionISO(region);
+    const cells = [
+      `<td data-sort="${escapeHTML(region.Country)}">${getFlag(iso)} ${escapeHTML(region.Country)}</td>`,
+      `<td data-sort="${region.Currency}">${region.Currency}</td>`
+    ];
+    planNames.forEach(name => {
+      const plan = region.Plans.find(p => p.Name === name);
+      if (!plan) {
+        cells.push('<td data-sort="">—</td>');
+        return;
+      }
+      const value = getCNYPrice(plan, basis);
+      const sparkline = renderSparkline(series.get(`${regionKey(region)}|${name}`));
+      cells.push(`<td data-sort="${value}"><span class="cny">${formatMoney(value, 'CNY')}</span>` +
+        `<span class="local">${escapeHTML(`${plan.Price} ${region.Currency}`)}</span>${sparkline}</td>`);
+    });
+    return `<tr>${cells.join('')}</tr>`;
+  });
+
+  return `<table id="prices"><thead><tr>${header}</tr></thead><tbody>${rows.join('')}</tbody></table>`;
+}
+
+// 点击表头排序，再次点击反向
+const SORT_SCRIPT = `
+document.querySelectorAll('#prices th').forEach(function (th, index) {
+  th.addEventListener('click', function () {
+    var tbody = document.querySelector('#prices tbody');
+    var asc = th.getAttribute('aria-sort') !== 'ascending';
+    var numeric = th.dataset.type === 'number';
+    var rows = Array.prototype.slice.call(tbody.rows);
+    rows.sort(function (a, b) {
+      var x = a.cells[index].dataset.sort;
+      var y = b.cells[index].dataset.sort;
+      if (numeric) {
+        if (x === '') return 1;
+        if (y === '') return -1;
+        return asc ? x - y : y - x;
+      }
+      return asc ? x.localeCompare(y) : y.localeCompare(x);
+    });
+    rows.forEach(function (row) { tbody.appendChild(row); });
+    document.querySelectorAll('#prices th').forEach(function (other) { other.removeAttribute('aria-sort'); });
+    th.setAttribute('aria-sort', asc ? 'ascending' : 'descending');
+  });
+});
+`;
+
+const STYLE = `
+body { font-family: -apple-system, "PingFang SC", "Helvetica Neue", sans-serif; margin: 2rem auto; max-width: 1100px; padding: 0 1rem; color: #1d1d1f; }
+h1 { margin-bottom: 0.25rem; }
+.meta, .note { color: #6e6e73; font-size: 0.9rem; }
+section { margin: 2.5rem 0; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border-bottom: 1px solid #e5e5ea; padding: 0.4rem 0.5rem; text-align: right; vertical-align: top; }
+th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+th { cursor: pointer; position: sticky; top: 0; background: #fff; user-select: none; }
+th[aria-sort="ascending"]::after { content: " ▲"; }
+th[aria-sort="descending"]::after { content: " ▼"; }
+.cny { display: block; font-weight: 600; }
+.local { display: block; color: #6e6e73; font-size: 0.8rem; }
+.sparkline { display: block; margin-left: auto; }
+.chart text { font-size: 12px; }
+details { margin: 0.5rem 0; }
+summary { cursor: pointer; font-weight: 600; }
+.legend { display: flex; align-items: center; gap: 0.5rem; font-size: 0.85rem; margin-top: 0.5rem; }
+.legend-bar { width: 200px; height: 10px; background: linear-gradient(to right, hsl(120, 65%, 45%), hsl(60, 65%, 45%), hsl(0, 65%, 45%)); }
+`;
+
+/**
+ * 生成完整的 HTML 页面
+ * options.snapshots: 历史快照 [{ date, data }]，有两个以上时间点时显示走势
+ * options.basis: CNY 价格口径，默认沿用数据的排序口径
+ * options.mapPlan: 热力图使用的套餐，默认 2TB
+ */
+function buildReport(data, options = {}) {
+  const basis = options.basis || data.rankBasis || 'PriceInCNY';
+  const planNames = getPlanNames(data);
+  const mapPlan = planNames.includes(options.mapPlan) ? options.mapPlan : (planNames.includes('2TB') ? '2TB' : planNames[0]);
+  const series = buildPriceSeries(options.snapshots || [], data, basis);
+  const basisLabel = PRICE_BASIS_LABELS[basis] || '标价';
+
+  const meta = [
+    `数据更新时间: ${escapeHTML(data.lastUpdated || '未知')}`,
+    `计价: ${basisLabel}`,
+    `数据来源: ${escapeHTML(data.source || '未知')}`,
+    `共 ${data.regions.length} 个地区`
+  ];
+  if (options.snapshots && options.snapshots.length > 0) {
+    meta.push(`历史快照 ${options.snapshots.length} 份`);
+  }
+
+  const charts = planNames.map(name =>
+    `<details${name === mapPlan ? ' open' : ''}><summary>${escapeHTML(name)}</summary>${renderRankingChart(data, name, basis)}</details>`
+  );
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>iCloud+ 各地区价格对比</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>iCloud+ 各地区价格对比</h1>
+<p class="meta">${meta.join(' · ')}</p>
+<section>
+<h2>${escapeHTML(mapPlan)} 价格热力图</h2>
+${renderHeatMap(data, mapPlan, basis)}
+</section>
+<section>
+<h2>各套餐排名</h2>
+${charts.join('\n')}
+</section>
+<section>
+<h2>全部价格</h2>
+<p class="note">点击表头排序，价格为换算后的 CNY，下方为本地货币价格</p>
+${renderTable(data, planNames, basis, series)}
+</section>
+<p class="note"><a href="prices.json">下载 prices.json</a></p>
+<script>${SORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * 把报告写入目录: index.html 与数据副本 prices.json
+ * 返回写入的文件路径
+ */
+function writeReport(outDir, data, options = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = {
+    'index.html': buildReport(data, options),
+    'prices.json': JSON.stringify(data, null, 2)
+  };
+  return Object.entries(files).map(([name, content]) => {
+    const filePath = path.join(outDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  });
+}
+
+module.exports = {
+  escapeHTML,
+  buildPriceSeries,
+  renderSparkline,
+  renderRankingChart,
+  renderHeatMap,
+  buildReport,
+  writeReport
+};
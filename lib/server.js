@@ -0,0 +1,302 @@
+/**
+ * 本地 HTTP JSON API
+ * 只依赖 Node 标准库，提供价格数据、地区查询、套餐排名与价格历史
+ * 响应带 ETag / Last-Modified 缓存头与 CORS 头
+ *
+ * GET /                          接口列表
+ * GET /prices                    完整的 prices.json
+ * GET /regions?q=&group=         地区列表 (q 为地区关键词，可用逗号分隔多个)
+ * GET /regions/:iso              单个地区 (ISO 代码、名称、拼音等，与查询语法一致)
+ * GET /plans/:plan/ranking       套餐排名，参数 currency、limit、basis (incl|excl)、region、group、max
+ * GET /history/:iso/:plan        某地区某套餐在历史快照中的价格
+ */
+
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const query = require('./query');
+const tiers = require('./tiers');
+const history = require('./history');
+
+const ENDPOINTS = [
+  '/prices',
+  '/regions',
+  '/regions/:iso',
+  '/plans/:plan/ranking',
+  '/history/:iso/:plan'
+];
+
+/**
+ * 带 HTTP 状态码的错误
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * 解码路径参数，编码无效时抛出 400
+ */
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    throw new HttpError(400, `无效的路径编码: ${value}`);
+  }
+}
+
+/**
+ * 按文件修改时间缓存读取结果，文件变化后重新读取
+ */
+function createFileCache(load) {
+  let cached = null;
+  return (filePath) => {
+    const stat = fs.statSync(filePath);
+    if (!cached || cached.path !== filePath || cached.mtimeMs !== stat.mtimeMs) {
+      cached = { path: filePath, mtimeMs: stat.mtimeMs, mtime: stat.mtime, value: load(filePath) };
+    }
+    return cached;
+  };
+}
+
+/**
+ * 地区摘要
+ */
+function summarizeRegion(region) {
+  return {
+    CountryISO: region.CountryISO,
+    Country: region.Country,
+    Currency: region.Currency,
+    Plans: region.Plans.map(plan => plan.Name)
+  };
+}
+
+/**
+ * 按关键词找到唯一的地区，找不到时抛出 404
+ */
+function findRegion(data, term) {
+  const matches = query.matchRegions(data.regions, term);
+  if (matches.length === 0) {
+    throw new HttpError(404, `未找到地区: ${term}`);
+  }
+  return matches[0];
+}
+
+/**
+ * 规范化套餐名称 "2tb"、"2000gb" -> "2TB"，数据中没有的档位抛出 404
+ */
+function normalizePlan(data, plan) {
+  const catalog = tiers.getTierCatalog(data);
+  const tier = tiers.findTier(catalog, plan);
+  if (!tier) {
+    throw new HttpError(404, `未知的套餐: ${plan} (可选: ${catalog.map(t => t.id).join(', ')})`);
+  }
+  return tier.id;
+}
+
+/**
+ * 读取逗号分隔、可重复的参数
+ */
+function getList(params, name) {
+  return params.getAll(name).flatMap(value => value.split(',')).map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * 按地区关键词参数 (termParam) 与 group 参数过滤地区，未知分组抛出 400
+ */
+function selectRegions(data, params, termParam) {
+  const groups = getList(params, 'group');
+  const unknown = groups.filter(group => !query.REGION_GROUPS[group]);
+  if (unknown.length > 0) {
+    throw new HttpError(400, `未知的分组: ${unknown.join(', ')}`);
+  }
+  return query.filterRegions(data.regions, getList(params, termParam), groups);
+}
+
+/**
+ * 把 URL 参数拼成查询语法，交给查询引擎处理排名、上限与换算
+ */
+function buildRankingQuery(plan, params) {
+  const words = [plan];
+  const currency = params.get('currency');
+  if (currency) {
+    if (!query.CURRENCY_SYMBOLS[currency.toUpperCase()]) {
+      throw new HttpError(400, `不支持的货币: ${currency}`);
+    }
+    words.push(currency);
+  }
+  const limit = params.get('limit');
+  if (limit !== null) {
+    if (!/^\d+$/.test(limit) || Number(limit) < 1) {
+      throw new HttpError(400, `无效的 limit: ${limit}`);
+    }
+    words.push(`top${limit}`);
+  }
+  const basis = params.get('basis');
+  if (basis) {
+    if (!query.PRICE_BASIS[basis]) {
+      throw new HttpError(400, `未知的计价口径: ${basis} (可选: incl, excl)`);
+    }
+    words.push(basis);
+  }
+  const max = params.get('max');
+  if (max) {
+    if (!query.parsePriceCap(`<${max.toLowerCase()}`)) {
+      throw new HttpError(400, `无效的价格上限: ${max}`);
+    }
+    words.push(`<${max}`);
+  }
+  return words.join(' ');
+}
+
+/**
+ * 创建请求处理函数
+ * options.dataPath: prices.json 路径
+ * options.historyDir: 历史快照目录
+ * options.corsOrigin: Access-Control-Allow-Origin 的值 (默认 *)
+ */
+function createHandler(options) {
+  const corsOrigin = options.corsOrigin || '*';
+  const readData = createFileCache(filePath => JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  let snapshotCache = null;
+
+  // 历史快照按目录中的文件列表缓存，新增快照后重新读取
+  const readSnapshots = () => {
+    const names = fs.existsSync(options.historyDir) ? fs.readdirSync(options.historyDir).sort().join('|') : '';
+    if (!snapshotCache || snapshotCache.names !== names) {
+      snapshotCache = { names, snapshots: history.loadSnapshots(options.historyDir) };
+    }
+    return snapshotCache.snapshots;
+  };
+
+  const routes = [
+    [/^\/$/, () => ({ endpoints: ENDPOINTS })],
+    [/^\/prices$/, ({ data }) => data],
+    [/^\/regions$/, ({ data, params }) => ({ regions: selectRegions(data, params, 'q').map(summarizeRegion) })],
+    [/^\/regions\/([^/]+)$/, ({ data }, term) => findRegion(data, term)],
+    [/^\/plans\/([^/]+)\/ranking$/, ({ data, params }, plan) => {
+      // 地区先行过滤，避免只剩一个地区时查询引擎切换为单地区模式
+      const regions = selectRegions(data, params, 'region');
+      if (regions.length === 0) throw new HttpError(404, '没有匹配的地区');
+      const result = query.executeQuery({ ...data, regions }, buildRankingQuery(normalizePlan(data, plan), params));
+      if (result.type === 'error') throw new HttpError(400, result.message);
+      return {
+        plan: result.plan,
+        currency: result.view.currency,
+        basis: result.view.priceField,
+        lastUpdated: result.lastUpdated,
+        ranking: result.rows.map(row => ({
+          rank: row.rank,
+          CountryISO: row.iso,
+          Country: row.country,
+          Currency: row.localCurrency,
+          Price: row.localPrice,
+          PriceInCNY: row.cnyPrice,
+          DisplayPrice: row.displayPrice,
+          DisplayCurrency: row.displayCurrency
+        }))
+      };
+    }],
+    [/^\/history\/([^/]+)\/([^/]+)$/, ({ data }, term, plan) => {
+      const region = findRegion(data, term);
+      const planName = normalizePlan(data, plan);
+      const key = history.regionKey(region);
+      const points = [];
+      readSnapshots().concat([{ date: (data.lastUpdated || '').slice(0, 10), data }]).forEach(snapshot => {
+        const past = snapshot.data.regions.find(r => history.regionKey(r) === key);
+        const entry = past && past.Plans.find(p => p.Name === planName);
+        if (!entry || (points.length > 0 && points[points.length - 1].date === snapshot.date)) return;
+        points.push({
+          date: snapshot.date,
+          Price: entry.Price,
+          Currency: past.Currency,
+          PriceInCNY: entry.PriceInCNY
+        });
+      });
+      return { CountryISO: region.CountryISO, Country: region.Country, plan: planName, history: points };
+    }]
+  ];
+
+  return (req, res) => {
+    const headers = {
+      'Access-Control-Allow-Origin': corsOrigin,
+      'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+      'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since',
+      'Access-Control-Expose-Headers': 'ETag, Last-Modified'
+    };
+    const send = (status, body, extra = {}) => {
+      const payload = body === null ? '' : JSON.stringify(body, null, 2);
+      res.writeHead(status, {
+        ...headers,
+        ...(body === null ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+        ...extra
+      });
+      res.end(req.method === 'HEAD' ? undefined : payload);
+    };
+
+    if (req.method === 'OPTIONS') {
+      send(204, null, { 'Access-Control-Max-Age': '86400' });
+      return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      send(405, { error: `不支持的请求方法: ${req.method}` }, { Allow: 'GET, HEAD, OPTIONS' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const pathname = url.pathname.replace(/\/+$/, '') || '/';
+
+    try {
+      const route = routes.find(([pattern]) => pattern.test(pathname));
+      if (!route) {
+        throw new HttpError(404, `未知的路径: ${pathname}`);
+      }
+
+      const file = readData(options.dataPath);
+      const args = pathname.match(route[0]).slice(1).map(decodePathParam);
+      const body = route[1]({ data: file.value, params: url.searchParams }, ...args);
+
+      // ETag 由响应内容计算，Last-Modified 取数据文件的修改时间 (精确到秒)
+      const etag = `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+      const lastModified = new Date(Math.floor(file.mtime.getTime() / 1000) * 1000);
+      const cacheHeaders = {
+        ETag: etag,
+        'Last-Modified': lastModified.toUTCString(),
+        'Cache-Control': 'no-cache'
+      };
+
+      const ifNoneMatch = req.headers['if-none-match'];
+      const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+      const notModified = ifNoneMatch !== undefined
+        ? ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*')
+        : !Number.isNaN(ifModifiedSince) && lastModified.getTime() <= ifModifiedSince;
+      if (notModified) {
+        send(304, null, cacheHeaders);
+        return;
+      }
+      send(200, body, cacheHeaders);
+    } catch (err) {
+      if (err instanceof HttpError) {
+        send(err.status, { error: err.message });
+      } else {
+        send(500, { error: err.message });
+      }
+    }
+  };
+}
+
+/**
+ * 创建 HTTP 服务器 (未开始监听)
+ */
+function createServer(options) {
+  return http.createServer(createHandler(options));
+}
+
+module.exports = {
+  HttpError,
+  createHandler,
+  createServer
+};
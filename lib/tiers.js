@@ -0,0 +1,124 @@
+/**
+ * 存储套餐档位
+ * 把容量写法 ("50 GB"、"2TB"、"2t"、"2000gb") 规范化为档位 ID 与字节数，并从价格数据整理档位目录
+ * 容量按 1TB = 1000GB 计算，与 Apple 的标注一致
+ * 与 lib/query.js 一样保持 ES5 写法，供 JXA 与 Node 共用
+ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.IcloudTiers = factory();
+  }
+}(this, function() {
+
+  var GB = 1e9;
+  var TB = 1e12;
+
+  /**
+   * 页面文字中的容量: "50 GB"、"2TB"、"1,5 TB"
+   */
+  var CAPACITY_PATTERN = /(\d+(?:[.,]\d+)?)\s*(GB|TB)\b/i;
+
+  /**
+   * 单独的容量写法，另外接受单字母单位 "50g"、"2t"
+   */
+  var TIER_TERM = /^(\d+(?:[.,]\d+)?)\s*(gb|tb|g|t)$/i;
+
+  /**
+   * 字节数 -> 档位 ID，整 TB 用 TB 表示，其余用 GB
+   */
+  function formatTierId(bytes) {
+    return bytes >= TB && bytes % TB === 0 ? (bytes / TB) + 'TB' : Math.round(bytes / GB) + 'GB';
+  }
+
+  /**
+   * 解析容量写法，返回 { id, bytes }，无法识别时返回 null
+   * "2,000 GB" 中的逗号视为千分位，"1,5 TB" 中的逗号视为小数点
+   */
+  function parseTier(text) {
+    var match = String(text === null || text === undefined ? '' : text).trim().match(TIER_TERM);
+    if (!match) return null;
+    var amount = parseFloat(match[1].replace(/,(\d{3})$/, '$1').replace(',', '.'));
+    var perUnit = match[2].charAt(0).toLowerCase() === 't' ? 1000 : 1;
+    var gigabytes = Math.round(amount * perUnit);
+    if (!(gigabytes > 0)) return null;
+    var bytes = gigabytes * GB;
+    return { id: formatTierId(bytes), bytes: bytes };
+  }
+
+  /**
+   * 档位的字节数，无法识别时返回 null
+   */
+  function tierBytes(name) {
+    var tier = parseTier(name);
+    return tier ? tier.bytes : null;
+  }
+
+  /**
+   * 从地区数据整理档位目录，按容量从小到大排列
+   * 返回 [{ id, bytes, regionCount }]
+   */
+  function buildTierCatalog(regions) {
+    var byId = {};
+    var catalog = [];
+    (regions || []).forEach(function(region) {
+      var seen = {};
+      (region.Plans || []).forEach(function(plan) {
+        var tier = parseTier(plan.Name);
+        if (!tier || seen[tier.id]) return;
+        seen[tier.id] = true;
+        if (!byId[tier.id]) {
+          byId[tier.id] = { id: tier.id, bytes: tier.bytes, regionCount: 0 };
+          catalog.push(byId[tier.id]);
+        }
+        byId[tier.id].regionCount++;
+      });
+    });
+    return catalog.sort(function(a, b) { return a.bytes - b.bytes; });
+  }
+
+  /**
+   * 价格数据的档位目录: 优先使用抓取时写入的 tiers，旧数据从地区数据整理
+   */
+  function getTierCatalog(data) {
+    if (data && data.tiers && data.tiers.length > 0) return data.tiers;
+    return buildTierCatalog(data && data.regions);
+  }
+
+  /**
+   * 默认排名档位: 提供的地区最多的档位，数量相同时取容量最小的
+   */
+  function defaultTier(catalog) {
+    var best = null;
+    (catalog || []).forEach(function(tier) {
+      if (!best || tier.regionCount > best.regionCount ||
+        (tier.regionCount === best.regionCount && tier.bytes < best.bytes)) {
+        best = tier;
+      }
+    });
+    return best ? best.id : null;
+  }
+
+  /**
+   * 在档位目录中查找容量写法对应的档位，不存在时返回 null
+   */
+  function findTier(catalog, text) {
+    var tier = parseTier(text);
+    if (!tier) return null;
+    for (var i = 0; i < catalog.length; i++) {
+      if (catalog[i].id === tier.id) return catalog[i];
+    }
+    return null;
+  }
+
+  return {
+    CAPACITY_PATTERN: CAPACITY_PATTERN,
+    parseTier: parseTier,
+    tierBytes: tierBytes,
+    buildTierCatalog: buildTierCatalog,
+    getTierCatalog: getTierCatalog,
+    defaultTier: defaultTier,
+    findTier: findTier
+  };
+}));
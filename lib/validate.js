@@ -0,0 +1,151 @@
+/**
+ * 价格数据校验
+ * 写入 prices.json 之前先做 JSON Schema 校验与合理性检查，任何一项失败都不应覆盖旧文件
+ */
+
+const Ajv = require('ajv');
+const schema = require('../data/prices.schema.json');
+const tiers = require('./tiers');
+
+// 至少这一比例的地区都提供的档位视为常见档位，个别地区缺少时多半是解析遗漏
+const COMMON_TIER_SHARE = 0.9;
+
+// 各套餐 CNY 价格的合理区间
+const CNY_BOUNDS = {
+  '50GB': [1, 40],
+  '200GB': [3, 120],
+  '2TB': [10, 400],
+  '6TB': [30, 1200],
+  '12TB': [60, 2400]
+};
+
+// 需检查合理区间的 CNY 价格字段: [字段, 错误信息中的口径]
+const CNY_FIELDS = [
+  ['PriceInCNY', ''],
+  ['PriceInCNYInclTax', '含税'],
+  ['PriceInCNYExclTax', '税前']
+];
+
+// 地区数量相比上一次允许下降的最大比例
+const MAX_REGION_DROP = 0.2;
+
+let validateSchema = null;
+
+/**
+ * JSON Schema 校验，返回错误信息列表
+ */
+function checkSchema(data) {
+  if (!validateSchema) {
+    validateSchema = new Ajv({ allErrors: true }).compile(schema);
+  }
+  if (validateSchema(data)) return [];
+  return validateSchema.errors.map(err => `schema: ${err.instancePath || '/'} ${err.message}`);
+}
+
+/**
+ * 常见档位: 价格数据中提供该档位的地区占比不低于 share
+ * 优先使用数据自带的档位目录，没有时按地区统计
+ */
+function commonTiers(data, share = COMMON_TIER_SHARE) {
+  return (data.tiers || tiers.buildTierCatalog(data.regions))
+    .filter(tier => tier.regionCount >= data.regions.length * share)
+    .map(tier => tier.id);
+}
+
+/**
+ * 每个地区必须提供的套餐
+ * 取自上一次校验通过的数据: 若取自本次数据，抓取时大量地区丢失同一档位会让该档位不再"常见"而通过检查
+ * 没有上一次数据时 (首次运行) 退回到本次数据的常见档位
+ */
+function expectedTiers(data, previous) {
+  const hasPrevious = previous && Array.isArray(previous.regions) && previous.regions.length > 0;
+  return commonTiers(hasPrevious ? previous : data);
+}
+
+/**
+ * 合理性检查，返回错误信息列表
+ * previous 为上一次的价格数据，不存在时跳过地区数量检查
+ * options.expectedPlans 指定每个地区必须提供的套餐，默认为上一次数据中的常见档位 (见 expectedTiers)
+ */
+function checkSanity(data, previous, options = {}) {
+  const expectedPlans = options.expectedPlans || expectedTiers(data, previous);
+  const catalog = data.tiers ? data.tiers.map(tier => tier.id) : null;
+  const bounds = options.cnyBounds || CNY_BOUNDS;
+  const maxRegionDrop = options.maxRegionDrop ?? MAX_REGION_DROP;
+  const errors = [];
+
+  data.regions.forEach(region => {
+    const label = `${region.Country} (${region.Currency})`;
+    const names = region.Plans.map(p => p.Name);
+
+    const missing = expectedPlans.filter(name => !names.includes(name));
+    if (missing.length > 0) {
+      errors.push(`${label}: 缺少套餐 ${missing.join(', ')}`);
+    }
+
+    // 容量越大价格越高
+    const ordered = region.Plans
+      .filter(plan => tiers.tierBytes(plan.Name) !== null)
+      .sort((a, b) => tiers.tierBytes(a.Name) - tiers.tierBytes(b.Name));
+    for (let i = 1; i < ordered.length; i++) {
+      if (ordered[i].Price <= ordered[i - 1].Price) {
+        errors.push(`${label}: ${ordered[i].Name} 价格 ${ordered[i].Price} 不高于 ${ordered[i - 1].Name} 价格 ${ordered[i - 1].Price}`);
+      }
+    }
+
+    if (catalog) {
+      const unlisted = names.filter(name => !catalog.includes(name));
+      if (unlisted.length > 0) {
+        errors.push(`${label}: 档位目录中没有套餐 ${unlisted.join(', ')}`);
+      }
+    }
+
+    // 价格观测时间不能晚于数据生成时间
+    if (region.PriceObservedAt && Date.parse(region.PriceObservedAt) > Date.parse(data.lastUpdated)) {
+      errors.push(`${label}: 价格观测时间 ${region.PriceObservedAt} 晚于数据更新时间 ${data.lastUpdated}`);
+    }
+
+    // 标价、含税与税前价格都需在合理区间内，后两者只在数据中存在时检查
+    region.Plans.forEach(plan => {
+      const range = bounds[plan.Name];
+      if (!range) return;
+      const [min, max] = range;
+      CNY_FIELDS.forEach(([field, basis]) => {
+        if (field !== 'PriceInCNY' && plan[field] === undefined) return;
+        if (!(plan[field] >= min && plan[field] <= max)) {
+          errors.push(`${label}: ${plan.Name} ${basis}价格 ¥${plan[field]} 超出合理区间 ¥${min}-¥${max}`);
+        }
+      });
+    });
+  });
+
+  if (previous && Array.isArray(previous.regions)) {
+    const floor = Math.ceil(previous.regions.length * (1 - maxRegionDrop));
+    if (data.regions.length < floor) {
+      errors.push(`地区数量从 ${previous.regions.length} 降到 ${data.regions.length}，低于下限 ${floor}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 完整校验，返回所有错误信息
+ * Schema 不通过时不再做合理性检查
+ */
+function validatePriceData(data, previous, options) {
+  const schemaErrors = checkSchema(data);
+  if (schemaErrors.length > 0) return schemaErrors;
+  return checkSanity(data, previous, options);
+}
+
+module.exports = {
+  COMMON_TIER_SHARE,
+  commonTiers,
+  expectedTiers,
+  CNY_BOUNDS,
+  MAX_REGION_DROP,
+  checkSchema,
+  checkSanity,
+  validatePriceData
+};
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+/**
+ * 生成静态价格报告
+ * 用法: node scripts/build-report.js [--data=prices.json] [--history=目录] [--out=目录] [--plan=2TB] [--rank-by=incl|excl|sticker]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const history = require('../lib/history');
+const { writeReport } = require('../lib/report');
+
+const CONFIG = {
+  dataPath: path.join(__dirname, '../data/prices.json'),
+  historyDir: path.join(__dirname, '../data/history'),
+  outDir: path.join(__dirname, '../site')
+};
+
+// 排序依据 -> 价格字段，与 fetch-prices.js 相同
+const RANK_FIELDS = {
+  incl: 'PriceInCNYInclTax',
+  excl: 'PriceInCNYExclTax',
+  sticker: 'PriceInCNY'
+};
+
+/**
+ * 读取命令行参数 --name=value
+ */
+function getArgValue(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : defaultValue;
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  try {
+    const dataPath = getArgValue('data', CONFIG.dataPath);
+    const historyDir = getArgValue('history', CONFIG.historyDir);
+    const outDir = getArgValue('out', CONFIG.outDir);
+    const rankBasis = getArgValue('rank-by');
+    if (rankBasis && !RANK_FIELDS[rankBasis]) {
+      throw new Error(`未知的排序依据: ${rankBasis} (可选: ${Object.keys(RANK_FIELDS).join(', ')})`);
+    }
+
+    const data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+    const snapshots = history.loadSnapshots(historyDir);
+    console.log(`📄 读取价格数据: ${dataPath} (${data.regions.length} 个地区，${snapshots.length} 份历史快照)`);
+
+    const files = writeReport(outDir, data, {
+      snapshots,
+      basis: rankBasis ? RANK_FIELDS[rankBasis] : undefined,
+      mapPlan: getArgValue('plan')
+    });
+    files.forEach(file => console.log(`✅ 已生成: ${file}`));
+  } catch (err) {
+    console.error('❌ 错误:', err.message);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
@@ -4,133 +4,264 @@
  * 从 Apple 官方支持页面爬取各地区价格，并转换为 CNY
  */
 
-const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const http = require('../lib/http');
+const history = require('../lib/history');
+const diff = require('../lib/diff');
+const { parsePriceDetailed, getCurrencyFormat } = require('../lib/price-format');
+const { validatePriceData } = require('../lib/validate');
+const exchangeRates = require('../lib/exchange-rates');
+const { addValueMetrics } = require('../lib/metrics');
+const tiers = require('../lib/tiers');
+const registry = require('../lib/registry');
+const { EXPORT_FORMATS } = require('../lib/export');
+const alerts = require('../lib/alerts');
+const notifiers = require('../lib/notifiers');
 
 // 配置
 const CONFIG = {
   appleURL: 'https://support.apple.com/en-us/108047',
-  exchangeAPI: 'https://api.exchangerate-api.com/v4/latest/USD',
+  exchangeAPI: exchangeRates.EXCHANGE_RATE_API_URL,
+  rateProviders: exchangeRates.DEFAULT_PROVIDER_ORDER,
+  rateCachePath: path.join(__dirname, '../data/exchange-rates.cache.json'),
+  // 输出换算价格的目标货币 (CNY 始终输出)
+  targetCurrencies: ['CNY', 'USD', 'EUR', 'HKD', 'JPY'],
   outputPath: path.join(__dirname, '../data/prices.json'),
-  timeout: 15000
-};
-
-// ISO 代码映射 (货币 -> 国家)
-const CURRENCY_TO_ISO = {
-  'USD': 'US', 'CAD': 'CA', 'MXN': 'MX', 'BRL': 'BR', 'CLP': 'CL',
-  'COP': 'CO', 'PEN': 'PE', 'EUR': 'EU', 'GBP': 'GB', 'CHF': 'CH',
-  'SEK': 'SE', 'NOK': 'NO', 'DKK': 'DK', 'PLN': 'PL', 'CZK': 'CZ',
-  'HUF': 'HU', 'RON': 'RO', 'BGN': 'BG', 'HRK': 'HR', 'RUB': 'RU',
-  'TRY': 'TR', 'ILS': 'IL', 'AED': 'AE', 'SAR': 'SA', 'ZAR': 'ZA',
-  'EGP': 'EG', 'NGN': 'NG', 'KES': 'KE', 'AUD': 'AU', 'NZD': 'NZ',
-  'JPY': 'JP', 'CNY': 'CN', 'HKD': 'HK', 'TWD': 'TW', 'KRW': 'KR',
-  'SGD': 'SG', 'MYR': 'MY', 'THB': 'TH', 'IDR': 'ID', 'PHP': 'PH',
-  'VND': 'VN', 'INR': 'IN', 'PKR': 'PK', 'BDT': 'BD', 'LKR': 'LK'
+  taxRatesPath: path.join(__dirname, '../data/tax-rates.json'),
+  historyDir: path.join(__dirname, '../data/history'),
+  changelogPath: path.join(__dirname, '../data/changelog.json'),
+  exportDir: path.join(__dirname, '../data/export'),
+  // 价格提醒配置 (格式见 data/alerts.example.json)，文件不存在时不检查提醒
+  alertsPath: path.join(__dirname, '../data/alerts.json'),
+  // Apple 页面的 ETag / Last-Modified，页面未变化时沿用上次的解析结果
+  pageCachePath: path.join(__dirname, '../data/page-cache.json'),
+  // 手动录入的地区价格 (格式见 data/manual-prices.example.json)，仅在页面上缺少该地区时使用
+  manualPricesPath: path.join(__dirname, '../data/manual-prices.json'),
+  timeout: 15000,
+  http: {
+    retries: 3,
+    maxRedirects: 5,
+    maxBytes: 5 * 1024 * 1024,
+    // 支持页面按语言本地化，解析规则基于英文页面
+    headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+  }
 };
 
-// 国家名称到 ISO 代码映射
-const COUNTRY_TO_ISO = {
-  'United States': 'US', 'Canada': 'CA', 'Mexico': 'MX', 'Brazil': 'BR',
-  'Chile': 'CL', 'Colombia': 'CO', 'Peru': 'PE', 'Argentina': 'AR',
-  'Bahamas': 'BS', 'Barbados': 'BB', 'Suriname': 'SR',
-  'United Kingdom': 'GB', 'Germany': 'DE', 'France': 'FR', 'Italy': 'IT',
-  'Spain': 'ES', 'Netherlands': 'NL', 'Belgium': 'BE', 'Austria': 'AT',
-  'Switzerland': 'CH', 'Sweden': 'SE', 'Norway': 'NO', 'Denmark': 'DK',
-  'Finland': 'FI', 'Ireland': 'IE', 'Portugal': 'PT', 'Poland': 'PL',
-  'Czech Republic': 'CZ', 'Czechia': 'CZ', 'Hungary': 'HU', 'Romania': 'RO',
-  'Bulgaria': 'BG', 'Croatia': 'HR', 'Greece': 'GR', 'Slovakia': 'SK',
-  'Slovenia': 'SI', 'Estonia': 'EE', 'Latvia': 'LV', 'Lithuania': 'LT',
-  'Luxembourg': 'LU', 'Malta': 'MT', 'Cyprus': 'CY', 'Iceland': 'IS',
-  'Russia': 'RU', 'Ukraine': 'UA', 'Turkey': 'TR', 'Türkiye': 'TR',
-  'Israel': 'IL', 'United Arab Emirates': 'AE', 'Saudi Arabia': 'SA',
-  'Qatar': 'QA', 'Kuwait': 'KW', 'Bahrain': 'BH', 'Oman': 'OM',
-  'South Africa': 'ZA', 'Egypt': 'EG', 'Nigeria': 'NG', 'Kenya': 'KE',
-  'Morocco': 'MA', 'Tunisia': 'TN', 'Algeria': 'DZ',
-  'Australia': 'AU', 'New Zealand': 'NZ', 'Japan': 'JP',
-  'China': 'CN', 'China mainland': 'CN', 'Hong Kong': 'HK', 'Taiwan': 'TW',
-  'South Korea': 'KR', 'Korea': 'KR', 'Singapore': 'SG', 'Malaysia': 'MY',
-  'Thailand': 'TH', 'Indonesia': 'ID', 'Philippines': 'PH', 'Vietnam': 'VN',
-  'India': 'IN', 'Pakistan': 'PK', 'Bangladesh': 'BD', 'Sri Lanka': 'LK',
-  'Nepal': 'NP', 'Cambodia': 'KH', 'Laos': 'LA', 'Myanmar': 'MM'
+// 排序依据 -> 价格字段
+const RANK_FIELDS = {
+  incl: 'PriceInCNYInclTax',
+  excl: 'PriceInCNYExclTax',
+  sticker: 'PriceInCNY'
 };
 
 /**
- * HTTPS GET 请求
+ * GET 请求 (重试、解压与大小上限见 lib/http.js)
+ * options.validators 发送条件请求，页面未变化时返回 null
  */
-function fetchURL(url) {
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { timeout: CONFIG.timeout }, (res) => {
-      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
-        return fetchURL(res.headers.location).then(resolve).catch(reject);
-      }
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP ${res.statusCode}`));
-      }
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(data));
-    });
-    req.on('error', reject);
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error('Request timeout'));
-    });
+function fetchURL(url, options = {}) {
+  return http.fetchText(url, {
+    ...CONFIG.http,
+    timeout: CONFIG.timeout,
+    onRetry: (err, attempt, delay) => {
+      console.warn(`⚠️ ${err.message}，${delay}ms 后第 ${attempt} 次重试: ${url}`);
+    },
+    ...options
   });
 }
 
 /**
  * 获取汇率数据
+ * 按 options.providers 的顺序尝试各数据源，返回 { provider, label, timestamp, rates }
+ * fetch 可替换为其他实现 (如测试中读取本地夹具)
  */
-async function getExchangeRates() {
+async function getExchangeRates(fetch = fetchURL, options = {}) {
   console.log('📊 获取汇率数据...');
-  const data = await fetchURL(CONFIG.exchangeAPI);
-  const json = JSON.parse(data);
-  return json.rates;
+  const providers = exchangeRates.resolveProviders(options.providers || CONFIG.rateProviders);
+  return exchangeRates.loadExchangeRates(providers, {
+    fetch,
+    urls: { 'exchangerate-api': CONFIG.exchangeAPI },
+    ratesFile: options.ratesFile,
+    cachePath: CONFIG.rateCachePath,
+    previousDataPath: CONFIG.outputPath,
+    requiredCurrencies: options.requiredCurrencies,
+    log: message => console.warn(message)
+  });
 }
 
 /**
  * 解析价格字符串
+ * 按货币的小数点/千分位约定解析，无法确定含义时返回 NaN
  */
-function parsePrice(priceStr) {
-  // 移除货币符号和空格，处理各种格式
-  const cleaned = priceStr
-    .replace(/[^\d.,]/g, '')
-    .replace(/,/g, '.');
-
-  // 处理欧洲格式 (1.234,56 -> 1234.56)
-  const parts = cleaned.split('.');
-  if (parts.length > 2) {
-    const last = parts.pop();
-    return parseFloat(parts.join('') + '.' + last);
+function parsePrice(priceStr, currency) {
+  return parsePriceDetailed(priceStr, currency).value;
+}
+
+/**
+ * 创建记录解析过程的价格读取函数
+ * 每次解析的结果与依据都会追加到 parseLog，便于人工复核
+ */
+function createPriceReader(parseLog) {
+  return (text, currency, country, plan) => {
+    const entry = parsePriceDetailed(text, currency);
+    parseLog.push({ Country: country, Plan: plan, ...entry });
+    return entry.value;
+  };
+}
+
+/**
+ * 根据脚注文字判断其含义
+ * 返回需要合并到地区记录上的字段，无法识别时返回 null
+ */
+function classifyFootnote(text) {
+  const meta = {};
+
+  if (/\bUSD\b|U\.S\. dollars?|US dollars?/i.test(text)) {
+    meta.BilledInUSD = true;
+  }
+
+  // 先判断"不含税"，避免被"含税"规则误匹配
+  if (/(?:do(?:es)?\s*n[o']t|not)\s+include[^.]*tax|exclud\w*[^.]*tax|before\s+tax|plus\s+(?:applicable\s+)?(?:sales\s+)?tax/i.test(text)) {
+    meta.TaxIncluded = false;
+  } else if (/includ\w*[^.]*(?:tax|VAT|GST)|(?:tax|VAT|GST)\w*\s+(?:is\s+|are\s+)?included/i.test(text)) {
+    meta.TaxIncluded = true;
   }
 
-  return parseFloat(cleaned);
+  return Object.keys(meta).length > 0 ? meta : null;
 }
 
 /**
- * 从 HTML 解析价格数据
+ * 解析页面中的脚注定义
+ * 支持 "<sup>2</sup> 说明"、"2. 说明" 与有序列表 <ol><li>说明</li></ol> 三种写法
+ * 返回 { 脚注编号: 字段 } 映射
  */
-async function parseApplePricing(html) {
-  // 动态导入 cheerio
-  const cheerio = await import('cheerio');
-  const $ = cheerio.load(html);
+function parseFootnotes($) {
+  const footnotes = {};
 
-  const regions = [];
+  $('p, li').each((_, el) => {
+    const $el = $(el);
+    const firstSup = $el.children('sup').first();
+    let id = null;
+    let text = $el.text().trim();
 
-  // Apple 支持页面的价格通常在特定结构中
-  // 尝试多种选择器来匹配页面结构
+    if (firstSup.length > 0 && text.startsWith(firstSup.text().trim())) {
+      id = firstSup.text().trim();
+      text = text.slice(id.length).trim();
+    } else if ($el.is('ol > li')) {
+      const start = parseInt($el.parent().attr('start'), 10) || 1;
+      id = String(start + $el.index());
+    } else {
+      const match = text.match(/^(\d{1,2})[.)]\s+(.+)$/s);
+      if (!match) return;
+      [, id, text] = match;
+    }
 
-  // 方法1: 查找包含价格的列表
-  $('h3, h4, strong').each((_, header) => {
-    const headerText = $(header).text().trim();
+    if (!/^\d{1,2}$/.test(id) || footnotes[id]) return;
 
-    // 匹配 "Country (CURRENCY)" 格式
-    const countryMatch = headerText.match(/^(.+?)\s*\((\w{3})\)$/);
-    if (!countryMatch) return;
+    const meta = classifyFootnote(text);
+    if (meta) {
+      footnotes[id] = meta;
+    }
+  });
+
+  return footnotes;
+}
 
-    const [, countryName, currency] = countryMatch;
-    const countryISO = COUNTRY_TO_ISO[countryName.trim()] || CURRENCY_TO_ISO[currency] || currency.substring(0, 2);
+/**
+ * 拆分国家名称与脚注标记
+ * "Bahamas2,3" -> { name: 'Bahamas', refs: ['2', '3'] }
+ */
+function splitFootnoteRefs(text) {
+  const match = text.trim().match(/^(.*?\D)\s*(\d{1,2}(?:\s*,\s*\d{1,2})*)$/);
+  if (!match) {
+    return { name: text.trim(), refs: [] };
+  }
+  return {
+    name: match[1].trim(),
+    refs: match[2].split(',').map(ref => ref.trim())
+  };
+}
+
+/**
+ * 根据脚注编号生成地区的税费/货币字段
+ * 页面上未定义的脚注编号会被忽略
+ */
+function resolveFootnotes(refs, footnotes) {
+  const meta = { TaxIncluded: null, BilledInUSD: false };
+  refs.forEach(ref => Object.assign(meta, footnotes[ref]));
+  return meta;
+}
+
+/**
+ * 读取国家/地区标签
+ * "Russia<sup>3</sup> (RUB)" -> { name: 'Russia', currency: 'RUB', refs: ['3'] }
+ * 标签中没有货币代码时 currency 为 null
+ */
+function readCountryLabel($, el) {
+  // 脚注上标单独提取，避免混入国家名称
+  const $el = $(el).clone();
+  const supRefs = [];
+  $el.find('sup').each((_, sup) => {
+    supRefs.push(...$(sup).text().split(',').map(ref => ref.trim()).filter(Boolean));
+  }).remove();
+  const text = $el.text().replace(/\s+/g, ' ').trim();
+
+  // 匹配 "Country (CURRENCY)" 格式
+  const countryMatch = text.match(/^(.+?)\s*\(([A-Z]{3})\)$/);
+  const { name, refs } = splitFootnoteRefs(countryMatch ? countryMatch[1] : text);
+
+  return {
+    name,
+    currency: countryMatch ? countryMatch[2] : null,
+    refs: [...new Set([...supRefs, ...refs])]
+  };
+}
+
+// 套餐名称与列表项中的容量写法见 lib/tiers.js，页面上出现的任何档位都会被收录
+const PLAN_NAME_PATTERN = new RegExp(`^${tiers.CAPACITY_PATTERN.source}$`, 'i');
+const PLAN_LINE_PATTERN = new RegExp(`${tiers.CAPACITY_PATTERN.source}[:\\s]+(.+)`, 'i');
+
+/**
+ * 规范化套餐名称，"50 GB" -> "50GB"、"2000 GB" -> "2TB"，无法识别时返回 null
+ */
+function normalizePlanName(text) {
+  const match = text.trim().match(PLAN_NAME_PATTERN);
+  const tier = match && tiers.parseTier(`${match[1]}${match[2]}`);
+  return tier ? tier.id : null;
+}
+
+/**
+ * 拆分列表项 "50 GB: $0.99" 或 "50GB $0.99" -> { name: '50GB', priceText: '$0.99' }
+ */
+function matchPlanLine(text) {
+  const match = text.match(PLAN_LINE_PATTERN);
+  const tier = match && tiers.parseTier(`${match[1]}${match[2]}`);
+  return tier ? { name: tier.id, priceText: match[3] } : null;
+}
+
+/**
+ * 生成地区记录
+ * 国家代码由 lib/registry.js 按名称确定，无法识别时为 null，由调用方报错
+ */
+function createRegion(label, currency, plans, footnotes) {
+  return {
+    CountryISO: registry.resolveCountry(label.name),
+    Country: label.name,
+    Currency: currency,
+    ...resolveFootnotes(label.refs, footnotes),
+    Plans: plans
+  };
+}
+
+/**
+ * 解析列表结构: 标题 "Country (CURRENCY)" + 价格列表
+ */
+function parsePricingLists($, footnotes, readPrice) {
+  const regions = [];
+
+  $('h3, h4, strong').each((_, header) => {
+    const label = readCountryLabel($, header);
+    if (!label.currency) return;
 
     // 查找后续的价格列表
     const priceList = $(header).next('ul, ol').find('li');
@@ -138,203 +269,191 @@ async function parseApplePricing(html) {
 
     const plans = [];
     priceList.each((_, li) => {
-      const text = $(li).text().trim();
-      // 匹配 "50 GB: $0.99" 或 "50GB $0.99" 格式
-      const planMatch = text.match(/(\d+)\s*(GB|TB)[:\s]+(.+)/i);
+      const planMatch = matchPlanLine($(li).text().trim());
       if (planMatch) {
-        const [, size, unit, priceStr] = planMatch;
-        const name = `${size}${unit.toUpperCase()}`;
-        const price = parsePrice(priceStr);
+        const price = readPrice(planMatch.priceText, label.currency, label.name, planMatch.name);
         if (!isNaN(price)) {
-          plans.push({ Name: name, Price: price });
+          plans.push({ Name: planMatch.name, Price: price });
         }
       }
     });
 
     if (plans.length > 0) {
-      regions.push({
-        CountryISO: countryISO,
-        Country: countryName.trim(),
-        Currency: currency,
-        Plans: plans
-      });
+      regions.push(createRegion(label, label.currency, plans, footnotes));
     }
   });
 
-  // 方法2: 如果上面没找到，尝试解析表格
-  if (regions.length === 0) {
-    $('table').each((_, table) => {
-      $(table).find('tr').each((_, row) => {
-        const cells = $(row).find('td, th');
-        if (cells.length >= 2) {
-          // 表格解析逻辑
+  return regions;
+}
+
+/**
+ * 解析表格结构，支持两种布局:
+ * - 套餐为列: 表头为 "Country | 50GB | 200GB ..."，每行一个地区
+ *   货币代码可写在国家名后的括号里，也可单独一列 (表头 "Currency")
+ * - 套餐为行: 表头为 "Plan | Russia (RUB) | Japan (JPY) ..."，每行一个套餐
+ */
+function parsePricingTables($, footnotes, readPrice) {
+  const regions = [];
+
+  $('table').each((_, table) => {
+    let planColumns = null;
+    let currencyColumn = -1;
+    let countryColumns = null;
+
+    $(table).find('tr').each((_, row) => {
+      const cells = $(row).find('td, th').toArray();
+      if (cells.length < 2) return;
+      const texts = cells.map(cell => $(cell).text().replace(/\s+/g, ' ').trim());
+
+      // 表头行: 至少两个单元格是套餐名称
+      const planHeaders = texts
+        .map((text, idx) => [idx, normalizePlanName(text)])
+        .filter(([, name]) => name);
+      if (planHeaders.length >= 2) {
+        planColumns = new Map(planHeaders);
+        currencyColumn = texts.findIndex(text => /^currency$/i.test(text));
+        countryColumns = null;
+        return;
+      }
+
+      // 表头行: 除首列外都是 "Country (CURRENCY)"
+      if (!planColumns) {
+        const labels = cells.slice(1).map(cell => readCountryLabel($, cell));
+        if (labels.every(label => label.currency)) {
+          countryColumns = labels.map(label => ({ label, plans: [] }));
+          return;
         }
-      });
+      }
+
+      // 套餐为列: 每行一个地区
+      if (planColumns) {
+        const countryColumn = texts.findIndex((_, idx) => !planColumns.has(idx) && idx !== currencyColumn);
+        if (countryColumn === -1) return;
+
+        const label = readCountryLabel($, cells[countryColumn]);
+        const currency = label.currency || (currencyColumn !== -1 ? texts[currencyColumn] : null);
+        if (!label.name || !/^[A-Z]{3}$/.test(currency || '')) return;
+
+        const plans = [];
+        planColumns.forEach((name, idx) => {
+          const price = texts[idx] ? readPrice(texts[idx], currency, label.name, name) : NaN;
+          if (!isNaN(price)) {
+            plans.push({ Name: name, Price: price });
+          }
+        });
+
+        if (plans.length > 0) {
+          regions.push(createRegion(label, currency, plans, footnotes));
+        }
+        return;
+      }
+
+      // 套餐为行: 每列一个地区
+      if (countryColumns) {
+        const name = normalizePlanName(texts[0]);
+        if (!name) return;
+
+        countryColumns.forEach((column, idx) => {
+          const text = texts[idx + 1];
+          const price = text ? readPrice(text, column.label.currency, column.label.name, name) : NaN;
+          if (!isNaN(price)) {
+            column.plans.push({ Name: name, Price: price });
+          }
+        });
+      }
     });
+
+    if (countryColumns) {
+      countryColumns
+        .filter(column => column.plans.length > 0)
+        .forEach(column => {
+          regions.push(createRegion(column.label, column.label.currency, column.plans, footnotes));
+        });
+    }
+  });
+
+  return regions;
+}
+
+/**
+ * 从 HTML 解析价格数据
+ * options.parseLog: 传入数组以收集每个价格的解析记录
+ */
+async function parseApplePricing(html, options = {}) {
+  // 动态导入 cheerio
+  const cheerio = await import('cheerio');
+  const $ = cheerio.load(html);
+
+  const footnotes = parseFootnotes($);
+  const readPrice = createPriceReader(options.parseLog || []);
+
+  // Apple 支持页面的价格通常在特定结构中
+  // 尝试多种选择器来匹配页面结构
+
+  // 方法1: 查找包含价格的列表
+  const regions = parsePricingLists($, footnotes, readPrice);
+
+  // 方法2: 如果上面没找到，尝试解析表格
+  if (regions.length === 0) {
+    return parsePricingTables($, footnotes, readPrice);
   }
 
   return regions;
 }
 
 /**
- * 备用：使用硬编码的价格数据
- * 当爬取失败时使用这些数据
- */
-function getFallbackData() {
-  return [
-    { CountryISO: 'US', Country: 'United States', Currency: 'USD', Plans: [
-      { Name: '50GB', Price: 0.99 }, { Name: '200GB', Price: 2.99 },
-      { Name: '2TB', Price: 9.99 }, { Name: '6TB', Price: 29.99 }, { Name: '12TB', Price: 59.99 }
-    ]},
-    { CountryISO: 'CN', Country: 'China', Currency: 'CNY', Plans: [
-      { Name: '50GB', Price: 6 }, { Name: '200GB', Price: 21 },
-      { Name: '2TB', Price: 68 }, { Name: '6TB', Price: 198 }, { Name: '12TB', Price: 398 }
-    ]},
-    { CountryISO: 'JP', Country: 'Japan', Currency: 'JPY', Plans: [
-      { Name: '50GB', Price: 150 }, { Name: '200GB', Price: 450 },
-      { Name: '2TB', Price: 1500 }, { Name: '6TB', Price: 4500 }, { Name: '12TB', Price: 9000 }
-    ]},
-    { CountryISO: 'GB', Country: 'United Kingdom', Currency: 'GBP', Plans: [
-      { Name: '50GB', Price: 0.99 }, { Name: '200GB', Price: 2.99 },
-      { Name: '2TB', Price: 8.99 }, { Name: '6TB', Price: 26.99 }, { Name: '12TB', Price: 54.99 }
-    ]},
-    { CountryISO: 'DE', Country: 'Germany', Currency: 'EUR', Plans: [
-      { Name: '50GB', Price: 0.99 }, { Name: '200GB', Price: 2.99 },
-      { Name: '2TB', Price: 9.99 }, { Name: '6TB', Price: 29.99 }, { Name: '12TB', Price: 59.99 }
-    ]},
-    { CountryISO: 'FR', Country: 'France', Currency: 'EUR', Plans: [
-      { Name: '50GB', Price: 0.99 }, { Name: '200GB', Price: 2.99 },
-      { Name: '2TB', Price: 9.99 }, { Name: '6TB', Price: 29.99 }, { Name: '12TB', Price: 59.99 }
-    ]},
-    { CountryISO: 'AU', Country: 'Australia', Currency: 'AUD', Plans: [
-      { Name: '50GB', Price: 1.49 }, { Name: '200GB', Price: 4.49 },
-      { Name: '2TB', Price: 14.99 }, { Name: '6TB', Price: 44.99 }, { Name: '12TB', Price: 89.99 }
-    ]},
-    { CountryISO: 'CA', Country: 'Canada', Currency: 'CAD', Plans: [
-      { Name: '50GB', Price: 1.29 }, { Name: '200GB', Price: 3.99 },
-      { Name: '2TB', Price: 12.99 }, { Name: '6TB', Price: 39.99 }, { Name: '12TB', Price: 79.99 }
-    ]},
-    { CountryISO: 'KR', Country: 'South Korea', Currency: 'KRW', Plans: [
-      { Name: '50GB', Price: 1100 }, { Name: '200GB', Price: 3300 },
-      { Name: '2TB', Price: 11000 }, { Name: '6TB', Price: 33000 }, { Name: '12TB', Price: 66000 }
-    ]},
-    { CountryISO: 'HK', Country: 'Hong Kong', Currency: 'HKD', Plans: [
-      { Name: '50GB', Price: 8 }, { Name: '200GB', Price: 23 },
-      { Name: '2TB', Price: 78 }, { Name: '6TB', Price: 233 }, { Name: '12TB', Price: 468 }
-    ]},
-    { CountryISO: 'TW', Country: 'Taiwan', Currency: 'TWD', Plans: [
-      { Name: '50GB', Price: 30 }, { Name: '200GB', Price: 90 },
-      { Name: '2TB', Price: 300 }, { Name: '6TB', Price: 900 }, { Name: '12TB', Price: 1800 }
-    ]},
-    { CountryISO: 'SG', Country: 'Singapore', Currency: 'SGD', Plans: [
-      { Name: '50GB', Price: 1.28 }, { Name: '200GB', Price: 3.98 },
-      { Name: '2TB', Price: 12.98 }, { Name: '6TB', Price: 38.98 }, { Name: '12TB', Price: 78.98 }
-    ]},
-    { CountryISO: 'IN', Country: 'India', Currency: 'INR', Plans: [
-      { Name: '50GB', Price: 75 }, { Name: '200GB', Price: 219 },
-      { Name: '2TB', Price: 749 }, { Name: '6TB', Price: 2249 }, { Name: '12TB', Price: 4499 }
-    ]},
-    { CountryISO: 'RU', Country: 'Russia', Currency: 'RUB', Plans: [
-      { Name: '50GB', Price: 59 }, { Name: '200GB', Price: 149 },
-      { Name: '2TB', Price: 599 }, { Name: '6TB', Price: 1790 }, { Name: '12TB', Price: 3590 }
-    ]},
-    { CountryISO: 'TR', Country: 'Turkey', Currency: 'TRY', Plans: [
-      { Name: '50GB', Price: 14.99 }, { Name: '200GB', Price: 44.99 },
-      { Name: '2TB', Price: 149.99 }, { Name: '6TB', Price: 449.99 }, { Name: '12TB', Price: 899.99 }
-    ]},
-    { CountryISO: 'BR', Country: 'Brazil', Currency: 'BRL', Plans: [
-      { Name: '50GB', Price: 3.50 }, { Name: '200GB', Price: 10.90 },
-      { Name: '2TB', Price: 34.90 }, { Name: '6TB', Price: 104.90 }, { Name: '12TB', Price: 209.90 }
-    ]},
-    { CountryISO: 'MX', Country: 'Mexico', Currency: 'MXN', Plans: [
-      { Name: '50GB', Price: 17 }, { Name: '200GB', Price: 49 },
-      { Name: '2TB', Price: 179 }, { Name: '6TB', Price: 529 }, { Name: '12TB', Price: 1049 }
-    ]},
-    { CountryISO: 'ID', Country: 'Indonesia', Currency: 'IDR', Plans: [
-      { Name: '50GB', Price: 15000 }, { Name: '200GB', Price: 45000 },
-      { Name: '2TB', Price: 149000 }, { Name: '6TB', Price: 449000 }, { Name: '12TB', Price: 899000 }
-    ]},
-    { CountryISO: 'TH', Country: 'Thailand', Currency: 'THB', Plans: [
-      { Name: '50GB', Price: 35 }, { Name: '200GB', Price: 99 },
-      { Name: '2TB', Price: 349 }, { Name: '6TB', Price: 1049 }, { Name: '12TB', Price: 2099 }
-    ]},
-    { CountryISO: 'MY', Country: 'Malaysia', Currency: 'MYR', Plans: [
-      { Name: '50GB', Price: 3.90 }, { Name: '200GB', Price: 11.90 },
-      { Name: '2TB', Price: 39.90 }, { Name: '6TB', Price: 119.90 }, { Name: '12TB', Price: 239.90 }
-    ]},
-    { CountryISO: 'PH', Country: 'Philippines', Currency: 'PHP', Plans: [
-      { Name: '50GB', Price: 49 }, { Name: '200GB', Price: 149 },
-      { Name: '2TB', Price: 499 }, { Name: '6TB', Price: 1490 }, { Name: '12TB', Price: 2990 }
-    ]},
-    { CountryISO: 'VN', Country: 'Vietnam', Currency: 'VND', Plans: [
-      { Name: '50GB', Price: 19000 }, { Name: '200GB', Price: 59000 },
-      { Name: '2TB', Price: 199000 }, { Name: '6TB', Price: 599000 }, { Name: '12TB', Price: 1190000 }
-    ]},
-    { CountryISO: 'AE', Country: 'United Arab Emirates', Currency: 'AED', Plans: [
-      { Name: '50GB', Price: 3.99 }, { Name: '200GB', Price: 10.99 },
-      { Name: '2TB', Price: 36.99 }, { Name: '6TB', Price: 109.99 }, { Name: '12TB', Price: 219.99 }
-    ]},
-    { CountryISO: 'SA', Country: 'Saudi Arabia', Currency: 'SAR', Plans: [
-      { Name: '50GB', Price: 3.99 }, { Name: '200GB', Price: 10.99 },
-      { Name: '2TB', Price: 36.99 }, { Name: '6TB', Price: 109.99 }, { Name: '12TB', Price: 219.99 }
-    ]},
-    { CountryISO: 'ZA', Country: 'South Africa', Currency: 'ZAR', Plans: [
-      { Name: '50GB', Price: 14.99 }, { Name: '200GB', Price: 44.99 },
-      { Name: '2TB', Price: 149.99 }, { Name: '6TB', Price: 449.99 }, { Name: '12TB', Price: 899.99 }
-    ]},
-    { CountryISO: 'IL', Country: 'Israel', Currency: 'ILS', Plans: [
-      { Name: '50GB', Price: 3.90 }, { Name: '200GB', Price: 10.90 },
-      { Name: '2TB', Price: 34.90 }, { Name: '6TB', Price: 109.90 }, { Name: '12TB', Price: 219.90 }
-    ]},
-    { CountryISO: 'PL', Country: 'Poland', Currency: 'PLN', Plans: [
-      { Name: '50GB', Price: 3.99 }, { Name: '200GB', Price: 11.99 },
-      { Name: '2TB', Price: 39.99 }, { Name: '6TB', Price: 119.99 }, { Name: '12TB', Price: 239.99 }
-    ]},
-    { CountryISO: 'SE', Country: 'Sweden', Currency: 'SEK', Plans: [
-      { Name: '50GB', Price: 9 }, { Name: '200GB', Price: 29 },
-      { Name: '2TB', Price: 99 }, { Name: '6TB', Price: 299 }, { Name: '12TB', Price: 599 }
-    ]},
-    { CountryISO: 'NO', Country: 'Norway', Currency: 'NOK', Plans: [
-      { Name: '50GB', Price: 12 }, { Name: '200GB', Price: 35 },
-      { Name: '2TB', Price: 119 }, { Name: '6TB', Price: 355 }, { Name: '12TB', Price: 709 }
-    ]},
-    { CountryISO: 'DK', Country: 'Denmark', Currency: 'DKK', Plans: [
-      { Name: '50GB', Price: 7 }, { Name: '200GB', Price: 19 },
-      { Name: '2TB', Price: 69 }, { Name: '6TB', Price: 199 }, { Name: '12TB', Price: 399 }
-    ]},
-    { CountryISO: 'CH', Country: 'Switzerland', Currency: 'CHF', Plans: [
-      { Name: '50GB', Price: 1 }, { Name: '200GB', Price: 3 },
-      { Name: '2TB', Price: 10 }, { Name: '6TB', Price: 30 }, { Name: '12TB', Price: 60 }
-    ]},
-    { CountryISO: 'NZ', Country: 'New Zealand', Currency: 'NZD', Plans: [
-      { Name: '50GB', Price: 1.69 }, { Name: '200GB', Price: 4.99 },
-      { Name: '2TB', Price: 16.99 }, { Name: '6TB', Price: 49.99 }, { Name: '12TB', Price: 99.99 }
-    ]},
-    { CountryISO: 'CL', Country: 'Chile', Currency: 'CLP', Plans: [
-      { Name: '50GB', Price: 800 }, { Name: '200GB', Price: 2500 },
-      { Name: '2TB', Price: 7900 }, { Name: '6TB', Price: 23900 }, { Name: '12TB', Price: 47900 }
-    ]},
-    { CountryISO: 'CO', Country: 'Colombia', Currency: 'COP', Plans: [
-      { Name: '50GB', Price: 3400 }, { Name: '200GB', Price: 10900 },
-      { Name: '2TB', Price: 34900 }, { Name: '6TB', Price: 104900 }, { Name: '12TB', Price: 209900 }
-    ]},
-    { CountryISO: 'PE', Country: 'Peru', Currency: 'PEN', Plans: [
-      { Name: '50GB', Price: 2.90 }, { Name: '200GB', Price: 9.90 },
-      { Name: '2TB', Price: 34.90 }, { Name: '6TB', Price: 99.90 }, { Name: '12TB', Price: 199.90 }
-    ]},
-    { CountryISO: 'EG', Country: 'Egypt', Currency: 'EGP', Plans: [
-      { Name: '50GB', Price: 24.99 }, { Name: '200GB', Price: 74.99 },
-      { Name: '2TB', Price: 249.99 }, { Name: '6TB', Price: 749.99 }, { Name: '12TB', Price: 1499.99 }
-    ]},
-    { CountryISO: 'NG', Country: 'Nigeria', Currency: 'NGN', Plans: [
-      { Name: '50GB', Price: 900 }, { Name: '200GB', Price: 2900 },
-      { Name: '2TB', Price: 9900 }, { Name: '6TB', Price: 29900 }, { Name: '12TB', Price: 59900 }
-    ]},
-    { CountryISO: 'PK', Country: 'Pakistan', Currency: 'PKR', Plans: [
-      { Name: '50GB', Price: 200 }, { Name: '200GB', Price: 600 },
-      { Name: '2TB', Price: 2000 }, { Name: '6TB', Price: 6000 }, { Name: '12TB', Price: 12000 }
-    ]}
-  ];
+ * 读取手动录入的地区价格，文件不存在时返回空数组
+ * 格式: { "regions": [{ "Country", "Currency", "PriceObservedAt", "Plans": [{ "Name", "Price" }] }] }
+ */
+function loadManualRegions(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const { regions = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return regions.map((region, i) => {
+    const label = `${filePath} regions[${i}]`;
+    if (!region.Country || !region.Currency || !Array.isArray(region.Plans) || region.Plans.length === 0) {
+      throw new Error(`${label}: 需要 Country、Currency 与 Plans`);
+    }
+    if (Number.isNaN(Date.parse(region.PriceObservedAt))) {
+      throw new Error(`${label}: 缺少或无效的 PriceObservedAt`);
+    }
+    return {
+      ...toParsedRegion({ ...region, CountryISO: registry.resolveCountry(history.regionName(region)), Country: history.regionName(region) }),
+      PriceObservedAt: new Date(region.PriceObservedAt).toISOString()
+    };
+  });
+}
+
+/**
+ * 按地区合并本次抓取结果、手动录入的价格与上一次校验通过的数据
+ * 本次抓取到的地区直接使用；其余地区取手动录入与上一次数据中观测时间较新的一份 (相同时取手动录入)
+ * 每个地区标注来源 Source (scraped / manual / carried-over) 与价格观测时间 PriceObservedAt
+ */
+function mergeRegions(scraped, observedAt, previous, manualRegions = []) {
+  const merged = scraped.map(region => ({ ...region, Source: 'scraped', PriceObservedAt: observedAt }));
+  const seen = new Set(merged.map(region => region.CountryISO));
+
+  const carried = (previous ? previous.regions : []).map(region => ({
+    ...toParsedRegion(region),
+    // 旧数据中的名称可能带脚注编号、代码可能是猜测的，按去掉脚注的名称重新解析
+    CountryISO: registry.resolveCountry(history.regionName(region)),
+    Country: history.regionName(region),
+    Source: 'carried-over',
+    PriceObservedAt: region.PriceObservedAt || previous.lastUpdated
+  }));
+  const candidates = [...manualRegions.map(region => ({ ...region, Source: 'manual' })), ...carried];
+
+  candidates.forEach(candidate => {
+    if (seen.has(candidate.CountryISO)) return;
+    const newest = candidates
+      .filter(region => region.CountryISO === candidate.CountryISO)
+      .reduce((best, region) => (Date.parse(region.PriceObservedAt) > Date.parse(best.PriceObservedAt) ? region : best));
+    merged.push(newest);
+    seen.add(candidate.CountryISO);
+  });
+
+  return merged;
 }
 
 /**
@@ -358,56 +477,517 @@ function convertToCNY(price, currency, rates) {
 }
 
 /**
- * 主函数
+ * 在两种货币间换算，缺少汇率时返回 null
+ * 汇率表以 USD 为基准 (1 USD = X 货币)
  */
-async function main() {
-  const isDryRun = process.argv.includes('--dry-run');
+function convertPrice(price, from, to, rates) {
+  if (from === to) return price;
+  if (!rates[from] || !rates[to]) return null;
+  return price / rates[from] * rates[to];
+}
 
-  console.log('🚀 开始获取 iCloud+ 价格数据...\n');
+/**
+ * 保留两位小数
+ */
+function roundPrice(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * 按货币的最小单位取整 (JPY 取整数)
+ */
+function roundForCurrency(value, currency) {
+  const factor = Math.pow(10, getCurrencyFormat(currency).minorUnits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * 读取税率表
+ */
+function loadTaxRates() {
+  return JSON.parse(fs.readFileSync(CONFIG.taxRatesPath, 'utf8'));
+}
+
+/**
+ * 计算标价换算为含税/不含税价格的系数
+ * 页面未标注是否含税时，按 Apple 大多数地区的惯例视为含税
+ */
+function getTaxFactors(region, taxRates) {
+  const entry = taxRates.rates[region.CountryISO];
+  const rate = entry ? entry.rate : 0;
 
+  if (region.TaxIncluded === false) {
+    return { incl: 1 + rate, excl: 1 };
+  }
+  return { incl: 1, excl: 1 / (1 + rate) };
+}
+
+/**
+ * 计算含税与不含税的 CNY 价格
+ */
+function applyTax(priceInCNY, region, taxRates) {
+  const factors = getTaxFactors(region, taxRates);
+  return {
+    PriceInCNYInclTax: roundPrice(priceInCNY * factors.incl),
+    PriceInCNYExclTax: roundPrice(priceInCNY * factors.excl)
+  };
+}
+
+/**
+ * 把本地价格换算为各目标货币，factor 为含税/不含税系数
+ * 汇率表中没有的目标货币会被跳过
+ */
+function convertToTargets(price, currency, targets, rates, factor = 1) {
+  const converted = {};
+  targets.forEach(target => {
+    const value = convertPrice(price, currency, target, rates);
+    if (value !== null) {
+      converted[target] = roundForCurrency(value * factor, target);
+    }
+  });
+  return converted;
+}
+
+/**
+ * 读取命令行参数 --name=value
+ */
+function getArgValue(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : defaultValue;
+}
+
+/**
+ * 获取 Apple 页面与汇率，生成完整的价格数据
+ * options.fetchURL 可替换网络请求，便于离线测试
+ * options.pageCache { validators, regions } 上次页面的验证信息与解析结果，
+ *   页面未变化时沿用 regions；结束后 validators 更新为本次页面的验证信息 (失败时为 null)
+ * options.previous 上一次校验通过的价格数据，options.manualRegions 手动录入的地区价格，
+ *   页面获取失败或缺少某些地区时按地区沿用 (见 mergeRegions)
+ * options.parseLog 传入数组以收集价格解析记录
+ * options.rateProviders / options.ratesFile 指定汇率数据源
+ */
+async function buildPriceData(rankField, options = {}) {
+  const fetch = options.fetchURL || fetchURL;
+  const parseLog = options.parseLog || [];
+  const taxRates = loadTaxRates();
+
+  // 获取价格数据
+  const pageCache = options.pageCache || {};
+  const observedAt = new Date().toISOString();
+  // 上次没有从页面解析到地区时不发送条件请求，否则 304 会让空结果一直沿用下去
+  const hasCachedRegions = Boolean(pageCache.regions && pageCache.regions.length > 0);
+  let scraped = [];
+  let pageValidators = null;
   try {
-    // 获取汇率
-    const rates = await getExchangeRates();
-    console.log(`✅ 汇率获取成功 (1 USD = ${rates.CNY.toFixed(4)} CNY)\n`);
-
-    // 获取价格数据
-    let regions;
-    try {
-      console.log('📄 获取 Apple 支持页面...');
-      const html = await fetchURL(CONFIG.appleURL);
-      regions = await parseApplePricing(html);
-
-      if (regions.length === 0) {
-        console.log('⚠️ 页面解析结果为空，使用备用数据');
-        regions = getFallbackData();
+    console.log('📄 获取 Apple 支持页面...');
+    const html = await fetch(CONFIG.appleURL, {
+      validators: hasCachedRegions ? pageCache.validators : undefined,
+      onResponse: response => { pageValidators = http.getValidators(response); }
+    });
+
+    if (html === null) {
+      scraped = pageCache.regions;
+      pageValidators = pageValidators || pageCache.validators;
+      console.log(`✅ 页面未变化，沿用上次解析的 ${scraped.length} 个地区\n`);
+    } else {
+      scraped = await parseApplePricing(html, { parseLog });
+
+      const rejected = parseLog.filter(entry => entry.error);
+      rejected.forEach(entry => {
+        console.warn(`⚠️ 价格无法解析，已跳过: ${entry.Country} ${entry.Plan} "${entry.raw}" (${entry.error})`);
+      });
+
+      if (scraped.length === 0) {
+        console.log('⚠️ 页面解析结果为空');
+        pageValidators = null;
       } else {
-        console.log(`✅ 解析到 ${regions.length} 个地区的价格数据\n`);
+        console.log(`✅ 解析到 ${scraped.length} 个地区的价格数据\n`);
       }
-    } catch (err) {
-      console.log(`⚠️ 页面获取失败: ${err.message}，使用备用数据`);
-      regions = getFallbackData();
     }
+  } catch (err) {
+    console.log(`⚠️ 页面获取失败: ${err.message}`);
+    pageValidators = null;
+  }
+  pageCache.validators = pageValidators;
 
-    // 转换为 CNY
-    const result = {
-      lastUpdated: new Date().toISOString(),
-      source: 'Apple Support + ExchangeRate-API',
-      regions: regions.map(region => ({
+  // 页面上出现无法识别的国家名称时中止，不猜测代码 (需在 lib/registry.js 中补充别名)
+  const unresolved = scraped.filter(region => !region.CountryISO).map(region => region.Country);
+  if (unresolved.length > 0) {
+    throw new Error(`无法识别的国家或地区名称: ${unresolved.join(', ')}，请在 lib/registry.js 中补充别名`);
+  }
+
+  // 本次没有抓取到的地区沿用手动录入或上一次校验通过的数据
+  let regions = mergeRegions(scraped, observedAt, options.previous, options.manualRegions);
+  if (regions.length === 0) {
+    throw new Error('没有抓取到价格，也没有可以沿用的上一次数据');
+  }
+  const unknown = regions.filter(region => !region.CountryISO).map(region => region.Country);
+  if (unknown.length > 0) {
+    throw new Error(`上一次数据或手动录入中有无法识别的国家或地区名称: ${unknown.join(', ')}`);
+  }
+  const unscraped = regions.filter(region => region.Source !== 'scraped');
+  if (unscraped.length > 0) {
+    console.warn(`⚠️ ${unscraped.length} 个地区本次未抓取到，沿用已有价格: ` +
+      unscraped.map(region => `${region.Country} (${region.Source}, ${region.PriceObservedAt.slice(0, 10)})`).join(', '));
+  }
+
+  // 获取汇率，所选数据源必须覆盖页面上出现的所有货币
+  const rateResult = await getExchangeRates(fetch, {
+    providers: options.rateProviders,
+    ratesFile: options.ratesFile,
+    requiredCurrencies: [...new Set(regions.map(r => r.Currency))]
+  });
+  const rates = rateResult.rates;
+  console.log(`✅ 汇率获取成功: ${rateResult.label}，${rateResult.timestamp || '时间未知'} (1 USD = ${rates.CNY.toFixed(4)} CNY)\n`);
+
+  const targets = [...new Set(['CNY', ...(options.targetCurrencies || CONFIG.targetCurrencies)])];
+  const unknownTargets = targets.filter(currency => !rates[currency]);
+  if (unknownTargets.length > 0) {
+    console.warn(`⚠️ 汇率表中没有以下目标货币，已跳过: ${unknownTargets.join(', ')}`);
+  }
+  const targetCurrencies = targets.filter(currency => rates[currency]);
+
+  const missingTax = regions.filter(r => !taxRates.rates[r.CountryISO]).map(r => r.CountryISO);
+  if (missingTax.length > 0) {
+    console.warn(`⚠️ 税率表中缺少以下地区，按 0 税率处理: ${[...new Set(missingTax)].join(', ')}`);
+  }
+
+  // 转换为 CNY
+  const result = {
+    lastUpdated: observedAt,
+    source: `Apple Support + ${rateResult.label}`,
+    exchangeRates: {
+      provider: rateResult.cachedFrom ? `cache:${rateResult.cachedFrom}` : rateResult.provider,
+      timestamp: rateResult.timestamp,
+      base: 'USD',
+      rates
+    },
+    taxRatesVersion: taxRates.version,
+    rankBasis: rankField,
+    targetCurrencies,
+    tiers: tiers.buildTierCatalog(regions),
+    regions: regions.map(region => {
+      const factors = getTaxFactors(region, taxRates);
+      return {
         ...region,
-        Plans: region.Plans.map(plan => ({
-          ...plan,
-          PriceInCNY: Math.round(convertToCNY(plan.Price, region.Currency, rates) * 100) / 100
-        }))
-      }))
+        TaxRate: taxRates.rates[region.CountryISO]?.rate ?? 0,
+        Plans: region.Plans.map(plan => {
+          const priceInCNY = convertToCNY(plan.Price, region.Currency, rates);
+          return {
+            ...plan,
+            PriceInCNY: roundPrice(priceInCNY),
+            ...applyTax(priceInCNY, region, taxRates),
+            PriceIn: convertToTargets(plan.Price, region.Currency, targetCurrencies, rates),
+            PriceInInclTax: convertToTargets(plan.Price, region.Currency, targetCurrencies, rates, factors.incl),
+            PriceInExclTax: convertToTargets(plan.Price, region.Currency, targetCurrencies, rates, factors.excl)
+          };
+        })
+      };
+    })
+  };
+
+  // 按提供地区最多的档位 (通常为最小档位) 排序，没有该档位的地区排在最后
+  const rankTier = tiers.defaultTier(result.tiers);
+  const rankPrice = region => region.Plans.find(p => p.Name === rankTier)?.[rankField] ?? Infinity;
+  result.regions.sort((a, b) => (rankPrice(a) - rankPrice(b)) || 0);
+
+  // 按排序依据计算每 TB 价格、升级成本与相对中位数的溢价
+  return addValueMetrics(result, rankField);
+}
+
+/**
+ * 读取价格数据文件
+ */
+function readPriceFile(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * 去掉换算与统计字段，还原为页面解析结果
+ */
+function toParsedRegion(region) {
+  const { CountryISO, Country, Currency, TaxIncluded, BilledInUSD } = region;
+  return {
+    CountryISO,
+    Country,
+    Currency,
+    ...(TaxIncluded !== undefined ? { TaxIncluded } : {}),
+    ...(BilledInUSD !== undefined ? { BilledInUSD } : {}),
+    Plans: region.Plans.map(plan => ({ Name: plan.Name, Price: plan.Price }))
+  };
+}
+
+/**
+ * 读取上次 Apple 页面的验证信息，并用上一份数据还原当时的解析结果
+ * 缓存不存在、对应的页面地址不同或没有上一份数据时返回空缓存
+ */
+function loadPageCache(cachePath, previous) {
+  if (!previous || !fs.existsSync(cachePath)) {
+    return {};
+  }
+  const cache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  if (cache.url !== CONFIG.appleURL) {
+    return {};
+  }
+  // 只还原当时从页面解析到的地区，沿用或手动录入的地区不在页面上
+  return {
+    validators: { etag: cache.etag, lastModified: cache.lastModified },
+    regions: previous.regions.filter(region => !region.Source || region.Source === 'scraped').map(toParsedRegion)
+  };
+}
+
+/**
+ * 保存本次页面的验证信息，没有验证信息时删除缓存
+ */
+function savePageCache(cachePath, validators) {
+  if (!validators) {
+    if (fs.existsSync(cachePath)) fs.unlinkSync(cachePath);
+    return;
+  }
+  fs.writeFileSync(cachePath, JSON.stringify({ url: CONFIG.appleURL, ...validators }, null, 2));
+}
+
+/**
+ * diff 命令: 对比两份价格数据
+ * diff <旧文件> <新文件>  对比两个文件 (如两份历史快照)
+ * diff [旧文件]           对比文件 (默认当前 prices.json) 与一次新的抓取结果
+ * --threshold=N  汇率波动报告阈值 (百分比)
+ * --json         以 JSON 输出到标准输出
+ * --out=FILE     同时把 JSON 结果写入文件
+ */
+async function runDiff(files, rankField) {
+  const oldPath = files[0] || CONFIG.outputPath;
+  const oldData = readPriceFile(oldPath);
+  const newData = files[1] ? readPriceFile(files[1]) : await buildPriceData(rankField);
+
+  const threshold = Number(getArgValue('threshold', diff.DEFAULT_FX_THRESHOLD));
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    throw new Error(`无效的汇率波动阈值: ${getArgValue('threshold')}`);
+  }
+
+  const result = diff.diffPriceData(oldData, newData, { fxThreshold: threshold });
+
+  const outPath = getArgValue('out');
+  if (outPath) {
+    fs.writeFileSync(outPath, JSON.stringify(result, null, 2));
+  }
+
+  if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(diff.formatDiffReport(result));
+    if (outPath) {
+      console.log(`\n✅ JSON 结果已保存到: ${outPath}`);
+    }
+  }
+}
+
+/**
+ * 输出校验错误
+ */
+function reportValidationErrors(errors) {
+  console.error(`❌ 数据校验失败，共 ${errors.length} 项:`);
+  errors.forEach(err => console.error(`  - ${err}`));
+}
+
+/**
+ * validate 命令: 校验价格数据文件
+ * validate [文件]       默认校验当前 prices.json
+ * --previous=FILE       同时与上一份数据比较地区数量
+ */
+function runValidate(files) {
+  const filePath = files[0] || CONFIG.outputPath;
+  const previousPath = getArgValue('previous');
+  const errors = validatePriceData(
+    readPriceFile(filePath),
+    previousPath ? readPriceFile(previousPath) : null
+  );
+
+  if (errors.length > 0) {
+    reportValidationErrors(errors);
+    process.exit(1);
+  }
+  console.log(`✅ 校验通过: ${filePath}`);
+}
+
+/**
+ * 把旧版价格数据迁移到当前格式，不重新换算价格
+ * 去掉国家名称中的脚注编号并按名称重新解析代码，补充 Source / PriceObservedAt 与档位目录
+ * 缺少价值指标 (或中位数仍使用旧的 PriceInCNY 键而口径不同) 时按已有的 CNY 价格补算；
+ * 汇率、税前/含税价格与其他货币价格无法离线补出，需重新抓取
+ * 无法识别的国家名称抛出错误
+ */
+function migratePriceData(data) {
+  const regions = data.regions.map(region => {
+    const Country = history.regionName(region);
+    const CountryISO = registry.resolveCountry(Country);
+    if (!CountryISO) {
+      throw new Error(`无法识别的国家或地区名称: ${region.Country}，请在 lib/registry.js 中补充别名`);
+    }
+    return {
+      ...region,
+      CountryISO,
+      Country,
+      Source: region.Source || 'scraped',
+      PriceObservedAt: region.PriceObservedAt || data.lastUpdated
     };
+  });
+  const migrated = { ...data, tiers: data.tiers || tiers.buildTierCatalog(regions), regions };
+  const { metrics } = migrated;
+  const current = metrics && Object.values(metrics.medians).every(entry => typeof entry[metrics.basis] === 'number');
+  return current ? migrated : addValueMetrics(migrated, metrics ? metrics.basis : (migrated.rankBasis || 'PriceInCNY'));
+}
+
+/**
+ * migrate 命令: 把价格数据文件迁移到当前格式，校验通过后写回
+ * migrate [文件]  默认迁移当前 prices.json
+ */
+function runMigrate(files) {
+  const filePath = files[0] || CONFIG.outputPath;
+  const data = migratePriceData(readPriceFile(filePath));
+  const errors = validatePriceData(data, null);
+  if (errors.length > 0) {
+    reportValidationErrors(errors);
+    throw new Error('迁移后的数据未通过校验，未写入文件');
+  }
+  fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+  console.log(`✅ 已迁移: ${filePath} (${data.regions.length} 个地区)`);
+}
+
+/**
+ * export 命令: 把价格数据导出为表格与数据库
+ * export [文件]              默认导出当前 prices.json，数据需先通过校验
+ * --format=csv,tsv,md,sqlite 导出格式 (默认全部)
+ * --out=DIR                  输出目录 (默认 data/export)
+ */
+async function runExport(files) {
+  const filePath = files[0] || CONFIG.outputPath;
+  const data = readPriceFile(filePath);
+  const errors = validatePriceData(data, null);
+  if (errors.length > 0) {
+    reportValidationErrors(errors);
+    throw new Error('数据未通过校验，未导出');
+  }
+
+  const formats = getArgValue('format', Object.keys(EXPORT_FORMATS).join(',')).split(',').filter(Boolean);
+  const unknown = formats.filter(format => !EXPORT_FORMATS[format]);
+  if (unknown.length > 0) {
+    throw new Error(`未知的导出格式: ${unknown.join(', ')} (可选: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+
+  const outDir = getArgValue('out', CONFIG.exportDir);
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const format of formats) {
+    const { extension, render } = EXPORT_FORMATS[format];
+    const outPath = path.join(outDir, `prices.${extension}`);
+    fs.writeFileSync(outPath, await render(data));
+    console.log(`✅ 已导出: ${outPath}`);
+  }
+}
+
+/**
+ * 按提醒规则比较新旧数据并发送通知
+ * dry run 时只输出到标准输出；配置错误或通知失败只输出警告，不影响数据写入
+ */
+async function runAlerts(configPath, previous, result, isDryRun) {
+  let config;
+  try {
+    config = alerts.loadAlertConfig(configPath);
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}`);
+    return;
+  }
+  if (!config) return;
+
+  const triggered = alerts.evaluateRules(config.rules, previous, result);
+  if (triggered.length === 0) {
+    console.log('🔕 没有触发价格提醒');
+    return;
+  }
+  console.log(`🔔 触发 ${triggered.length} 条价格提醒`);
+
+  let channels;
+  try {
+    channels = (isDryRun ? [{ type: 'stdout' }] : (config.notifiers || [{ type: 'stdout' }])).map(notifiers.createNotifier);
+  } catch (err) {
+    console.warn(`⚠️ ${err.message}`);
+    return;
+  }
+  const results = await notifiers.notifyAll(channels, triggered, { lastUpdated: result.lastUpdated });
+  results.filter(r => !r.ok).forEach(r => {
+    console.warn(`⚠️ 通知发送失败 (${r.name}): ${r.error}`);
+  });
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const isDryRun = process.argv.includes('--dry-run');
+  const rankBasis = getArgValue('rank-by', 'incl');
+
+  try {
+    if (!RANK_FIELDS[rankBasis]) {
+      throw new Error(`未知的排序依据: ${rankBasis} (可选: ${Object.keys(RANK_FIELDS).join(', ')})`);
+    }
+    const rankField = RANK_FIELDS[rankBasis];
+
+    if (command === 'diff') {
+      await runDiff(rest.filter(arg => !arg.startsWith('--')), rankField);
+      return;
+    }
+
+    if (command === 'validate') {
+      runValidate(rest.filter(arg => !arg.startsWith('--')));
+      return;
+    }
+
+    if (command === 'export') {
+      await runExport(rest.filter(arg => !arg.startsWith('--')));
+      return;
+    }
 
-    // 按 50GB 价格排序
-    result.regions.sort((a, b) => {
-      const priceA = a.Plans.find(p => p.Name === '50GB')?.PriceInCNY || Infinity;
-      const priceB = b.Plans.find(p => p.Name === '50GB')?.PriceInCNY || Infinity;
-      return priceA - priceB;
+    if (command === 'migrate') {
+      runMigrate(rest.filter(arg => !arg.startsWith('--')));
+      return;
+    }
+
+    console.log('🚀 开始获取 iCloud+ 价格数据...\n');
+
+    const rateProviders = getArgValue('rate-providers');
+    const currencies = getArgValue('currencies');
+    const parseLog = [];
+    // --force 忽略页面缓存，重新下载并解析
+    const previous = fs.existsSync(CONFIG.outputPath) ? readPriceFile(CONFIG.outputPath) : null;
+    const pageCache = process.argv.includes('--force') ? {} : loadPageCache(CONFIG.pageCachePath, previous);
+    const result = await buildPriceData(rankField, {
+      parseLog,
+      pageCache,
+      previous,
+      manualRegions: loadManualRegions(getArgValue('manual', CONFIG.manualPricesPath)),
+      rateProviders: rateProviders ? rateProviders.split(',') : undefined,
+      ratesFile: getArgValue('rates-file'),
+      targetCurrencies: currencies ? currencies.toUpperCase().split(',') : undefined
     });
 
+    const parseLogPath = getArgValue('parse-log');
+    if (parseLogPath) {
+      fs.writeFileSync(parseLogPath, JSON.stringify(parseLog, null, 2));
+      console.log(`📝 价格解析记录已保存到: ${parseLogPath}`);
+    }
+
+    // 校验通过后才允许写入，失败时保留旧文件
+    const errors = validatePriceData(result, previous);
+    if (errors.length > 0) {
+      reportValidationErrors(errors);
+      throw new Error('数据未通过校验，未写入文件');
+    }
+    console.log('✅ 数据校验通过\n');
+
+    await runAlerts(getArgValue('alerts', CONFIG.alertsPath), previous, result, isDryRun);
+
     if (isDryRun) {
       console.log('📋 Dry run 模式，输出数据预览:\n');
       console.log(JSON.stringify(result, null, 2).substring(0, 2000) + '...\n');
@@ -419,10 +999,29 @@ async function main() {
         fs.mkdirSync(dir, { recursive: true });
       }
 
+      // 与上一次的数据比较，记录本地货币价格变化
+      if (previous) {
+        const changes = history.diffLocalPrices(previous, result);
+        if (changes.length > 0) {
+          history.appendChangelog(changes, CONFIG.changelogPath, result.lastUpdated.slice(0, 10));
+          console.log(`📝 记录 ${changes.length} 条价格变化到: ${CONFIG.changelogPath}`);
+        }
+      }
+
       // 写入文件
       fs.writeFileSync(CONFIG.outputPath, JSON.stringify(result, null, 2));
       console.log(`✅ 数据已保存到: ${CONFIG.outputPath}`);
       console.log(`📊 共 ${result.regions.length} 个地区的价格数据`);
+
+      const snapshotPath = history.saveSnapshot(result, CONFIG.historyDir);
+      console.log(`🗂️ 快照已保存到: ${snapshotPath}`);
+
+      savePageCache(CONFIG.pageCachePath, pageCache.validators);
+
+      // 汇率缓存同样只在校验通过后写入，本次使用的是缓存汇率时不回写
+      if (!result.exchangeRates.provider.startsWith('cache')) {
+        exchangeRates.saveRateCache(CONFIG.rateCachePath, result.exchangeRates);
+      }
     }
 
   } catch (err) {
@@ -431,4 +1030,22 @@ async function main() {
   }
 }
 
-main();
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  CONFIG,
+  RANK_FIELDS,
+  parsePrice,
+  parseFootnotes,
+  parseApplePricing,
+  convertPrice,
+  convertToCNY,
+  applyTax,
+  buildPriceData,
+  loadManualRegions,
+  loadPageCache,
+  migratePriceData,
+  runAlerts
+};
@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+/**
+ * iCloud+ 价格查询命令行工具
+ * 用法: icloud-pricing [套餐] [地区...] [分组] [<价格] [topN] [/tb|upgrade] [含税|税前] [货币] [--data=prices.json] [--json] [--launcher=alfred|raycast|utools|wox|ndjson]
+ *       icloud-pricing plan <容量> [地区...] [分组] [topN] [含税|税前] [货币] [--people=N] [--months=N|--years=N]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const query = require('../lib/query');
+const planner = require('../lib/planner');
+const launchers = require('../lib/launchers');
+
+const CONFIG = {
+  // 默认使用随包发布的数据
+  dataPath: path.join(__dirname, '../data/prices.json')
+};
+
+/**
+ * 获取命令行参数值 (--name=value)
+ */
+function getArgValue(args, name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = args.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : defaultValue;
+}
+
+/**
+ * 终端显示宽度: 中日韩字符与国旗 emoji 占两列
+ */
+function displayWidth(text) {
+  let width = 0;
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code >= 0x1f1e6 && code <= 0x1f1ff) {
+      // 国旗由两个区域指示符组成，合计两列
+      width += 1;
+    } else if (
+      (code >= 0x1100 && code <= 0x115f) ||
+      (code >= 0x2e80 && code <= 0xa4cf) ||
+      (code >= 0xac00 && code <= 0xd7a3) ||
+      (code >= 0xf900 && code <= 0xfaff) ||
+      (code >= 0xfe30 && code <= 0xfe4f) ||
+      (code >= 0xff00 && code <= 0xff60) ||
+      (code >= 0xffe0 && code <= 0xffe6)
+    ) {
+      width += 2;
+    } else {
+      width += 1;
+    }
+  }
+  return width;
+}
+
+/**
+ * 按显示宽度补齐
+ */
+function pad(text, width, alignRight) {
+  const fill = ' '.repeat(Math.max(0, width - displayWidth(text)));
+  return alignRight ? fill + text : text + fill;
+}
+
+/**
+ * 按列宽对齐输出表格行
+ */
+function renderTable(headers, alignRight, rows) {
+  const widths = headers.map((header, i) =>
+    Math.max(displayWidth(header), ...rows.map(cells => displayWidth(cells[i])))
+  );
+  const line = cells => cells.map((cell, i) => pad(cell, widths[i], alignRight[i])).join('  ').trimEnd();
+
+  const lines = [line(headers), widths.map(w => '-'.repeat(w)).join('  ')];
+  if (rows.length === 0) {
+    lines.push('(没有符合条件的结果)');
+  }
+  rows.forEach(cells => lines.push(line(cells)));
+  return lines;
+}
+
+/**
+ * 把查询结果格式化为终端表格
+ */
+function formatTable(result) {
+  const compare = result.mode === 'compare';
+  const upgrade = result.view.upgrade;
+  // 表头货币取自结果行: 缺少汇率时结果行退回 CNY，货币不一致时只写"价格"
+  const currencies = [...new Set(result.rows.map(row => row.displayCurrency))];
+  const currency = currencies.length > 1 ? '价格' : (currencies[0] || result.view.currency);
+  const priceHeader = currency + (result.view.perTB || upgrade ? '/TB' : '');
+  const headers = ['#', '地区', '套餐', '本地价格', priceHeader];
+  const alignRight = [true, false, false, true, true];
+  const rows = result.rows.map(row => [
+    String(row.rank),
+    // 价格未在最近一次抓取中更新的地区加 * 标记，说明见表格下方
+    `${row.flag} ${row.country}${row.stale ? ' *' : ''}`,
+    row.plan,
+    row.localPriceStr,
+    row.displayStr
+  ]);
+
+  // 对比模式: 用差价列代替排名列
+  if (compare) {
+    headers.shift();
+    alignRight.shift();
+    rows.forEach((cells, i) => {
+      cells.shift();
+      cells.push(result.rows[i].diffStr);
+    });
+    headers.push('差价');
+    alignRight.push(true);
+  }
+
+  // 升级成本排名时显示上一档与升级差价
+  if (upgrade) {
+    headers.push('升级');
+    alignRight.push(false);
+    rows.forEach((cells, i) => cells.push(result.rows[i].upgradeStr || ''));
+  }
+
+  if (result.rows.some(row => row.premiumPercent !== null)) {
+    headers.push('比中位数');
+    alignRight.push(true);
+    rows.forEach((cells, i) => {
+      const premium = result.rows[i].premiumPercent;
+      cells.push(premium === null ? '' : `${premium >= 0 ? '+' : ''}${premium.toFixed(2)}%`);
+    });
+  }
+
+  const lines = renderTable(headers, alignRight, rows);
+
+  const stale = [...new Set(result.rows.filter(row => row.stale).map(row => `${row.country} ${row.staleStr}`))];
+  if (stale.length > 0) {
+    lines.push('', '* 以下地区的价格未在最近一次抓取中更新:');
+    stale.forEach(entry => lines.push(`  ${entry}`));
+  }
+
+  // 数据不完整时的提示，如缺少含税/不含税价格
+  if (result.notices.length > 0) {
+    lines.push('');
+    result.notices.forEach(notice => lines.push(`⚠️ ${notice}`));
+  }
+
+  const notes = [];
+  const basisLabel = query.PRICE_BASIS_LABELS[result.view.priceField];
+  if (basisLabel) notes.push(`计价: ${basisLabel}`);
+  if (result.metricsBasis && (upgrade || result.rows.some(row => row.premiumPercent !== null))) {
+    notes.push(`价值指标口径: ${query.PRICE_BASIS_LABELS[result.metricsBasis] || '标价'}`);
+  }
+  if (result.lastUpdated) notes.push(`数据更新时间: ${result.lastUpdated}`);
+  if (notes.length > 0) {
+    lines.push('', notes.join(' | '));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 格式化 CNY 金额为显示货币，缺少汇率时保留 CNY
+ */
+function formatCNY(value, currency, rates) {
+  const converted = query.convertFromCNY(value, currency, rates);
+  return converted === null ? query.formatMoney(value, 'CNY') : query.formatMoney(converted, currency);
+}
+
+/**
+ * 把家庭方案规划结果格式化为终端表格
+ */
+function formatPlan(plan, currency, rates) {
+  const money = value => formatCNY(value, currency, rates);
+  const capacity = gb => (gb >= 1000 ? `${gb / 1000}TB` : `${gb}GB`);
+  const rows = plan.regions.map(region => [
+    String(region.Rank),
+    `${query.getFlag(region.CountryISO)} ${region.Country}`,
+    region.Plans.map(p => (p.Count > 1 ? `${p.Name} × ${p.Count}` : p.Name)).join(' + '),
+    capacity(region.CapacityGB),
+    money(region.MonthlyCNY),
+    money(region.TotalCNY),
+    money(region.PerPersonMonthlyCNY)
+  ]);
+
+  const headers = ['#', '地区', '方案', '容量', '每月', `${plan.months} 个月合计`, '每人每月'];
+  const lines = [
+    `👪 ${plan.people} 人共需 ${capacity(plan.demandGB)}，计费 ${plan.months} 个月`,
+    '',
+    ...renderTable(headers, [true, false, false, true, true, true, true], rows)
+  ];
+
+  if (currency !== 'CNY' && query.convertFromCNY(1, currency, rates) === null) {
+    lines.push('', `⚠️ 价格数据缺少 ${currency} 汇率，以 CNY 显示`);
+  }
+  const basisLabel = query.PRICE_BASIS_LABELS[plan.basis];
+  if (basisLabel) lines.push('', `计价: ${basisLabel}`);
+  return lines.join('\n');
+}
+
+/**
+ * plan 子命令: 家庭存储方案规划
+ * 第一个能解析为容量的词为需求，其余词按查询语法过滤地区 (地区、分组、topN、计价口径、货币)
+ */
+function runPlan(words, args, data) {
+  const storageIndex = words.findIndex(word => !isNaN(planner.parseStorage(word)));
+  if (storageIndex === -1) {
+    return { output: '❌ 请指定总存储需求，如: icloud-pricing plan 3tb --people=4', exitCode: 1 };
+  }
+  const demandGB = planner.parseStorage(words[storageIndex]);
+  const parsed = query.parseQuery(words.filter((_, i) => i !== storageIndex).join(' '));
+
+  const years = getArgValue(args, 'years');
+  const months = years ? Number(years) * 12 : Number(getArgValue(args, 'months', 12));
+  const currency = (parsed.currency || getArgValue(args, 'currency', process.env.ICLOUD_PRICING_CURRENCY) || 'CNY').toUpperCase();
+
+  let plan;
+  try {
+    plan = planner.planHousehold(
+      { ...data, regions: query.filterRegions(data.regions, parsed.regions, parsed.groups) },
+      {
+        demandGB,
+        people: Number(getArgValue(args, 'people', 1)),
+        months,
+        basis: parsed.priceField || data.rankBasis
+      }
+    );
+  } catch (err) {
+    return { output: `❌ ${err.message}`, exitCode: 1 };
+  }
+  if (parsed.top) plan.regions = plan.regions.slice(0, parsed.top);
+
+  const rates = data.exchangeRates && data.exchangeRates.rates;
+  return {
+    output: args.includes('--json') ? JSON.stringify(plan, null, 2) : formatPlan(plan, currency, rates),
+    exitCode: 0
+  };
+}
+
+/**
+ * 帮助信息
+ */
+function helpText() {
+  return [
+    '用法: icloud-pricing [套餐] [地区...] [分组] [<价格] [topN] [/tb|upgrade] [含税|税前] [货币] [选项]',
+    '',
+    '  套餐: 50gb, 200gb, 2tb, 6tb, 12tb 等，以价格数据中的档位为准，也可写作 2t、2000gb',
+    '  地区: 中英文名称、拼音、ISO 代码或货币代码，可写多个',
+    '        单独的显示货币代码 (见下方"货币") 设置显示货币；按这些货币查找地区写作 cur:usd',
+    `  分组: ${Object.keys(query.REGION_GROUPS).join(', ')}`,
+    '  上限: <30 (显示货币), <¥30, <$5, <=20eur',
+    '  排名: top5 只显示前 5 名, /tb 按每 TB 价格排名, upgrade 按从上一档升级的每 TB 成本排名',
+    '  对比: 2tb us vs cn，以第一个地区为基准',
+    '  计价: incl (含税), excl (税前)',
+    `  货币: ${Object.keys(query.CURRENCY_SYMBOLS).map(c => c.toLowerCase()).join(', ')}`,
+    '',
+    '选项:',
+    '  --data=<path>      价格数据文件 (默认使用随包数据)',
+    '  --currency=<code>  默认显示货币 (默认 CNY)',
+    '  --json             输出 JSON',
+    `  --launcher=<name>  按启动器格式输出 (${Object.keys(launchers.ADAPTERS).join(', ')})`,
+    '',
+    '家庭方案规划:',
+    '  icloud-pricing plan <容量> [地区...] [分组] [topN] [选项]',
+    '  --people=<N>       共享人数 (默认 1，每个套餐最多 6 人共享)',
+    '  --months=<N>       计费时长 (默认 12 个月)',
+    '  --years=<N>        计费时长 (年)',
+    '',
+    '示例:',
+    '  icloud-pricing 2tb        查看所有地区 2TB 套餐价格排名',
+    '  icloud-pricing 2tb jp     查看日本 2TB 套餐价格',
+    '  icloud-pricing us         查看美国所有套餐价格',
+    '  icloud-pricing 2tb eu <¥80 top5',
+    '  icloud-pricing 6tb /tb',
+    '  icloud-pricing 2tb upgrade',
+    '  icloud-pricing 2tb us vs cn',
+    '  icloud-pricing 2tb cur:eur usd  以美元显示使用欧元的地区',
+    '  icloud-pricing plan 3tb --people=4 --years=2'
+  ].join('\n');
+}
+
+/**
+ * 执行一次查询，返回 { output, exitCode }
+ */
+function runCLI(args) {
+  const words = args.filter(arg => !arg.startsWith('--'));
+  const asJSON = args.includes('--json');
+  const launcher = getArgValue(args, 'launcher');
+  const text = words.join(' ');
+
+  if (launcher && !launchers.ADAPTERS[launcher]) {
+    return { output: `❌ 未知的启动器格式: ${launcher} (可选: ${Object.keys(launchers.ADAPTERS).join(', ')})`, exitCode: 1 };
+  }
+
+  if (args.includes('--help') || query.parseQuery(text).help) {
+    return { output: launcher ? launchers.render(launcher, { type: 'help' }) : helpText(), exitCode: 0 };
+  }
+
+  const dataPath = getArgValue(args, 'data', CONFIG.dataPath);
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  } catch (err) {
+    const message = `无法读取价格数据 ${dataPath}: ${err.message}`;
+    return { output: launcher ? launchers.render(launcher, { type: 'error', message }) : `❌ ${message}`, exitCode: 1 };
+  }
+
+  if (words[0] === 'plan') {
+    return runPlan(words.slice(1), args, data);
+  }
+
+  const result = query.executeQuery(data, text, {
+    currency: getArgValue(args, 'currency', process.env.ICLOUD_PRICING_CURRENCY)
+  });
+
+  if (asJSON) {
+    return { output: JSON.stringify(result, null, 2), exitCode: result.type === 'error' ? 1 : 0 };
+  }
+
+  // 启动器总是需要可显示的条目，错误与无结果也以条目输出
+  if (launcher) {
+    return { output: launchers.render(launcher, result), exitCode: result.type === 'error' ? 1 : 0 };
+  }
+
+  switch (result.type) {
+    case 'error':
+      return { output: `❌ ${result.message}`, exitCode: 1 };
+    case 'empty':
+      return {
+        output: result.missing
+          ? `🔍 未找到地区: ${result.missing}`
+          : '🔍 未找到匹配的地区，尝试使用其他关键词，如 US, JP, CN',
+        exitCode: 1
+      };
+    default:
+      return { output: formatTable(result), exitCode: 0 };
+  }
+}
+
+if (require.main === module) {
+  const { output, exitCode } = runCLI(process.argv.slice(2));
+  (exitCode === 0 ? console.log : console.error)(output);
+  process.exitCode = exitCode;
+}
+
+module.exports = {
+  displayWidth,
+  formatTable,
+  formatPlan,
+  runCLI
+};
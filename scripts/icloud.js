@@ -11,28 +11,25 @@ ObjC.import('Foundation');
  * 配置
  */
 const CONFIG = {
-  // 数据源 URL (部署到 GitHub Pages 后替换)
+  // 数据源 URL (部署到 GitHub Pages 后替换)，可用工作流变量 data_url 覆盖，
+  // 如指向本地 API: http://127.0.0.1:8787/prices
   dataURL: 'https://raw.githubusercontent.com/YOUR_USERNAME/icloud-pricing/main/data/prices.json',
   // 本地数据备份路径
   localDataPath: './data/prices.json',
   // 缓存有效期 (毫秒)
   cacheTTL: 3600 * 1000,
   // 请求超时 (秒)
-  timeout: 5
+  timeout: 5,
+  // Apple 官方价格页面
+  applePageURL: 'https://support.apple.com/zh-cn/108047'
 };
 
 /**
- * 套餐类型
+ * 读取 Alfred 工作流变量
  */
-const PLAN_TYPES = ['50gb', '200gb', '2tb', '6tb', '12tb'];
-
-/**
- * 获取国旗 emoji
- */
-function getFlag(iso) {
-  return iso.toUpperCase().split('').map(function(c) {
-    return String.fromCodePoint(c.charCodeAt(0) + 127397);
-  }).join('');
+function getEnv(name) {
+  var value = $.NSProcessInfo.processInfo.environment.objectForKey(name);
+  return value && value.js ? value.js : null;
 }
 
 /**
@@ -170,7 +167,22 @@ function getPriceData() {
     }
   }
 
-  // 优先尝试读取本地数据文件 (workflow 自带的数据)
+  // 设置了 data_url 时优先使用该数据源
+  var customURL = getEnv('data_url');
+  if (customURL) {
+    var custom = fetchRemote(customURL);
+    if (custom) {
+      try {
+        var customData = JSON.parse(custom);
+        writeFile(cachePath, custom);
+        return customData;
+      } catch (e) {
+        // 解析失败，继续尝试其他数据源
+      }
+    }
+  }
+
+  // 其次读取本地数据文件 (workflow 自带的数据)
   var workflowDir = getWorkflowDir();
   var localPath = workflowDir + '/data/prices.json';
   var local = readFile(localPath);
@@ -209,65 +221,23 @@ function getPriceData() {
 }
 
 /**
- * 过滤地区
+ * 加载平台无关的查询引擎与输出适配 (lib/registry.js、lib/regions.js、lib/tiers.js、lib/query.js 与 lib/launchers.js)
  */
-function filterRegions(regions, query) {
-  if (!query) return regions;
-  query = query.toUpperCase();
-  return regions.filter(function(r) {
-    return r.CountryISO.toUpperCase().indexOf(query) !== -1 ||
-           r.Country.toUpperCase().indexOf(query) !== -1;
-  });
-}
-
-/**
- * 按 CNY 价格排序
- */
-function sortByPrice(regions, planName) {
-  return regions.slice().sort(function(a, b) {
-    var planA = a.Plans.find(function(p) { return p.Name === planName; });
-    var planB = b.Plans.find(function(p) { return p.Name === planName; });
-    var priceA = planA ? planA.PriceInCNY : Infinity;
-    var priceB = planB ? planB.PriceInCNY : Infinity;
-    return priceA - priceB;
-  });
-}
-
-/**
- * 生成 Alfred 输出项
- */
-function createItem(region, plan, planName, rank) {
-  var flag = getFlag(region.CountryISO);
-  var priceStr = plan.Price % 1 === 0 ? plan.Price.toString() : plan.Price.toFixed(2);
-  var cnyStr = plan.PriceInCNY.toFixed(2);
-
-  return {
-    uid: region.CountryISO + '-' + planName,
-    title: flag + ' ' + region.Country + ' | ' + priceStr + ' ' + region.Currency + ' ≈ ¥' + cnyStr,
-    subtitle: '#' + rank + ' | ' + planName + ' 套餐',
-    arg: '¥' + cnyStr,
-    icon: { path: 'icon.png' },
-    mods: {
-      cmd: {
-        valid: true,
-        arg: priceStr + ' ' + region.Currency,
-        subtitle: '⌘ 复制原始价格'
-      },
-      alt: {
-        valid: true,
-        arg: 'https://support.apple.com/zh-cn/108047',
-        subtitle: '⌥ 打开 Apple 支持页面'
-      }
-    },
-    text: {
-      copy: '¥' + cnyStr,
-      largetype: flag + ' ' + region.Country + '\n' + planName + ': ' + priceStr + ' ' + region.Currency + ' ≈ ¥' + cnyStr
+function loadQueryEngine() {
+  var dir = getWorkflowDir() + '/lib/';
+  ['registry.js', 'regions.js', 'tiers.js', 'query.js', 'launchers.js'].forEach(function(file) {
+    var source = readFile(dir + file);
+    if (!source) {
+      throw new Error('缺少 lib/' + file);
     }
-  };
+    // 间接 eval 在全局作用域执行，模块会挂到 IcloudRegistry / IcloudRegions / IcloudTiers / IcloudQuery / IcloudLaunchers 上
+    (0, eval)(source);
+  });
+  return IcloudQuery;
 }
 
 /**
- * 生成错误输出
+ * 生成错误输出 (适配模块未加载时也能输出)
  */
 function errorOutput(message) {
   return JSON.stringify({
@@ -281,36 +251,11 @@ function errorOutput(message) {
 }
 
 /**
- * 生成帮助输出
+ * 按工作流变量 output_format 选择输出格式，默认 Alfred Script Filter JSON
  */
-function helpOutput() {
-  return JSON.stringify({
-    items: [
-      {
-        title: '用法: icloud [套餐] [地区]',
-        subtitle: '套餐: 50gb, 200gb, 2tb, 6tb, 12tb | 地区: 国家代码或名称',
-        valid: false,
-        icon: { path: 'icon.png' }
-      },
-      {
-        title: '示例: icloud 2tb',
-        subtitle: '查看所有地区 2TB 套餐价格排名',
-        valid: false,
-        icon: { path: 'icon.png' }
-      },
-      {
-        title: '示例: icloud us',
-        subtitle: '查看美国所有套餐价格',
-        valid: false,
-        icon: { path: 'icon.png' }
-      },
-      {
-        title: '示例: icloud 50gb jp',
-        subtitle: '查看日本 50GB 套餐价格',
-        valid: false,
-        icon: { path: 'icon.png' }
-      }
-    ]
+function renderResult(result) {
+  return IcloudLaunchers.render(getEnv('output_format') || 'alfred', result, {
+    pageURL: CONFIG.applePageURL
   });
 }
 
@@ -318,91 +263,25 @@ function helpOutput() {
  * 主函数
  */
 function run(argv) {
-  var query = argv.join(' ').toLowerCase().trim();
-
-  // 显示帮助
-  if (query === 'help' || query === '?') {
-    return helpOutput();
+  var query = argv.join(' ');
+  var engine;
+  try {
+    engine = loadQueryEngine();
+  } catch (e) {
+    return errorOutput(e.message);
   }
 
-  // 解析查询参数
-  var parts = query.split(/\s+/).filter(function(p) { return p.length > 0; });
-  var selectedPlan = null;
-  var searchQuery = null;
-
-  parts.forEach(function(part) {
-    if (PLAN_TYPES.indexOf(part) !== -1) {
-      selectedPlan = part.toUpperCase();
-    } else if (part.length >= 2) {
-      searchQuery = part;
+  try {
+    // 帮助不需要加载数据
+    if (engine.parseQuery(query).help) {
+      return renderResult({ type: 'help' });
     }
-  });
-
-  // 默认套餐
-  if (!selectedPlan) {
-    selectedPlan = '50GB';
-  }
-
-  // 获取数据
-  var data = getPriceData();
-  if (!data || !data.regions || data.regions.length === 0) {
-    return errorOutput('无法加载价格数据');
-  }
-
-  var regions = data.regions;
 
-  // 过滤地区
-  var filtered = filterRegions(regions, searchQuery);
-
-  if (filtered.length === 0) {
-    return JSON.stringify({
-      items: [{
-        title: '未找到匹配的地区',
-        subtitle: '尝试使用其他关键词，如 US, JP, CN',
-        valid: false,
-        icon: { path: 'icon.png' }
-      }]
-    });
-  }
-
-  // 根据场景决定显示方式
-  var items = [];
-
-  if (searchQuery && filtered.length === 1) {
-    // 精确匹配单个地区时，显示所有套餐
-    var region = filtered[0];
-    region.Plans.forEach(function(plan) {
-      items.push(createItem(region, plan, plan.Name, '-'));
-    });
-  } else {
-    // 显示选定套餐的排名
-    var sorted = sortByPrice(filtered, selectedPlan);
-    sorted.forEach(function(region, idx) {
-      var plan = region.Plans.find(function(p) { return p.Name === selectedPlan; });
-      if (plan) {
-        items.push(createItem(region, plan, selectedPlan, idx + 1));
-      }
-    });
-  }
-
-  // 添加更新时间信息
-  if (data.lastUpdated) {
-    var updateDate = new Date(data.lastUpdated);
-    var dateStr = updateDate.toLocaleDateString('zh-CN');
-    items.push({
-      title: '数据更新时间: ' + dateStr,
-      subtitle: '按 ⌥ + Enter 查看 Apple 官方页面',
-      valid: false,
-      icon: { path: 'icon.png' },
-      mods: {
-        alt: {
-          valid: true,
-          arg: 'https://support.apple.com/zh-cn/108047',
-          subtitle: '⌥ 打开 Apple 支持页面'
-        }
-      }
-    });
+    // 显示货币: 查询参数 > 工作流变量 display_currency > CNY
+    return renderResult(engine.executeQuery(getPriceData(), query, {
+      currency: getEnv('display_currency')
+    }));
+  } catch (e) {
+    return errorOutput(e.message);
   }
-
-  return JSON.stringify({ items: items });
 }
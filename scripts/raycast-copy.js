@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+// Raycast 脚本命令: 与 raycast.js 放在同一目录即可使用
+// fullOutput 模式只能输出文本，复制与打开页面由本命令对第一条结果执行，结果以 HUD 提示
+// @raycast.schemaVersion 1
+// @raycast.title iCloud+ 价格 (复制)
+// @raycast.mode silent
+// @raycast.packageName iCloud Pricing
+// @raycast.icon ☁️
+// @raycast.argument1 { "type": "text", "placeholder": "2tb tr" }
+// @raycast.argument2 { "type": "dropdown", "placeholder": "动作", "optional": true, "data": [{ "title": "复制换算价格", "value": "copy" }, { "title": "复制原始价格", "value": "copyOriginal" }, { "title": "打开 Apple 页面", "value": "open" }] }
+
+/**
+ * 按查询语法取第一条结果，执行所选动作 (默认复制换算价格)
+ */
+
+const { execFileSync } = require('child_process');
+const query = require('../lib/query');
+const { runCLI } = require('./icloud-pricing');
+
+/**
+ * macOS 上的剪贴板与浏览器操作
+ */
+const SYSTEM = {
+  copy: text => execFileSync('pbcopy', { input: text }),
+  openURL: url => execFileSync('open', [url])
+};
+
+/**
+ * 执行动作，返回 HUD 提示文本
+ * 查询中写了套餐时取该套餐的第一条结果 (单个地区会列出全部套餐)
+ * system 可替换，便于测试
+ */
+function runAction(text, action = 'copy', system = SYSTEM) {
+  const words = text.split(/\s+/).filter(Boolean);
+  const { output } = runCLI([...words, '--launcher=ndjson']);
+  const entries = output.split('\n').map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (err) {
+      return null;
+    }
+  }).filter(Boolean);
+  const plan = query.parseQuery(text).plan;
+  const results = entries.filter(entry => entry.kind === 'result');
+  const first = results.find(entry => !plan || entry.row.plan === plan) || results[0];
+  if (!first) {
+    const info = entries[0];
+    return info ? `${info.title}${info.subtitle ? `: ${info.subtitle}` : ''}` : output;
+  }
+
+  const target = first.actions[action];
+  if (!target) return `未知的动作: ${action}`;
+  if (action === 'open') {
+    system.openURL(target);
+    return '已打开 Apple 支持页面';
+  }
+  system.copy(target);
+  return `已复制 ${target} (${first.row.flag} ${first.row.country} ${first.row.plan})`;
+}
+
+if (require.main === module) {
+  console.log(runAction(process.argv[2] || '', process.argv[3] || 'copy'));
+}
+
+module.exports = {
+  runAction
+};
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+
+// Raycast 脚本命令: 把本文件所在目录加入 Raycast 的 Script Commands 即可使用
+// @raycast.schemaVersion 1
+// @raycast.title iCloud+ 价格
+// @raycast.mode fullOutput
+// @raycast.packageName iCloud Pricing
+// @raycast.icon ☁️
+// @raycast.argument1 { "type": "text", "placeholder": "2tb us vs cn", "optional": true }
+
+/**
+ * 以 Raycast 文本格式输出查询结果，查询语法与 icloud-pricing 相同
+ */
+
+const { runCLI } = require('./icloud-pricing');
+
+const words = (process.argv[2] || 'help').split(/\s+/).filter(Boolean);
+const { output, exitCode } = runCLI([...words, '--launcher=raycast']);
+console.log(output);
+process.exitCode = exitCode;
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * 启动本地价格数据 API
+ * 用法: node scripts/serve.js [--port=8787] [--host=127.0.0.1] [--data=prices.json] [--history=目录] [--cors-origin=*]
+ */
+
+const path = require('path');
+const { createServer } = require('../lib/server');
+
+const CONFIG = {
+  port: 8787,
+  host: '127.0.0.1',
+  dataPath: path.join(__dirname, '../data/prices.json'),
+  historyDir: path.join(__dirname, '../data/history')
+};
+
+/**
+ * 读取命令行参数 --name=value
+ */
+function getArgValue(name, defaultValue) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find(a => a.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : defaultValue;
+}
+
+/**
+ * 主函数
+ */
+function main() {
+  const port = Number(getArgValue('port', process.env.PORT || CONFIG.port));
+  const host = getArgValue('host', CONFIG.host);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`❌ 错误: 无效的端口: ${getArgValue('port', process.env.PORT)}`);
+    process.exit(1);
+  }
+
+  const server = createServer({
+    dataPath: getArgValue('data', CONFIG.dataPath),
+    historyDir: getArgValue('history', CONFIG.historyDir),
+    corsOrigin: getArgValue('cors-origin')
+  });
+
+  server.on('error', err => {
+    console.error('❌ 错误:', err.message);
+    process.exit(1);
+  });
+  server.listen(port, host, () => {
+    const address = server.address();
+    console.log(`🚀 价格数据 API 已启动: http://${address.address}:${address.port}/`);
+  });
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,53 @@
+/**
+ * uTools 插件 preload
+ * 在 uTools 开发者工具中以本目录的 plugin.json 新建插件即可使用；插件引用仓库中的 lib/ 与 scripts/，不能单独打包
+ * 两个功能使用同一列表: icloud 回车复制换算价格，icloud-local 回车复制原始价格，没有价格的条目 (页脚) 打开 Apple 页面
+ */
+
+const { runCLI } = require('../icloud-pricing');
+
+/**
+ * 按查询语法生成列表条目；plan 等只有终端格式的输出显示为一条说明
+ */
+function search(text) {
+  const words = (text || 'help').split(/\s+/).filter(Boolean);
+  const { output } = runCLI([...words, '--launcher=utools']);
+  let items;
+  try {
+    items = JSON.parse(output);
+  } catch (err) {
+    items = [{ title: output.split('\n')[0], description: `完整结果请在终端运行: icloud-pricing ${words.join(' ')}` }];
+  }
+  return items.map(item => ({ ...item, icon: 'logo.png' }));
+}
+
+/**
+ * 列表模式的功能，copyField 为回车时复制的字段 (copy 或 copyOriginal)
+ */
+function feature(copyField) {
+  return {
+    mode: 'list',
+    args: {
+      placeholder: '2tb us vs cn',
+      enter: (action, callbackSetList) => callbackSetList(search('help')),
+      search: (action, searchWord, callbackSetList) => callbackSetList(search(searchWord)),
+      select: (action, item) => {
+        const { utools } = window;
+        if (item[copyField]) {
+          utools.copyText(item[copyField]);
+        } else if (item.url) {
+          utools.shellOpenExternal(item.url);
+        } else {
+          return;
+        }
+        utools.hideMainWindow();
+        utools.outPlugin();
+      }
+    }
+  };
+}
+
+window.exports = {
+  'icloud': feature('copy'),
+  'icloud-local': feature('copyOriginal')
+};
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * Wox / Flow Launcher JSON-RPC 插件入口
+ * 把本目录 (含 plugin.json) 放入启动器的插件目录即可使用，需要 Node；插件引用仓库中的 lib/ 与 scripts/，不能单独拷出
+ * 启动器以 node main.js '{"method":"query","parameters":["2tb us"]}' 调用，标准输出为 { result: [...] }
+ * 选中结果时以 copy / open_url 调用，右键菜单以 context_menu 调用 (参数为结果的 ContextData)
+ */
+
+const { execFileSync } = require('child_process');
+const { runCLI } = require('../icloud-pricing');
+
+/**
+ * Windows 上的剪贴板与浏览器操作
+ */
+const SYSTEM = {
+  copy: text => execFileSync('powershell.exe', ['-NoProfile', '-Command', `Set-Clipboard -Value '${text.replace(/'/g, "''")}'`]),
+  openURL: url => execFileSync('rundll32.exe', ['url.dll,FileProtocolHandler', url])
+};
+
+/**
+ * 按查询语法输出结果列表；plan 等只有终端格式的输出显示为一条说明
+ */
+function search(text) {
+  const words = (text || 'help').split(/\s+/).filter(Boolean);
+  const { output } = runCLI([...words, '--launcher=wox']);
+  try {
+    return JSON.parse(output);
+  } catch (err) {
+    return {
+      result: [{ Title: output.split('\n')[0], SubTitle: `完整结果请在终端运行: icloud-pricing ${words.join(' ')}`, IcoPath: 'icon.png' }]
+    };
+  }
+}
+
+/**
+ * 右键菜单: 复制原始价格与打开 Apple 页面
+ */
+function contextMenu(context) {
+  const items = [];
+  if (context && context.copyOriginal) {
+    items.push({
+      Title: `复制原始价格: ${context.copyOriginal}`,
+      SubTitle: '复制本地货币价格',
+      IcoPath: 'icon.png',
+      JsonRPCAction: { method: 'copy', parameters: [context.copyOriginal], dontHideAfterAction: false }
+    });
+  }
+  if (context && context.url) {
+    items.push({
+      Title: '打开 Apple 支持页面',
+      SubTitle: context.url,
+      IcoPath: 'icon.png',
+      JsonRPCAction: { method: 'open_url', parameters: [context.url], dontHideAfterAction: false }
+    });
+  }
+  return { result: items };
+}
+
+/**
+ * 处理一次 JSON-RPC 调用，返回要输出的对象 (动作调用返回 null)
+ * system 可替换，便于测试
+ */
+function handle(request, system = SYSTEM) {
+  const params = request.parameters || [];
+  switch (request.method) {
+    case 'query':
+      return search(params[0]);
+    case 'context_menu':
+      return contextMenu(params[0]);
+    case 'copy':
+      system.copy(String(params[0]));
+      return null;
+    case 'open_url':
+      system.openURL(String(params[0]));
+      return null;
+    default:
+      throw new Error(`未知的 JSON-RPC 方法: ${request.method}`);
+  }
+}
+
+if (require.main === module) {
+  const response = handle(JSON.parse(process.argv[2] || '{"method":"query","parameters":[""]}'));
+  if (response) console.log(JSON.stringify(response));
+}
+
+module.exports = {
+  handle
+};
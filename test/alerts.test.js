@@ -0,0 +1,264 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+
+const alerts = require('../lib/alerts');
+const notifiers = require('../lib/notifiers');
+
+const fixture = () => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/prices.json'), 'utf8'));
+
+/**
+ * 修改某地区某套餐的价格
+ */
+function setPrice(data, iso, planName, changes) {
+  const plan = data.regions.find(r => r.CountryISO === iso).Plans.find(p => p.Name === planName);
+  Object.assign(plan, changes);
+}
+
+const SAMPLE_ALERTS = [{
+  rule: 'tr-cheap', type: 'below', CountryISO: 'TR', Country: 'Türkiye', Plan: '2TB',
+  Currency: 'CNY', Threshold: 40, OldValue: 67.45, NewValue: 39.5, message: 'Türkiye 2TB 低于 ¥40.00'
+}];
+
+/**
+ * 记录请求体的本地 HTTP 服务器
+ */
+async function startHttpStub(t, status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end(status === 200 ? 'ok' : 'invalid_token');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+/**
+ * 最小的 SMTP 服务器，记录收到的命令与邮件内容
+ */
+async function startSmtpStub(t) {
+  const session = { commands: [], data: '' };
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+      }
+      let index;
+      while (!inData && (index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        session.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-stub\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { port: server.address().port, session };
+}
+
+test('alerts: 配置校验', () => {
+  assert.deepEqual(alerts.validateAlertConfig({ rules: [] }), []);
+  assert.deepEqual(alerts.validateAlertConfig({}), ['缺少 rules 数组']);
+
+  const errors = alerts.validateAlertConfig({
+    rules: [
+      { type: 'drop' },
+      { type: 'below', region: 'TR', plan: 'huge', price: -1, currency: 'XYZ' },
+      { type: 'local-change', regions: [], plans: ['2000gb', '2 drives'] }
+    ],
+    notifiers: {}
+  });
+  assert.equal(errors.length, 7);
+  assert.match(errors[0], /未知的规则类型 drop/);
+  assert.match(errors[1], /plan huge/);
+  assert.match(errors[2], /price/);
+  assert.match(errors[3], /XYZ/);
+  assert.match(errors[4], /regions/);
+  assert.match(errors[5], /plan 2 drives/);
+  assert.match(errors[6], /notifiers/);
+});
+
+test('alerts: 阈值规则只在跨过阈值时提醒', () => {
+  const rules = [
+    { id: 'tr-cheap', type: 'below', region: 'TR', plan: '2TB', price: 40 },
+    { type: 'above', region: 'us', plan: '2tb', price: 10, currency: 'USD' }
+  ];
+  const previous = fixture();
+  const current = fixture();
+  setPrice(current, 'TR', '2TB', { PriceInCNYInclTax: 39.5 });
+
+  const triggered = alerts.evaluateRules(rules, previous, current);
+  assert.equal(triggered.length, 1);
+  assert.equal(triggered[0].rule, 'tr-cheap');
+  assert.equal(triggered[0].CountryISO, 'TR');
+  assert.equal(triggered[0].OldValue, 67.45);
+  assert.equal(triggered[0].NewValue, 39.5);
+  assert.match(triggered[0].message, /Türkiye 2TB 低于 ¥40\.00: ¥67\.45 → ¥39\.50/);
+
+  // 上次已低于阈值时不重复提醒
+  assert.deepEqual(alerts.evaluateRules(rules, current, current), []);
+
+  // 按目标货币比较
+  setPrice(current, 'US', '2TB', { PriceIn: { USD: 10.99 }, PriceInInclTax: { USD: 10.99 } });
+  const above = alerts.evaluateRules(rules, previous, current);
+  assert.deepEqual(above.map(a => [a.rule, a.Currency, a.NewValue]), [['tr-cheap', 'CNY', 39.5], ['rule-2', 'USD', 10.99]]);
+});
+
+test('alerts: 本地价格变化规则按地区与套餐过滤', () => {
+  const previous = fixture();
+  const current = fixture();
+  setPrice(current, 'US', '2TB', { Price: 10.99 });
+  setPrice(current, 'US', '50GB', { Price: 1.29 });
+  setPrice(current, 'JP', '2TB', { Price: 1600 });
+
+  const all = alerts.evaluateRules([{ type: 'local-change', regions: ['CN', 'HK', 'US'] }], previous, current);
+  assert.deepEqual(all.map(a => [a.CountryISO, a.Plan, a.OldValue, a.NewValue]), [
+    ['US', '50GB', 0.99, 1.29],
+    ['US', '2TB', 9.99, 10.99]
+  ]);
+  assert.match(all[1].message, /2TB 本地价格变化: 9\.99 USD → 10\.99 USD/);
+
+  const only2TB = alerts.evaluateRules([{ type: 'local-change', regions: ['us', 'japan'], plans: ['2000gb'] }], previous, current);
+  assert.deepEqual(only2TB.map(a => a.CountryISO), ['US', 'JP']);
+
+  // 首次抓取没有旧数据
+  assert.deepEqual(alerts.evaluateRules([{ type: 'local-change', regions: ['US'] }], null, current), []);
+});
+
+test('notifiers: webhook 与 Slack 发送到本地服务器', async (t) => {
+  const stub = await startHttpStub(t);
+  process.env.ICLOUD_TEST_TOKEN = 'Bearer secret';
+  t.after(() => { delete process.env.ICLOUD_TEST_TOKEN; });
+
+  const channels = [
+    notifiers.createNotifier({ type: 'webhook', url: stub.url, headers: { Authorization: 'env:ICLOUD_TEST_TOKEN' } }),
+    notifiers.createNotifier({ type: 'slack', url: stub.url, channel: '#prices' })
+  ];
+  const results = await notifiers.notifyAll(channels, SAMPLE_ALERTS, { lastUpdated: '2026-10-19T00:00:00.000Z' });
+  assert.deepEqual(results.map(r => r.ok), [true, true]);
+
+  const [webhook, slack] = stub.requests;
+  assert.equal(webhook.headers.authorization, 'Bearer secret');
+  assert.equal(webhook.body.source, 'icloud-pricing');
+  assert.equal(webhook.body.lastUpdated, '2026-10-19T00:00:00.000Z');
+  assert.deepEqual(webhook.body.alerts, SAMPLE_ALERTS);
+  assert.equal(slack.body.channel, '#prices');
+  assert.match(slack.body.text, /价格提醒 \(1 条\)\n- \[tr-cheap\] Türkiye 2TB 低于 ¥40\.00/);
+});
+
+test('notifiers: 单个渠道失败不影响其他渠道', async (t) => {
+  const failing = await startHttpStub(t, 403);
+  const logs = [];
+  t.mock.method(console, 'log', (...args) => logs.push(args.join(' ')));
+
+  const results = await notifiers.notifyAll([
+    notifiers.createNotifier({ type: 'slack', url: failing.url }),
+    notifiers.createNotifier({ type: 'webhook', name: 'ops', url: 'env:ICLOUD_TEST_MISSING' }),
+    notifiers.createNotifier({ type: 'stdout' })
+  ], SAMPLE_ALERTS);
+
+  assert.deepEqual(results.map(r => [r.name, r.ok]), [['slack', false], ['ops', false], ['stdout', true]]);
+  assert.match(results[0].error, /HTTP 403: invalid_token/);
+  assert.match(results[1].error, /缺少环境变量: ICLOUD_TEST_MISSING/);
+
+  // 未设置的 Secret 在 Actions 中展开为空字符串，同样视为缺失
+  process.env.ICLOUD_TEST_EMPTY = '';
+  t.after(() => { delete process.env.ICLOUD_TEST_EMPTY; });
+  const [empty] = await notifiers.notifyAll([notifiers.createNotifier({ type: 'slack', url: 'env:ICLOUD_TEST_EMPTY' })], SAMPLE_ALERTS);
+  assert.match(empty.error, /缺少环境变量: ICLOUD_TEST_EMPTY/);
+  assert.match(logs[0], /\[tr-cheap\]/);
+  assert.throws(() => notifiers.createNotifier({ type: 'pager' }), /未知的通知渠道: pager/);
+});
+
+test('notifiers: SMTP 邮件发送到本地服务器', async (t) => {
+  const stub = await startSmtpStub(t);
+  const channel = notifiers.createNotifier({
+    type: 'smtp',
+    host: '127.0.0.1',
+    port: stub.port,
+    allowInsecureAuth: true,
+    username: 'bot',
+    password: 'pa55',
+    from: 'bot@example.com',
+    to: ['a@example.com', 'b@example.com']
+  });
+  const [result] = await notifiers.notifyAll([channel], SAMPLE_ALERTS);
+  assert.equal(result.ok, true, result.error);
+
+  const { commands, data } = stub.session;
+  assert.match(commands[0], /^EHLO /);
+  assert.equal(commands[1], `AUTH PLAIN ${Buffer.from('\0bot\0pa55').toString('base64')}`);
+  assert.deepEqual(commands.slice(2), [
+    'MAIL FROM:<bot@example.com>',
+    'RCPT TO:<a@example.com>',
+    'RCPT TO:<b@example.com>',
+    'DATA',
+    'QUIT'
+  ]);
+
+  const [head, body] = data.split('\r\n\r\n');
+  assert.match(head, /^To: a@example\.com, b@example\.com$/m);
+  assert.match(head, /^Subject: =\?UTF-8\?B\?.+\?=$/m);
+  assert.match(Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'), /Türkiye 2TB 低于 ¥40\.00/);
+});
+
+test('notifiers: SMTP 服务器不支持 STARTTLS 时拒绝明文认证', async (t) => {
+  const stub = await startSmtpStub(t);
+  const channel = notifiers.createNotifier({
+    type: 'smtp',
+    host: '127.0.0.1',
+    port: stub.port,
+    username: 'bot',
+    password: 'pa55',
+    from: 'bot@example.com',
+    to: ['a@example.com']
+  });
+  const [result] = await notifiers.notifyAll([channel], SAMPLE_ALERTS);
+  assert.equal(result.ok, false);
+  assert.match(result.error, /拒绝发送认证信息.*allowInsecureAuth/);
+  assert.ok(stub.session.commands.every(command => !command.startsWith('AUTH')));
+});
+
+test('notifiers: SMTP TLS 握手无响应时按 timeout 报错', { timeout: 5000 }, async (t) => {
+  // 只接受连接、从不回应的服务器，TLS 握手会一直等待
+  const sockets = [];
+  const server = net.createServer(socket => sockets.push(socket));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    sockets.forEach(socket => socket.destroy());
+    server.close();
+  });
+
+  await assert.rejects(
+    notifiers.sendMail({ host: '127.0.0.1', port: server.address().port, secure: true, timeout: 200 }, {
+      from: 'bot@example.com',
+      to: ['a@example.com'],
+      subject: 'x',
+      text: 'x'
+    }),
+    /SMTP 连接超时/
+  );
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { diffPriceData } = require('../lib/diff');
+
+function region(country, currency, plans) {
+  return {
+    CountryISO: country.slice(0, 2).toUpperCase(),
+    Country: country,
+    Currency: currency,
+    Plans: Object.entries(plans).map(([Name, [Price, PriceInCNY]]) => ({ Name, Price, PriceInCNY }))
+  };
+}
+
+const OLD = {
+  lastUpdated: '2026-10-12T00:00:00.000Z',
+  regions: [
+    region('Russia3', 'RUB', { '50GB': [59, 5.0], '2TB': [599, 50.0] }),
+    region('Japan', 'JPY', { '50GB': [180, 8.5], '2TB': [1800, 85.0] }),
+    region('Denmark', 'DKK', { '50GB': [9, 9.0] })
+  ]
+};
+
+const NEW = {
+  lastUpdated: '2026-10-19T00:00:00.000Z',
+  regions: [
+    region('Russia', 'RUB', { '50GB': [59, 5.02], '2TB': [699, 58.5] }),
+    region('Japan', 'JPY', { '50GB': [180, 8.9], '6TB': [5500, 260.0] }),
+    region('Qatar', 'QAR', { '50GB': [3.69, 7.2] })
+  ]
+};
+
+test('diffPriceData: 区分本地价格变化、增删地区与套餐', () => {
+  const diff = diffPriceData(OLD, NEW);
+
+  assert.deepEqual(diff.priceChanges.map(c => [c.Country, c.Plan, c.OldPrice, c.NewPrice]), [
+    ['Russia', '2TB', 599, 699]
+  ]);
+  assert.deepEqual(diff.addedRegions.map(r => r.Country), ['Qatar']);
+  assert.deepEqual(diff.removedRegions.map(r => r.Country), ['Denmark']);
+  assert.deepEqual(diff.addedPlans.map(p => [p.Country, p.Plan]), [['Japan', '6TB']]);
+  assert.deepEqual(diff.removedPlans.map(p => [p.Country, p.Plan]), [['Japan', '2TB']]);
+});
+
+test('diffPriceData: 本地价格不变时按阈值报告汇率波动', () => {
+  const diff = diffPriceData(OLD, NEW, { fxThreshold: 1 });
+  assert.deepEqual(diff.fxDrift.map(d => [d.Country, d.Plan, d.ChangePercent]), [
+    ['Japan', '50GB', 4.71]
+  ]);
+
+  const loose = diffPriceData(OLD, NEW, { fxThreshold: 0.1 });
+  assert.deepEqual(loose.fxDrift.map(d => d.Country), ['Russia', 'Japan']);
+});
+
+test('diffPriceData: 按 CountryISO 对比，地区改名不算增删', () => {
+  const renamed = {
+    ...NEW,
+    regions: [{ ...region('Türkiye', 'TRY', { '50GB': [49.99, 11.0] }), CountryISO: 'TR' }]
+  };
+  const before = {
+    ...OLD,
+    regions: [{ ...region('Turkey', 'TRY', { '50GB': [39.99, 8.8] }), CountryISO: 'TR' }]
+  };
+  const diff = diffPriceData(before, renamed);
+
+  assert.deepEqual(diff.addedRegions, []);
+  assert.deepEqual(diff.removedRegions, []);
+  assert.deepEqual(diff.priceChanges.map(c => [c.CountryISO, c.Country, c.OldPrice, c.NewPrice]), [
+    ['TR', 'Türkiye', 39.99, 49.99]
+  ]);
+});
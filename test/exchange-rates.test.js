@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  EXCHANGE_RATE_API_URL,
+  resolveProviders,
+  loadExchangeRates,
+  saveRateCache
+} = require('../lib/exchange-rates');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function fixtureFetch(routes) {
+  return async (url) => {
+    const route = routes[url];
+    if (route instanceof Error) throw route;
+    if (route === undefined) throw new Error(`未预期的请求: ${url}`);
+    return route;
+  };
+}
+
+function tempFile(name) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-pricing-'));
+  return path.join(dir, name);
+}
+
+test('exchangerate-api: 读取汇率与更新时间', async () => {
+  const result = await loadExchangeRates(resolveProviders(['exchangerate-api']), {
+    fetch: fixtureFetch({ [EXCHANGE_RATE_API_URL]: loadFixture('exchange-rates.json') })
+  });
+
+  assert.equal(result.provider, 'exchangerate-api');
+  assert.equal(result.rates.CNY, 7.1);
+  assert.equal(result.timestamp, new Date(1792368001 * 1000).toISOString());
+});
+
+test('loadExchangeRates: 数据源失败或缺少货币时尝试下一个', async () => {
+  const messages = [];
+  const ratesFile = path.join(FIXTURES, 'exchange-rates.json');
+
+  const result = await loadExchangeRates(resolveProviders(['exchangerate-api', 'cache', 'file']), {
+    fetch: fixtureFetch({
+      [EXCHANGE_RATE_API_URL]: JSON.stringify({ base: 'USD', rates: { CNY: 7.1, JPY: 150 } })
+    }),
+    ratesFile,
+    requiredCurrencies: ['JPY', 'RUB'],
+    log: message => messages.push(message)
+  });
+
+  assert.equal(result.provider, 'file');
+  assert.equal(result.rates.RUB, 80);
+  assert.deepEqual(messages, [
+    '⚠️ 汇率数据源 exchangerate-api 不可用: 缺少货币 RUB',
+    '⚠️ 汇率数据源 cache 不可用: 没有可用的汇率缓存'
+  ]);
+});
+
+test('loadExchangeRates: 全部失败时报错', async () => {
+  await assert.rejects(
+    loadExchangeRates(resolveProviders(['file', 'cache']), {}),
+    /所有汇率数据源均不可用/
+  );
+});
+
+test('cache: 读取上一次保存的汇率并保留原始来源', async () => {
+  const cachePath = tempFile('exchange-rates.cache.json');
+  saveRateCache(cachePath, {
+    provider: 'exchangerate-api',
+    timestamp: '2026-10-12T00:00:00.000Z',
+    rates: { USD: 1, CNY: 7.2 }
+  });
+
+  const result = await loadExchangeRates(resolveProviders(['cache']), { cachePath });
+  assert.equal(result.provider, 'cache');
+  assert.equal(result.cachedFrom, 'exchangerate-api');
+  assert.equal(result.timestamp, '2026-10-12T00:00:00.000Z');
+  assert.equal(result.rates.CNY, 7.2);
+});
+
+test('cache: 没有缓存文件时读取已提交价格数据中的汇率', async () => {
+  const previousDataPath = tempFile('prices.json');
+  fs.writeFileSync(previousDataPath, JSON.stringify({
+    exchangeRates: {
+      provider: 'cache:exchangerate-api',
+      timestamp: '2026-10-05T00:00:00.000Z',
+      base: 'USD',
+      rates: { USD: 1, CNY: 7.15, RUB: 81 }
+    },
+    regions: []
+  }));
+
+  const result = await loadExchangeRates(resolveProviders(['cache']), {
+    cachePath: tempFile('exchange-rates.cache.json'),
+    previousDataPath,
+    requiredCurrencies: ['RUB']
+  });
+  assert.equal(result.provider, 'cache');
+  assert.equal(result.cachedFrom, 'exchangerate-api');
+  assert.equal(result.timestamp, '2026-10-05T00:00:00.000Z');
+  assert.equal(result.rates.CNY, 7.15);
+});
+
+test('cache: 旧版价格数据没有汇率时报错', async () => {
+  const previousDataPath = tempFile('prices.json');
+  fs.writeFileSync(previousDataPath, JSON.stringify({ regions: [] }));
+  await assert.rejects(
+    loadExchangeRates(resolveProviders(['cache']), { previousDataPath }),
+    /cache: 没有可用的汇率缓存/
+  );
+});
+
+test('resolveProviders: 未知数据源', () => {
+  assert.throws(() => resolveProviders(['oanda']), /未知的汇率数据源: oanda/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { flattenPrices, toCSV, toTSV, toMarkdown, toSQLite } = require('../lib/export');
+
+const DATA = require('./fixtures/prices.json');
+
+test('flattenPrices: 每个地区×套餐一行', () => {
+  const rows = flattenPrices(DATA);
+
+  assert.equal(rows.length, 30);
+  assert.deepEqual(rows.find(r => r.CountryISO === 'TR' && r.Plan === '2TB'), {
+    CountryISO: 'TR',
+    Country: 'Türkiye',
+    Currency: 'TRY',
+    Plan: '2TB',
+    CapacityGB: 2000,
+    Price: 379.99,
+    PriceInCNY: 67.45,
+    PriceInCNYInclTax: 67.45,
+    PriceInCNYExclTax: 56.21,
+    TaxRate: 0.2,
+    TaxIncluded: true
+  });
+});
+
+test('toCSV / toTSV: 表头、转义与 BOM', () => {
+  const data = {
+    ...DATA,
+    regions: [{ ...DATA.regions[0], Country: 'Korea, "South"\tRep' }]
+  };
+  const csv = toCSV(data).split('\r\n');
+  assert.equal(csv[0], 'CountryISO,Country,Currency,Plan,CapacityGB,Price,PriceInCNY,PriceInCNYInclTax,PriceInCNYExclTax,TaxRate,TaxIncluded');
+  assert.equal(csv[1], 'CN,"Korea, ""South""\tRep",CNY,50GB,50,6,6,6,5.66,0.06,true');
+  assert.equal(csv.length, 7);
+
+  const tsv = toTSV(data);
+  assert.ok(tsv.startsWith('\uFEFFCountryISO\tCountry'));
+  assert.equal(tsv.split('\r\n')[1].split('\t')[1], 'Korea, "South" Rep');
+});
+
+test('toMarkdown: 每个地区一行，按数据顺序编号', () => {
+  const lines = toMarkdown(DATA).split('\n');
+
+  assert.equal(lines[0], '| # | 地区 | 货币 | 50GB | 200GB | 2TB | 6TB | 12TB |');
+  assert.equal(lines[1], '| ---: | --- | --- | ---: | ---: | ---: | ---: | ---: |');
+  assert.match(lines[2], /^\| 1 \| China mainland \| CNY \| 6 \(¥6\.00\) \|/);
+  assert.equal(lines.filter(line => line.startsWith('| ')).length, 2 + DATA.regions.length);
+});
+
+test('toSQLite: 生成包含地区、套餐、价格与汇率的数据库', async (t) => {
+  const bytes = await toSQLite(DATA);
+  assert.equal(Buffer.from(bytes.slice(0, 15)).toString(), 'SQLite format 3');
+
+  const SQL = await require('sql.js')();
+  const db = new SQL.Database(bytes);
+  t.after(() => db.close());
+
+  const cheapest = db.exec(`
+    SELECT r.country_iso, p.price, p.price_cny_incl_tax FROM prices p
+    JOIN regions r ON r.id = p.region_id
+    WHERE p.plan = '2TB' ORDER BY p.price_cny_incl_tax LIMIT 1
+  `)[0].values;
+  assert.deepEqual(cheapest, [['TR', 379.99, 67.45]]);
+
+  assert.deepEqual(db.exec('SELECT name, capacity_gb FROM plans ORDER BY capacity_gb')[0].values.map(r => r[1]), [50, 200, 2000, 6000, 12000]);
+  assert.equal(db.exec("SELECT per_usd FROM rates WHERE currency = 'CNY'")[0].values[0][0], 7.1);
+  assert.equal(db.exec("SELECT value FROM metadata WHERE key = 'rankBasis'")[0].values[0][0], 'PriceInCNYInclTax');
+  assert.equal(db.exec('SELECT COUNT(*) FROM prices')[0].values[0][0], 30);
+});
+
@@ -0,0 +1,475 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  CONFIG,
+  RANK_FIELDS,
+  parsePrice,
+  parseApplePricing,
+  convertPrice,
+  convertToCNY,
+  applyTax,
+  buildPriceData,
+  loadManualRegions,
+  loadPageCache,
+  migratePriceData,
+  runAlerts
+} = require('../scripts/fetch-prices');
+
+const { validatePriceData } = require('../lib/validate');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+/**
+ * 用本地夹具替代网络请求
+ */
+function fixtureFetch(routes) {
+  return async (url) => {
+    const route = routes[url];
+    if (route instanceof Error) throw route;
+    if (route === undefined) throw new Error(`未预期的请求: ${url}`);
+    return route;
+  };
+}
+
+/**
+ * 屏蔽采集过程中的进度输出
+ */
+function silence(t) {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+}
+
+const RATES = JSON.parse(loadFixture('exchange-rates.json')).rates;
+
+test('parsePrice: 货币符号与千分位', () => {
+  assert.equal(parsePrice('$0.99', 'USD'), 0.99);
+  assert.equal(parsePrice('¥6', 'CNY'), 6);
+  assert.equal(parsePrice('59 ₽', 'RUB'), 59);
+  assert.equal(parsePrice('₺49,99', 'TRY'), 49.99);
+  assert.equal(parsePrice('₺1.699,99', 'TRY'), 1699.99);
+  assert.equal(parsePrice('₩1,100', 'KRW'), 1100);
+  assert.ok(Number.isNaN(parsePrice('—', 'USD')));
+});
+
+test('parseApplePricing: 记录每个价格的解析依据', async () => {
+  const parseLog = [];
+  await parseApplePricing(loadFixture('apple-list.html'), { parseLog });
+
+  assert.equal(parseLog.length, 30);
+  assert.ok(parseLog.every(entry => !entry.error));
+  assert.deepEqual(parseLog.find(e => e.Country === 'Türkiye' && e.Plan === '6TB'), {
+    Country: 'Türkiye',
+    Plan: '6TB',
+    raw: '₺1.699,99',
+    currency: 'TRY',
+    value: 1699.99,
+    rule: 'mixed-separators',
+    error: null
+  });
+});
+
+test('parseApplePricing: 列表布局不把脚注编号混入国家名称', async () => {
+  const regions = await parseApplePricing(loadFixture('apple-list.html'));
+
+  assert.deepEqual(regions.map(r => [r.CountryISO, r.Country, r.Currency]), [
+    ['BS', 'Bahamas', 'USD'],
+    ['US', 'United States', 'USD'],
+    ['RU', 'Russia', 'RUB'],
+    ['TR', 'Türkiye', 'TRY'],
+    ['CN', 'China mainland', 'CNY'],
+    ['JP', 'Japan', 'JPY']
+  ]);
+  regions.forEach(region => {
+    assert.doesNotMatch(region.Country, /\d/, `国家名称含有脚注编号: ${region.Country}`);
+  });
+
+  const turkey = regions.find(r => r.CountryISO === 'TR');
+  assert.deepEqual(turkey.Plans.map(p => p.Price), [49.99, 169.99, 549.99, 1699.99, 3399.99]);
+
+  assert.deepEqual(
+    regions.map(r => [r.CountryISO, r.TaxIncluded, r.BilledInUSD]),
+    [
+      ['BS', true, true],
+      ['US', false, false],
+      ['RU', true, false],
+      ['TR', true, false],
+      ['CN', true, false],
+      ['JP', true, false]
+    ]
+  );
+});
+
+test('convertToCNY: 经由 USD 换算', () => {
+  assert.equal(convertToCNY(68, 'CNY', RATES), 68);
+  assert.equal(convertToCNY(1, 'USD', RATES), 7.1);
+  assert.equal(convertToCNY(150, 'JPY', RATES), 7.1);
+  assert.equal(convertToCNY(80, 'RUB', RATES), 7.1);
+});
+
+test('convertPrice: 任意两种货币间换算', () => {
+  assert.equal(convertPrice(150, 'JPY', 'USD', RATES), 1);
+  assert.equal(convertPrice(1, 'USD', 'JPY', RATES), 150);
+  assert.equal(convertPrice(5, 'EUR', 'EUR', RATES), 5);
+  assert.equal(convertPrice(1, 'XYZ', 'USD', RATES), null);
+});
+
+test('convertToCNY: 缺少汇率时返回原价', (t) => {
+  silence(t);
+  assert.equal(convertToCNY(100, 'XYZ', RATES), 100);
+});
+
+const TAX_RATES = {
+  rates: {
+    DE: { rate: 0.19, type: 'VAT' },
+    US: { rate: 0.07, type: 'Sales tax' },
+    HK: { rate: 0 }
+  }
+};
+
+test('applyTax: 含增值税的标价折算出不含税价格', () => {
+  assert.deepEqual(applyTax(119, { CountryISO: 'DE', TaxIncluded: true }, TAX_RATES), {
+    PriceInCNYInclTax: 119,
+    PriceInCNYExclTax: 100
+  });
+  // 页面未标注时按含税处理
+  assert.deepEqual(applyTax(119, { CountryISO: 'DE' }, TAX_RATES), {
+    PriceInCNYInclTax: 119,
+    PriceInCNYExclTax: 100
+  });
+});
+
+test('applyTax: 美国等不含销售税的标价加税得到含税价格', () => {
+  assert.deepEqual(applyTax(71, { CountryISO: 'US', TaxIncluded: false }, TAX_RATES), {
+    PriceInCNYInclTax: 75.97,
+    PriceInCNYExclTax: 71
+  });
+});
+
+test('applyTax: 税率为零或不在税率表中的地区含税与不含税价格相同', () => {
+  const expected = { PriceInCNYInclTax: 68, PriceInCNYExclTax: 68 };
+  assert.deepEqual(applyTax(68, { CountryISO: 'HK', TaxIncluded: true }, TAX_RATES), expected);
+  assert.deepEqual(applyTax(68, { CountryISO: 'AQ', TaxIncluded: true }, TAX_RATES), expected);
+  assert.deepEqual(applyTax(68, { CountryISO: 'AQ', TaxIncluded: false }, TAX_RATES), expected);
+});
+
+test('buildPriceData: 按含税 50GB 价格排序并计算税前价格', async (t) => {
+  silence(t);
+  const data = await buildPriceData(RANK_FIELDS.incl, {
+    fetchURL: fixtureFetch({
+      [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+      [CONFIG.appleURL]: loadFixture('apple-list.html')
+    })
+  });
+
+  assert.equal(data.rankBasis, 'PriceInCNYInclTax');
+  assert.equal(data.exchangeRates.provider, 'exchangerate-api');
+  assert.equal(data.exchangeRates.timestamp, new Date(1792368001 * 1000).toISOString());
+  assert.equal(data.exchangeRates.rates.CNY, 7.1);
+  assert.deepEqual(data.regions.map(r => r.CountryISO), ['RU', 'CN', 'BS', 'US', 'JP', 'TR']);
+
+  const us = data.regions.find(r => r.CountryISO === 'US');
+  const us50 = us.Plans.find(p => p.Name === '50GB');
+  assert.equal(us50.PriceInCNY, 7.03);
+  assert.equal(us50.PriceInCNYExclTax, 7.03);
+  assert.equal(us50.PriceInCNYInclTax, 7.52);
+
+  const cn50 = data.regions.find(r => r.CountryISO === 'CN').Plans[0];
+  assert.equal(cn50.PriceInCNYInclTax, 6);
+  assert.equal(cn50.PriceInCNYExclTax, 5.66);
+});
+
+test('buildPriceData: 输出各目标货币的换算价格', async (t) => {
+  silence(t);
+  const data = await buildPriceData(RANK_FIELDS.incl, {
+    fetchURL: fixtureFetch({
+      [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+      [CONFIG.appleURL]: loadFixture('apple-list.html')
+    }),
+    targetCurrencies: ['USD', 'JPY', 'XYZ']
+  });
+
+  assert.deepEqual(data.targetCurrencies, ['CNY', 'USD', 'JPY']);
+
+  const us50 = data.regions.find(r => r.CountryISO === 'US').Plans[0];
+  assert.deepEqual(us50.PriceIn, { CNY: 7.03, USD: 0.99, JPY: 149 });
+  assert.deepEqual(us50.PriceInInclTax, { CNY: 7.52, USD: 1.06, JPY: 159 });
+  assert.deepEqual(us50.PriceInExclTax, { CNY: 7.03, USD: 0.99, JPY: 149 });
+
+  const jp50 = data.regions.find(r => r.CountryISO === 'JP').Plans[0];
+  assert.deepEqual(jp50.PriceIn, { CNY: 8.52, USD: 1.2, JPY: 180 });
+});
+
+test('buildPriceData: 按不含税价格排序', async (t) => {
+  silence(t);
+  const data = await buildPriceData(RANK_FIELDS.excl, {
+    fetchURL: fixtureFetch({
+      [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+      [CONFIG.appleURL]: loadFixture('apple-list.html')
+    })
+  });
+
+  const prices = data.regions.map(r => r.Plans.find(p => p.Name === '50GB').PriceInCNYExclTax);
+  assert.deepEqual(prices, [...prices].sort((a, b) => a - b));
+});
+
+test('buildPriceData: 页面获取失败时沿用上一次校验通过的数据，没有时报错', async (t) => {
+  silence(t);
+  const fetchURL = fixtureFetch({
+    [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+    [CONFIG.appleURL]: new Error('HTTP 503')
+  });
+  await assert.rejects(buildPriceData(RANK_FIELDS.incl, { fetchURL }), /没有可以沿用的上一次数据/);
+
+  const previous = JSON.parse(loadFixture('prices.json'));
+  const data = await buildPriceData(RANK_FIELDS.incl, { fetchURL, previous });
+  assert.equal(data.regions.length, previous.regions.length);
+  assert.ok(data.regions.every(r => r.Source === 'carried-over' && r.PriceObservedAt === previous.lastUpdated));
+  assert.notEqual(data.lastUpdated, previous.lastUpdated);
+  assert.equal(data.regions.find(r => r.CountryISO === 'JP').Plans[0].Price, 150);
+});
+
+test('buildPriceData: 沿用的旧数据去掉国家名称中的脚注编号并通过校验', async (t) => {
+  silence(t);
+  // 旧版数据的名称带脚注编号，代码按货币猜测
+  const previous = JSON.parse(loadFixture('prices.json'));
+  Object.assign(previous.regions.find(r => r.CountryISO === 'JP'), { Country: 'Japan3' });
+  Object.assign(previous.regions.find(r => r.CountryISO === 'GB'), { Country: 'United Kingdom2,3', CountryISO: 'GB' });
+  Object.assign(previous.regions.find(r => r.CountryISO === 'DE'), { Country: 'Germany1', CountryISO: 'EU' });
+
+  const data = await buildPriceData(RANK_FIELDS.incl, {
+    fetchURL: fixtureFetch({
+      [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+      [CONFIG.appleURL]: new Error('HTTP 503')
+    }),
+    previous,
+    manualRegions: [{
+      CountryISO: 'RU',
+      Country: 'Russia',
+      Currency: 'RUB',
+      PriceObservedAt: '2026-10-01T00:00:00.000Z',
+      Plans: [{ Name: '50GB', Price: 149 }, { Name: '200GB', Price: 399 }, { Name: '2TB', Price: 1190 }, { Name: '6TB', Price: 3490 }, { Name: '12TB', Price: 6990 }]
+    }]
+  });
+
+  const names = Object.fromEntries(data.regions.map(r => [r.CountryISO, r.Country]));
+  assert.equal(names.JP, 'Japan');
+  assert.equal(names.GB, 'United Kingdom');
+  assert.equal(names.DE, 'Germany');
+  assert.equal(names.RU, 'Russia');
+  assert.deepEqual(validatePriceData(data, previous), []);
+});
+
+test('migratePriceData: 旧版数据去掉脚注编号、重新解析代码并补充来源与档位目录', () => {
+  const legacy = JSON.parse(loadFixture('prices.json'));
+  delete legacy.tiers;
+  delete legacy.metrics;
+  delete legacy.rankBasis;
+  Object.assign(legacy.regions.find(r => r.CountryISO === 'JP'), { Country: 'Japan3' });
+  Object.assign(legacy.regions.find(r => r.CountryISO === 'GB'), { Country: 'United Kingdom2,3', CountryISO: 'US' });
+
+  const data = migratePriceData(legacy);
+  const gb = data.regions.find(r => r.Country === 'United Kingdom');
+  assert.equal(gb.CountryISO, 'GB');
+  assert.equal(data.regions.find(r => r.CountryISO === 'JP').Country, 'Japan');
+  assert.ok(data.regions.every(r => r.Source === 'scraped' && r.PriceObservedAt === legacy.lastUpdated));
+  assert.ok(data.tiers.length > 0);
+  assert.equal(data.metrics.basis, 'PriceInCNY');
+  assert.equal(typeof data.regions[0].Plans[1].UpgradeCostPerTBInCNY, 'number');
+  assert.deepEqual(validatePriceData(data, null), []);
+
+  legacy.regions[0].Country = 'Atlantis2';
+  assert.throws(() => migratePriceData(legacy), /Atlantis2/);
+});
+
+test('migratePriceData: 中位数仍以 PriceInCNY 为键而口径不同时按原口径重算', () => {
+  const legacy = JSON.parse(loadFixture('prices.json'));
+  const { basis } = legacy.metrics;
+  Object.values(legacy.metrics.medians).forEach(entry => {
+    entry.PriceInCNY = entry[basis];
+    delete entry[basis];
+  });
+
+  const data = migratePriceData(legacy);
+  assert.equal(data.metrics.basis, basis);
+  assert.equal(data.metrics.medians['2TB'][basis], 70.97);
+  assert.equal(data.metrics.medians['2TB'].PriceInCNY, undefined);
+
+  // 已是当前格式时保持不变
+  const current = JSON.parse(loadFixture('prices.json'));
+  assert.deepEqual(migratePriceData(current).metrics, current.metrics);
+});
+
+test('buildPriceData: 按地区合并抓取结果、手动录入与上一次数据', async (t) => {
+  silence(t);
+  const previous = JSON.parse(loadFixture('prices.json'));
+  const manual = {
+    Country: 'Germany',
+    Currency: 'EUR',
+    Plans: [{ Name: '50GB', Price: 1.29 }, { Name: '200GB', Price: 3.99 }, { Name: '2TB', Price: 12.99 }]
+  };
+  const build = manualRegions => buildPriceData(RANK_FIELDS.incl, {
+    fetchURL: fixtureFetch({
+      [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+      [CONFIG.appleURL]: loadFixture('apple-list.html')
+    }),
+    previous,
+    manualRegions
+  });
+
+  // 页面上没有德国与英国，沿用上一次数据
+  const data = await build([]);
+  const sources = Object.fromEntries(data.regions.map(r => [r.CountryISO, r.Source]));
+  assert.deepEqual(sources, {
+    BS: 'scraped', US: 'scraped', RU: 'scraped', TR: 'scraped', CN: 'scraped', JP: 'scraped',
+    DE: 'carried-over', GB: 'carried-over'
+  });
+  assert.ok(data.regions.filter(r => r.Source === 'scraped').every(r => r.PriceObservedAt === data.lastUpdated));
+  assert.equal(data.regions.find(r => r.CountryISO === 'JP').Plans[0].Price, 180);
+
+  // 手动录入比上一次数据新时优先，旧时忽略
+  const newer = await build([{ ...manual, CountryISO: 'DE', PriceObservedAt: '2026-10-19T08:00:00.000Z' }]);
+  const de = newer.regions.find(r => r.CountryISO === 'DE');
+  assert.equal(de.Source, 'manual');
+  assert.equal(de.Plans[0].Price, 1.29);
+  const older = await build([{ ...manual, CountryISO: 'DE', PriceObservedAt: '2026-01-01T00:00:00.000Z' }]);
+  assert.equal(older.regions.find(r => r.CountryISO === 'DE').Source, 'carried-over');
+});
+
+test('loadManualRegions: 读取手动录入的价格并按名称解析国家代码', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-manual-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'manual-prices.json');
+
+  assert.deepEqual(loadManualRegions(filePath), []);
+
+  fs.writeFileSync(filePath, JSON.stringify({ regions: [
+    { Country: 'Moldova', Currency: 'MDL', PriceObservedAt: '2026-09-01T00:00:00Z', Plans: [{ Name: '50GB', Price: 15, PriceInCNY: 6 }] }
+  ] }));
+  assert.deepEqual(loadManualRegions(filePath), [{
+    CountryISO: 'MD',
+    Country: 'Moldova',
+    Currency: 'MDL',
+    Plans: [{ Name: '50GB', Price: 15 }],
+    PriceObservedAt: '2026-09-01T00:00:00.000Z'
+  }]);
+
+  fs.writeFileSync(filePath, JSON.stringify({ regions: [{ Country: 'Moldova', Currency: 'MDL', Plans: [{ Name: '50GB', Price: 15 }] }] }));
+  assert.throws(() => loadManualRegions(filePath), /PriceObservedAt/);
+});
+
+test('buildPriceData: 页面上出现无法识别的国家名称时报错而不是猜测代码', async (t) => {
+  silence(t);
+  const html = loadFixture('apple-list.html').replace('Japan<sup>3</sup>', 'Atlantis<sup>3</sup>');
+  await assert.rejects(buildPriceData(RANK_FIELDS.incl, {
+    fetchURL: fixtureFetch({
+      [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json'),
+      [CONFIG.appleURL]: html
+    })
+  }), /无法识别的国家或地区名称: Atlantis/);
+});
+
+test('runAlerts: dry run 只输出到标准输出，配置无效时只警告', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-alerts-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const logs = [];
+  const warnings = [];
+  t.mock.method(console, 'log', (...args) => logs.push(args.join(' ')));
+  t.mock.method(console, 'warn', (...args) => warnings.push(args.join(' ')));
+
+  const previous = JSON.parse(loadFixture('prices.json'));
+  const current = JSON.parse(loadFixture('prices.json'));
+  current.regions.find(r => r.CountryISO === 'CN').Plans.find(p => p.Name === '2TB').Price = 58;
+
+  const configPath = path.join(dir, 'alerts.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    rules: [{ id: 'cn', type: 'local-change', regions: ['CN'] }],
+    notifiers: [{ type: 'webhook', url: 'env:ICLOUD_TEST_MISSING' }]
+  }));
+  await runAlerts(configPath, previous, current, true);
+  assert.ok(logs.includes('🔔 触发 1 条价格提醒'));
+  assert.ok(logs.some(line => /\[cn\] China mainland 2TB 本地价格变化: 68 CNY → 58 CNY/.test(line)));
+  assert.deepEqual(warnings, []);
+
+  // 非 dry run 时使用配置的渠道，失败只输出警告
+  await runAlerts(configPath, previous, current, false);
+  assert.match(warnings[0], /通知发送失败 \(webhook\): 缺少环境变量/);
+
+  fs.writeFileSync(configPath, JSON.stringify({ rules: [{ type: 'sideways' }] }));
+  await runAlerts(configPath, previous, current, false);
+  assert.match(warnings[1], /提醒配置无效/);
+
+  // 没有配置文件时不做任何事
+  await runAlerts(path.join(dir, 'missing.json'), previous, current, false);
+  assert.equal(warnings.length, 2);
+});
+
+test('buildPriceData: 页面未变化 (304) 时沿用上次的解析结果', async (t) => {
+  silence(t);
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-page-cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const requests = [];
+  const fetchURL = async (url, options = {}) => {
+    requests.push({ url, validators: options.validators });
+    if (url !== CONFIG.appleURL) return fixtureFetch({ [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json') })(url);
+    if (options.validators && options.validators.etag === '"v1"') return null;
+    options.onResponse({ headers: { etag: '"v1"' } });
+    return loadFixture('apple-list.html');
+  };
+
+  const first = {};
+  const data = await buildPriceData(RANK_FIELDS.incl, { fetchURL, pageCache: first });
+  assert.deepEqual(first.validators, { etag: '"v1"' });
+  assert.equal(requests[0].validators, undefined);
+
+  // 没有上一份数据或缓存的页面地址不同时不发送条件请求
+  const cachePath = path.join(dir, 'page-cache.json');
+  assert.deepEqual(loadPageCache(cachePath, data), {});
+  fs.writeFileSync(cachePath, JSON.stringify({ url: 'https://example.com/', etag: '"v1"' }));
+  assert.deepEqual(loadPageCache(cachePath, data), {});
+  fs.writeFileSync(cachePath, JSON.stringify({ url: CONFIG.appleURL, etag: '"v1"' }));
+  assert.deepEqual(loadPageCache(cachePath, null), {});
+
+  const second = loadPageCache(cachePath, data);
+  // 沿用的地区不在页面上，不参与还原
+  const withCarried = { ...data, regions: [...data.regions, { ...data.regions[0], CountryISO: 'DE', Source: 'carried-over' }] };
+  assert.equal(loadPageCache(cachePath, withCarried).regions.length, data.regions.length);
+  assert.deepEqual(second.regions.find(r => r.CountryISO === 'US').Plans[0], { Name: '50GB', Price: 0.99 });
+
+  const parseLog = [];
+  const cached = await buildPriceData(RANK_FIELDS.incl, { fetchURL, pageCache: second, parseLog });
+  assert.equal(requests[2].validators.etag, '"v1"');
+  assert.equal(parseLog.length, 0);
+  assert.deepEqual(second.validators, { etag: '"v1"', lastModified: undefined });
+  assert.deepEqual(
+    cached.regions.map(r => [r.CountryISO, r.Plans.map(p => p.PriceInCNY)]),
+    data.regions.map(r => [r.CountryISO, r.Plans.map(p => p.PriceInCNY)])
+  );
+
+  // 上次的解析结果为空 (例如全部地区都是沿用的) 时重新下载，解析为空时不保存验证信息
+  const empty = { validators: { etag: '"v1"' }, regions: [] };
+  await buildPriceData(RANK_FIELDS.incl, { fetchURL, pageCache: empty });
+  assert.equal(requests[4].validators, undefined);
+  assert.deepEqual(empty.validators, { etag: '"v1"' });
+
+  const blank = { validators: { etag: '"v0"' }, regions: [] };
+  const previous = JSON.parse(loadFixture('prices.json'));
+  await buildPriceData(RANK_FIELDS.incl, {
+    fetchURL: async (url, options = {}) => {
+      if (url !== CONFIG.appleURL) return loadFixture('exchange-rates.json');
+      options.onResponse({ headers: { etag: '"v2"' } });
+      return '<html><body><p>No prices</p></body></html>';
+    },
+    pageCache: blank,
+    previous
+  });
+  assert.equal(blank.validators, null);
+});
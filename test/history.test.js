@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const history = require('../lib/history');
+
+function region(CountryISO, Country, Currency, plans) {
+  return {
+    CountryISO,
+    Country,
+    Currency,
+    Plans: Object.entries(plans).map(([Name, Price]) => ({ Name, Price }))
+  };
+}
+
+/**
+ * 在临时目录中运行，测试结束时删除
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('regionKey: 按 CountryISO 生成，旧数据按名称解析', () => {
+  assert.equal(history.regionKey({ CountryISO: 'TR', Country: 'Türkiye' }), 'TR');
+  assert.equal(history.regionKey({ Country: 'Russia3' }), 'RU');
+  assert.equal(history.regionKey({ Country: 'Atlantis' }), 'Atlantis');
+  assert.equal(history.regionName({ Country: 'Brazil1, 2' }), 'Brazil');
+});
+
+test('diffLocalPrices: 只记录两边都有的地区与套餐的本地价格变化', () => {
+  const oldData = {
+    regions: [
+      region('TR', 'Turkey', 'TRY', { '50GB': 39.99, '2TB': 399.99 }),
+      region('JP', 'Japan', 'JPY', { '50GB': 150 }),
+      region('HR', 'Croatia', 'HRK', { '50GB': 7.49 }),
+      region('DK', 'Denmark', 'DKK', { '50GB': 9 })
+    ]
+  };
+  const newData = {
+    regions: [
+      region('TR', 'Türkiye', 'TRY', { '50GB': 49.99, '2TB': 399.99, '6TB': 999.99 }),
+      region('JP', 'Japan', 'JPY', { '50GB': 150 }),
+      region('HR', 'Croatia', 'EUR', { '50GB': 0.99 }),
+      region('QA', 'Qatar', 'QAR', { '50GB': 3.69 })
+    ]
+  };
+
+  assert.deepEqual(history.diffLocalPrices(oldData, newData), [
+    { CountryISO: 'TR', Country: 'Türkiye', Plan: '50GB', Currency: 'TRY', OldPrice: 39.99, NewPrice: 49.99 },
+    { CountryISO: 'HR', Country: 'Croatia', Plan: '50GB', Currency: 'EUR', OldPrice: 7.49, NewPrice: 0.99, OldCurrency: 'HRK' }
+  ]);
+});
+
+test('diffLocalPrices: 没有 CountryISO 的旧快照与新数据按同一地区对比', () => {
+  const legacy = { regions: [{ Country: 'Russia3', Currency: 'RUB', Plans: [{ Name: '50GB', Price: 59 }] }] };
+  const current = { regions: [region('RU', 'Russia', 'RUB', { '50GB': 75 })] };
+  assert.deepEqual(history.diffLocalPrices(legacy, current).map(c => [c.CountryISO, c.Country, c.OldPrice, c.NewPrice]), [
+    ['RU', 'Russia', 59, 75]
+  ]);
+});
+
+test('saveSnapshot: 按日期命名，同一天覆盖，目录不存在时创建', (t) => {
+  const historyDir = path.join(tempDir(t), 'nested', 'history');
+  const first = { lastUpdated: '2026-10-18T06:00:00.000Z', regions: [] };
+  const second = { lastUpdated: '2026-10-18T18:00:00.000Z', regions: [region('JP', 'Japan', 'JPY', { '50GB': 150 })] };
+
+  const snapshotPath = history.saveSnapshot(first, historyDir);
+  assert.equal(snapshotPath, path.join(historyDir, '2026-10-18.json'));
+  assert.equal(history.saveSnapshot(second, historyDir), snapshotPath);
+  history.saveSnapshot({ lastUpdated: '2026-10-19T00:00:00.000Z', regions: [] }, historyDir);
+
+  const snapshots = history.loadSnapshots(historyDir);
+  assert.deepEqual(snapshots.map(s => s.date), ['2026-10-18', '2026-10-19']);
+  assert.deepEqual(snapshots[0].data, second);
+});
+
+test('appendChangelog: 文件不存在时新建，之后按日期追加', (t) => {
+  const changelogPath = path.join(tempDir(t), 'changelog.json');
+  const change = { CountryISO: 'TR', Country: 'Türkiye', Plan: '50GB', Currency: 'TRY', OldPrice: 39.99, NewPrice: 49.99 };
+
+  history.appendChangelog([change], changelogPath, '2026-10-18');
+  const changelog = history.appendChangelog([{ ...change, OldPrice: 49.99, NewPrice: 59.99 }], changelogPath, '2026-10-19');
+
+  assert.deepEqual(changelog.changes.map(c => [c.Date, c.Country, c.NewPrice]), [
+    ['2026-10-18', 'Türkiye', 49.99],
+    ['2026-10-19', 'Türkiye', 59.99]
+  ]);
+  assert.deepEqual(history.loadChangelog(changelogPath), changelog);
+  assert.equal(history.appendChangelog([], changelogPath, '2026-10-20').changes.length, 2);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+
+const client = require('../lib/http');
+
+/**
+ * 按路径响应的本地服务器，记录每个请求
+ */
+async function startServer(t, routes) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    route(req, res, requests.filter(r => r.url === req.url).length);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { base: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+// 测试中不实际等待
+const noWait = delays => ({ sleep: async ms => { delays.push(ms); }, random: () => 0.5 });
+
+test('http: 跟随相对重定向并限制次数', async (t) => {
+  const { base, requests } = await startServer(t, {
+    '/old': (req, res) => { res.writeHead(301, { Location: '/new' }); res.end(); },
+    '/new': (req, res) => { res.writeHead(200, { 'Content-Type': 'text/html' }); res.end('<p>ok</p>'); },
+    '/loop': (req, res) => { res.writeHead(302, { Location: '/loop' }); res.end(); }
+  });
+
+  const response = await client.request(`${base}/old`);
+  assert.equal(response.body, '<p>ok</p>');
+  assert.equal(response.url, `${base}/new`);
+
+  await assert.rejects(client.request(`${base}/loop`, { maxRedirects: 3 }), /重定向次数过多 \(3\)/);
+  assert.equal(requests.filter(r => r.url === '/loop').length, 4);
+});
+
+test('http: 429/5xx 按退避时间重试，4xx 不重试', async (t) => {
+  const { base, requests } = await startServer(t, {
+    '/flaky': (req, res, count) => {
+      if (count < 3) {
+        res.writeHead(count === 1 ? 503 : 429, count === 2 ? { 'Retry-After': '2' } : {});
+        res.end();
+        return;
+      }
+      res.end('finally');
+    },
+    '/down': (req, res) => { res.writeHead(500); res.end(); }
+  });
+
+  const delays = [];
+  const retries = [];
+  const body = await client.fetchText(`${base}/flaky`, {
+    ...noWait(delays),
+    onRetry: (err, attempt) => retries.push([err.status, attempt])
+  });
+  assert.equal(body, 'finally');
+  assert.deepEqual(retries, [[503, 1], [429, 2]]);
+  // 第一次: 500ms 的 [1/2, 1] 区间中点；第二次使用 Retry-After
+  assert.deepEqual(delays, [375, 2000]);
+
+  await assert.rejects(client.fetchText(`${base}/down`, { retries: 2, ...noWait([]) }), err => {
+    assert.ok(err instanceof client.HttpStatusError);
+    assert.equal(err.status, 500);
+    return true;
+  });
+  assert.equal(requests.filter(r => r.url === '/down').length, 3);
+
+  await assert.rejects(client.fetchText(`${base}/missing`, noWait(delays)), /HTTP 404/);
+  assert.equal(requests.filter(r => r.url === '/missing').length, 1);
+});
+
+test('http: 退避时间指数增长并受上限约束', () => {
+  const options = { retryDelay: 1000, maxRetryDelay: 5000 };
+  assert.equal(client.backoffDelay(0, options, null, () => 0), 500);
+  assert.equal(client.backoffDelay(1, options, null, () => 1), 2000);
+  assert.equal(client.backoffDelay(5, options, null, () => 1), 5000);
+  assert.equal(client.backoffDelay(0, options, { headers: { 'retry-after': '120' } }), 5000);
+  assert.equal(client.parseRetryAfter('Mon, 19 Oct 2026 00:00:30 GMT', Date.parse('2026-10-19T00:00:00Z')), 30000);
+  assert.equal(client.parseRetryAfter('soon'), null);
+});
+
+test('http: 解压、字符集与默认请求头', async (t) => {
+  const html = '<p>Türkiye ₺39,99</p>';
+  const { base, requests } = await startServer(t, {
+    '/gzip': (req, res) => { res.writeHead(200, { 'Content-Encoding': 'gzip' }); res.end(zlib.gzipSync(html)); },
+    '/br': (req, res) => { res.writeHead(200, { 'Content-Encoding': 'br' }); res.end(zlib.brotliCompressSync(html)); },
+    '/latin1': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=ISO-8859-1' });
+      res.end(Buffer.from('Réunion, Curaçao', 'latin1'));
+    },
+    '/meta': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(Buffer.concat([Buffer.from('<meta charset="shift_jis"><p>'), Buffer.from([0x93, 0xfa, 0x96, 0x7b]), Buffer.from('</p>')]));
+    }
+  });
+
+  assert.equal(await client.fetchText(`${base}/gzip`), html);
+  assert.equal(await client.fetchText(`${base}/br`, { headers: { 'Accept-Language': 'en-US' } }), html);
+  assert.equal(await client.fetchText(`${base}/latin1`), 'Réunion, Curaçao');
+  assert.match(await client.fetchText(`${base}/meta`), /<p>日本<\/p>/);
+
+  assert.match(requests[0].headers['user-agent'], /icloud-pricing/);
+  assert.equal(requests[0].headers['accept-encoding'], 'gzip, deflate, br');
+  assert.equal(requests[1].headers['accept-language'], 'en-US');
+});
+
+test('http: 响应大小上限 (含解压后的大小)', async (t) => {
+  const big = 'x'.repeat(64 * 1024);
+  const { base } = await startServer(t, {
+    '/big': (req, res) => { res.writeHead(200, { 'Content-Length': big.length }); res.end(big); },
+    '/chunked': (req, res) => { res.write(big); res.end(big); },
+    '/bomb': (req, res) => { res.writeHead(200, { 'Content-Encoding': 'gzip' }); res.end(zlib.gzipSync(big)); }
+  });
+
+  for (const name of ['big', 'chunked', 'bomb']) {
+    await assert.rejects(client.fetchText(`${base}/${name}`, { maxBytes: 1024 }), /响应超过大小上限 \(1024 字节\)/);
+  }
+  assert.equal((await client.fetchText(`${base}/big`, { maxBytes: big.length })).length, big.length);
+});
+
+test('http: 压缩响应中途断开时报错而不是挂起', { timeout: 5000 }, async (t) => {
+  const gzipped = zlib.gzipSync('x'.repeat(64 * 1024) + Math.random());
+  const { base } = await startServer(t, {
+    '/aborted': (req, res) => {
+      res.writeHead(200, { 'Content-Encoding': 'gzip', 'Content-Length': gzipped.length });
+      res.write(gzipped.subarray(0, gzipped.length >> 1), () => res.socket.destroy());
+    }
+  });
+
+  await assert.rejects(client.request(`${base}/aborted`), err => {
+    assert.equal(err.code, 'ECONNRESET');
+    assert.equal(client.isRetryable(err), true);
+    return true;
+  });
+});
+
+test('http: ETag 与 If-Modified-Since 条件请求', async (t) => {
+  const etag = '"v1"';
+  const lastModified = 'Mon, 12 Oct 2026 00:00:00 GMT';
+  const { base, requests } = await startServer(t, {
+    '/page': (req, res) => {
+      if (req.headers['if-none-match'] === etag || req.headers['if-modified-since'] === lastModified) {
+        res.writeHead(304, { ETag: etag });
+        res.end();
+        return;
+      }
+      res.writeHead(200, { ETag: etag, 'Last-Modified': lastModified });
+      res.end('page');
+    }
+  });
+
+  let validators = null;
+  const onResponse = response => { validators = client.getValidators(response); };
+  assert.equal(await client.fetchText(`${base}/page`, { onResponse }), 'page');
+  assert.deepEqual(validators, { etag, lastModified });
+
+  assert.equal(await client.fetchText(`${base}/page`, { validators, onResponse }), null);
+  assert.equal(requests[1].headers['if-none-match'], etag);
+  assert.equal(requests[1].headers['if-modified-since'], lastModified);
+
+  assert.equal(await client.fetchText(`${base}/page`, { validators: { lastModified } }), null);
+  assert.equal(await client.fetchText(`${base}/page`, { validators: { etag: '"v0"' } }), 'page');
+});
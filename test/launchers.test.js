@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const query = require('../lib/query');
+const launchers = require('../lib/launchers');
+const { runCLI } = require('../scripts/icloud-pricing');
+
+const GOLDEN = path.join(__dirname, 'fixtures/launchers');
+const DATA_PATH = path.join(__dirname, 'fixtures/prices.json');
+
+function loadGolden(name) {
+  return fs.readFileSync(path.join(GOLDEN, name), 'utf8');
+}
+
+/**
+ * 2TB 中国大陆与日本，日本价格为沿用的旧数据
+ */
+function sampleResult() {
+  const data = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  Object.assign(data.regions.find(r => r.CountryISO === 'JP'), { Source: 'carried-over', PriceObservedAt: '2026-09-01T00:00:00.000Z' });
+  return query.executeQuery(data, '2tb cn jp');
+}
+
+test('alfred: Script Filter JSON 与黄金输出一致', () => {
+  const output = launchers.render('alfred', sampleResult());
+  assert.deepEqual(JSON.parse(output), JSON.parse(loadGolden('alfred.json')));
+});
+
+test('raycast: 脚本命令文本与黄金输出一致', () => {
+  assert.equal(launchers.render('raycast', sampleResult()) + '\n', loadGolden('raycast.txt'));
+});
+
+test('utools: 列表 JSON 与黄金输出一致', () => {
+  const output = launchers.render('utools', sampleResult());
+  assert.deepEqual(JSON.parse(output), JSON.parse(loadGolden('utools.json')));
+});
+
+test('wox: JSON-RPC 结果与黄金输出一致', () => {
+  const output = launchers.render('wox', sampleResult());
+  assert.deepEqual(JSON.parse(output), JSON.parse(loadGolden('wox.json')));
+});
+
+test('ndjson: 每行一个条目，与黄金输出一致', () => {
+  assert.equal(launchers.render('ndjson', sampleResult()) + '\n', loadGolden('results.ndjson'));
+});
+
+test('render: 帮助、错误与无结果输出为不可选择的条目，未知格式报错', () => {
+  const help = JSON.parse(launchers.render('alfred', { type: 'help' })).items;
+  assert.equal(help.length, 10);
+  assert.ok(help.every(item => item.valid === false));
+
+  const error = JSON.parse(launchers.render('wox', { type: 'error', message: '缺少 lib/query.js' })).result;
+  assert.deepEqual(error, [{ Title: '获取数据失败', SubTitle: '缺少 lib/query.js', IcoPath: 'icon.png' }]);
+
+  const empty = launchers.render('ndjson', { type: 'empty', missing: 'atlantis' });
+  assert.deepEqual(JSON.parse(empty), {
+    kind: 'info',
+    title: '未找到地区: atlantis',
+    subtitle: '尝试使用其他关键词，如 US, 日本, xianggang',
+    actions: {}
+  });
+
+  const custom = JSON.parse(launchers.render('utools', sampleResult(), { pageURL: 'https://example.com/' }));
+  assert.ok(custom.every(item => item.url === 'https://example.com/'));
+
+  assert.throws(() => launchers.render('dmenu', { type: 'help' }), /未知的输出格式: dmenu/);
+});
+
+test('CLI: --launcher 按启动器格式输出', () => {
+  const { output, exitCode } = runCLI(['2tb', 'top2', '--launcher=utools', `--data=${DATA_PATH}`]);
+  assert.equal(exitCode, 0);
+  assert.deepEqual(JSON.parse(output).map(item => item.copy), ['¥67.45', '¥68.00', undefined]);
+
+  assert.equal(JSON.parse(runCLI(['help', '--launcher=wox']).output).result.length, 10);
+  assert.equal(runCLI(['2tb', '--launcher=alfred', '--data=/nonexistent.json']).exitCode, 1);
+  assert.equal(runCLI(['2tb', '--launcher=dmenu']).exitCode, 1);
+});
+
+test('帮助: 列出查询引擎的全部地区分组与展示货币', () => {
+  const [syntax] = JSON.parse(launchers.render('alfred', { type: 'help' })).items;
+  for (const group of Object.keys(query.REGION_GROUPS)) {
+    assert.ok(syntax.subtitle.includes(group), group);
+  }
+  for (const currency of Object.keys(query.CURRENCY_SYMBOLS)) {
+    assert.ok(syntax.subtitle.includes(currency.toLowerCase()), currency);
+  }
+});
+
+/**
+ * 记录剪贴板与浏览器调用的替身
+ */
+function fakeSystem() {
+  const calls = [];
+  return {
+    calls,
+    copy: text => calls.push(['copy', text]),
+    openURL: url => calls.push(['open', url])
+  };
+}
+
+test('wox 插件: 查询、右键菜单与动作调用', () => {
+  const { handle } = require('../scripts/wox/main');
+  const { result } = handle({ method: 'query', parameters: ['2tb us'] });
+  const item = result.find(entry => entry.ContextData);
+  assert.ok(item.JsonRPCAction);
+
+  const menu = handle({ method: 'context_menu', parameters: [item.ContextData] }).result;
+  assert.deepEqual(menu.map(entry => entry.JsonRPCAction.method), ['copy', 'open_url']);
+
+  const plan = handle({ method: 'query', parameters: ['plan 2tb us'] }).result;
+  assert.equal(plan.length, 1);
+  assert.match(plan[0].SubTitle, /icloud-pricing plan 2tb us/);
+
+  const system = fakeSystem();
+  assert.equal(handle({ method: 'copy', parameters: ['$9.99'] }, system), null);
+  assert.equal(handle({ method: 'open_url', parameters: ['https://example.com/'] }, system), null);
+  assert.deepEqual(system.calls, [['copy', '$9.99'], ['open', 'https://example.com/']]);
+  assert.throws(() => handle({ method: 'delete' }, system), /未知的 JSON-RPC 方法: delete/);
+});
+
+test('utools 插件: 列表功能复制所选字段，页脚打开 Apple 页面', () => {
+  const system = fakeSystem();
+  const utools = {
+    copyText: system.copy,
+    shellOpenExternal: system.openURL,
+    hideMainWindow: () => system.calls.push(['hide']),
+    outPlugin: () => system.calls.push(['out'])
+  };
+  global.window = { utools };
+  try {
+    delete require.cache[require.resolve('../scripts/utools/preload')];
+    require('../scripts/utools/preload');
+    const features = global.window.exports;
+    assert.deepEqual(Object.keys(features), ['icloud', 'icloud-local']);
+
+    let list;
+    features['icloud-local'].args.search({}, '2tb us', items => { list = items; });
+    assert.ok(list.every(item => item.icon === 'logo.png'));
+    const row = list.find(item => item.copyOriginal);
+    features['icloud-local'].args.select({}, row);
+    assert.deepEqual(system.calls, [['copy', row.copyOriginal], ['hide'], ['out']]);
+
+    system.calls.length = 0;
+    const footer = list.find(item => !item.copy && item.url);
+    features.icloud.args.select({}, footer);
+    assert.deepEqual(system.calls, [['open', footer.url], ['hide'], ['out']]);
+  } finally {
+    delete global.window;
+  }
+});
+
+test('raycast 复制命令: 对所查套餐的第一条结果执行动作', () => {
+  const { runAction } = require('../scripts/raycast-copy');
+  const system = fakeSystem();
+
+  const message = runAction('2tb us', 'copyOriginal', system);
+  assert.equal(system.calls.length, 1);
+  assert.equal(system.calls[0][0], 'copy');
+  assert.ok(message.includes(system.calls[0][1]));
+  assert.match(message, /2TB\)$/);
+
+  system.calls.length = 0;
+  assert.equal(runAction('2tb us', 'open', system), '已打开 Apple 支持页面');
+  assert.equal(system.calls[0][0], 'open');
+
+  system.calls.length = 0;
+  assert.match(runAction('2tb atlantis', 'copy', system), /^未找到匹配的地区/);
+  assert.deepEqual(system.calls, []);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { median, addValueMetrics } = require('../lib/metrics');
+
+function region(country, prices) {
+  return {
+    CountryISO: country.slice(0, 2).toUpperCase(),
+    Country: country,
+    Currency: 'USD',
+    Plans: Object.entries(prices).map(([Name, PriceInCNY]) => ({ Name, Price: PriceInCNY, PriceInCNY }))
+  };
+}
+
+const DATA = {
+  regions: [
+    region('Alpha', { '50GB': 6, '200GB': 20, '2TB': 70 }),
+    region('Bravo', { '2TB': 60, '200GB': 24, '50GB': 8 }),
+    region('Charlie', { '50GB': 10, '200GB': 30, '2TB': 90 })
+  ]
+};
+
+test('median: 奇数与偶数个数', () => {
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(median([4, 1, 2, 3]), 2.5);
+  assert.equal(median([]), null);
+});
+
+test('addValueMetrics: 每 TB 价格、相邻套餐的升级成本与相对中位数的溢价', () => {
+  const result = addValueMetrics(DATA, 'PriceInCNY');
+  const bravo = Object.fromEntries(result.regions[1].Plans.map(p => [p.Name, p]));
+
+  assert.equal(bravo['50GB'].PricePerTBInCNY, 160);
+  assert.equal(bravo['50GB'].UpgradeFrom, undefined);
+  // 套餐顺序与页面顺序无关，按容量确定上一档
+  assert.equal(bravo['2TB'].UpgradeFrom, '200GB');
+  assert.equal(bravo['2TB'].UpgradeCostInCNY, 36);
+  assert.equal(bravo['2TB'].UpgradeCostPerTBInCNY, 20);
+  assert.equal(bravo['2TB'].PremiumVsMedian, -14.29);
+
+  assert.deepEqual(result.metrics, {
+    basis: 'PriceInCNY',
+    medians: {
+      '50GB': { PriceInCNY: 8, PricePerTBInCNY: 160 },
+      '200GB': { PriceInCNY: 24, PricePerTBInCNY: 120, UpgradeCostPerTBInCNY: 106.67 },
+      '2TB': { PriceInCNY: 70, PricePerTBInCNY: 35, UpgradeCostPerTBInCNY: 27.78 }
+    }
+  });
+  // 不修改传入的数据
+  assert.equal(DATA.regions[0].Plans[0].PricePerTBInCNY, undefined);
+});
+
+test('addValueMetrics: 中位数中的价格以计算口径命名', () => {
+  const taxed = {
+    regions: DATA.regions.map(r => ({
+      ...r,
+      Plans: r.Plans.map(p => ({ ...p, PriceInCNYInclTax: p.PriceInCNY * 1.2 }))
+    }))
+  };
+  const result = addValueMetrics(taxed, 'PriceInCNYInclTax');
+
+  assert.equal(result.metrics.basis, 'PriceInCNYInclTax');
+  assert.deepEqual(result.metrics.medians['2TB'], {
+    PriceInCNYInclTax: 84,
+    PricePerTBInCNY: 42,
+    UpgradeCostPerTBInCNY: 33.33
+  });
+  assert.equal(result.regions[1].Plans[0].PremiumVsMedian, -14.29);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseApplePricing } = require('../scripts/fetch-prices');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function loadFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function planPrices(region) {
+  return Object.fromEntries(region.Plans.map(p => [p.Name, p.Price]));
+}
+
+test('表格布局: 套餐为列，货币单独一列或写在国家名后', async () => {
+  const regions = await parseApplePricing(loadFixture('apple-table-plan-columns.html'));
+
+  assert.deepEqual(regions.map(r => r.Country), [
+    'Bahamas', 'Canada', 'United States', 'Russia', 'United Kingdom'
+  ]);
+
+  const bahamas = regions[0];
+  assert.equal(bahamas.CountryISO, 'BS');
+  assert.equal(bahamas.Currency, 'USD');
+  assert.equal(bahamas.BilledInUSD, true);
+  assert.equal(bahamas.TaxIncluded, true);
+  assert.deepEqual(planPrices(bahamas), {
+    '50GB': 0.99, '200GB': 2.99, '2TB': 10.99, '6TB': 32.99, '12TB': 64.99
+  });
+
+  const us = regions.find(r => r.Country === 'United States');
+  assert.equal(us.TaxIncluded, false);
+
+  const russia = regions.find(r => r.Country === 'Russia');
+  assert.equal(russia.Currency, 'RUB');
+  assert.deepEqual(planPrices(russia), {
+    '50GB': 59, '200GB': 149, '2TB': 599, '6TB': 3490, '12TB': 6990
+  });
+});
+
+test('表格布局: 套餐为行，每列一个地区', async () => {
+  const regions = await parseApplePricing(loadFixture('apple-table-plan-rows.html'));
+
+  assert.deepEqual(regions.map(r => [r.CountryISO, r.Country, r.Currency]), [
+    ['CN', 'China mainland', 'CNY'],
+    ['HK', 'Hong Kong', 'HKD'],
+    ['JP', 'Japan', 'JPY'],
+    ['KH', 'Cambodia', 'USD']
+  ]);
+
+  assert.deepEqual(planPrices(regions[2]), {
+    '50GB': 180, '200GB': 540, '2TB': 1800, '6TB': 5500, '12TB': 11000
+  });
+
+  const cambodia = regions[3];
+  assert.equal(cambodia.BilledInUSD, true);
+  assert.equal(cambodia.TaxIncluded, true);
+  assert.equal(regions[1].TaxIncluded, null);
+});
+
+test('表格布局与列表布局输出相同的地区结构', async () => {
+  const regions = await parseApplePricing(loadFixture('apple-table-plan-rows.html'));
+  regions.forEach(region => {
+    assert.deepEqual(Object.keys(region), [
+      'CountryISO', 'Country', 'Currency', 'TaxIncluded', 'BilledInUSD', 'Plans'
+    ]);
+  });
+});
+
+test('列表布局: 档位从页面发现，缺少最小档位的地区不影响排序', async (t) => {
+  const html = `
+    <h3>Japan (JPY)</h3>
+    <ul><li>50 GB: ¥150</li><li>200 GB: ¥450</li><li>2,000 GB: ¥1,500</li><li>4 TB: ¥2,900</li></ul>
+    <h3>United States (USD)</h3>
+    <ul><li>200 GB: $2.99</li><li>2 TB: $9.99</li><li>4 TB: $19.99</li></ul>
+    <h3>Türkiye (TRY)</h3>
+    <ul><li>200 GB: ₺99,99</li><li>2TB: ₺379,99</li></ul>`;
+  const regions = await parseApplePricing(html);
+
+  assert.deepEqual(planPrices(regions[0]), { '50GB': 150, '200GB': 450, '2TB': 1500, '4TB': 2900 });
+  assert.deepEqual(planPrices(regions[1]), { '200GB': 2.99, '2TB': 9.99, '4TB': 19.99 });
+
+  const { CONFIG, RANK_FIELDS, buildPriceData } = require('../scripts/fetch-prices');
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const routes = {
+    [CONFIG.appleURL]: html,
+    [CONFIG.exchangeAPI]: loadFixture('exchange-rates.json')
+  };
+  const data = await buildPriceData(RANK_FIELDS.sticker, { fetchURL: async url => routes[url] });
+
+  assert.deepEqual(data.tiers.map(tier => [tier.id, tier.bytes, tier.regionCount]), [
+    ['50GB', 50e9, 1], ['200GB', 200e9, 3], ['2TB', 2e12, 3], ['4TB', 4e12, 2]
+  ]);
+  // 按 200GB (所有地区都提供) 排序
+  assert.deepEqual(data.regions.map(r => r.CountryISO), ['TR', 'US', 'JP']);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { parseStorage, planHousehold } = require('../lib/planner');
+const { runCLI } = require('../scripts/icloud-pricing');
+
+const DATA_PATH = path.join(__dirname, 'fixtures/prices.json');
+const DATA = require(DATA_PATH);
+
+const describe = region => region.Plans.map(p => `${p.Name}×${p.Count}`).join(' + ');
+
+test('parseStorage: GB、TB 与纯数字', () => {
+  assert.equal(parseStorage('3tb'), 3000);
+  assert.equal(parseStorage('2.5 TB'), 2500);
+  assert.equal(parseStorage('500'), 500);
+  assert.ok(isNaN(parseStorage('lots')));
+});
+
+test('planHousehold: 单个套餐足够时选最便宜的一档', () => {
+  const plan = planHousehold(DATA, { demandGB: 1500, people: 4 });
+  const first = plan.regions[0];
+
+  assert.equal(plan.months, 12);
+  assert.equal(plan.basis, 'PriceInCNYInclTax');
+  assert.equal(first.CountryISO, 'TR');
+  assert.equal(describe(first), '2TB×1');
+  assert.equal(first.TotalCNY, 809.4);
+  assert.equal(first.PerPersonMonthlyCNY, 16.86);
+  assert.deepEqual(plan.regions.map(r => r.Rank), [1, 2, 3, 4, 5, 6]);
+});
+
+test('planHousehold: 组合比更大一档便宜时推荐组合', () => {
+  const plan = planHousehold(DATA, { demandGB: 2100, months: 36 });
+  const cn = plan.regions.find(r => r.CountryISO === 'CN');
+
+  // 2TB + 2 × 50GB (¥80) 比 6TB (¥198) 便宜
+  assert.equal(describe(cn), '2TB×1 + 50GB×2');
+  assert.equal(cn.CapacityGB, 2100);
+  assert.equal(cn.MonthlyCNY, 80);
+  assert.equal(cn.TotalCNY, 2880);
+});
+
+test('planHousehold: 超过家人共享人数时至少需要多个套餐', () => {
+  const plan = planHousehold(DATA, { demandGB: 100, people: 7 });
+  const cn = plan.regions.find(r => r.CountryISO === 'CN');
+  assert.equal(describe(cn), '50GB×2');
+
+  assert.throws(() => planHousehold(DATA, { demandGB: 0 }), /存储需求/);
+  assert.throws(() => planHousehold(DATA, { demandGB: 100, people: 0 }), /人数/);
+  assert.throws(() => planHousehold(DATA, { demandGB: 100, people: 1e9 }), /人数必须是 1 到 120 之间的整数/);
+});
+
+test('CLI plan: 按地区过滤并输出规划表', () => {
+  const { output, exitCode } = runCLI(['plan', '3tb', 'eu', '--people=2', '--years=2', `--data=${DATA_PATH}`]);
+  const lines = output.split('\n');
+
+  assert.equal(exitCode, 0);
+  assert.equal(lines[0], '👪 2 人共需 3TB，计费 24 个月');
+  // 两个 2TB 套餐 (¥154.20) 比一个 6TB 套餐 (¥231.44) 便宜
+  assert.match(lines[4], /^1 {2}🇩🇪 Germany +2TB × 2 +4TB +¥154\.20 +¥3700\.80 +¥77\.10$/);
+  assert.equal(runCLI(['plan', `--data=${DATA_PATH}`]).exitCode, 1);
+});
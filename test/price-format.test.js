@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parsePriceDetailed } = require('../lib/price-format');
+
+function value(text, currency) {
+  return parsePriceDetailed(text, currency).value;
+}
+
+test('parsePriceDetailed: 零位小数货币的千分位', () => {
+  assert.equal(value('₩1,100', 'KRW'), 1100);
+  assert.equal(value('¥11,000', 'JPY'), 11000);
+  assert.equal(value('$4.990', 'CLP'), 4990);
+  assert.equal(value('1.799.000 ₫', 'VND'), 1799000);
+});
+
+test('parsePriceDetailed: 三位一组的数字视为千分位', () => {
+  assert.equal(value('Rp 15,000', 'IDR'), 15000);
+  assert.equal(value('Rp 15.000', 'IDR'), 15000);
+  assert.equal(value('₹5,900', 'INR'), 5900);
+  assert.equal(value('₹1,00,000', 'INR'), 100000);
+});
+
+test('parsePriceDetailed: 按货币约定识别小数点', () => {
+  assert.equal(value('$0.99', 'USD'), 0.99);
+  assert.equal(value('₺49,99', 'TRY'), 49.99);
+  assert.equal(value('₺1.699,99', 'TRY'), 1699.99);
+  assert.equal(value('R 1 199,99', 'ZAR'), 1199.99);
+  assert.equal(value('CHF 1\'000.50', 'CHF'), 1000.5);
+  assert.equal(value('1.250 KWD', 'KWD'), 1.25);
+});
+
+test('parsePriceDetailed: 不换行空格与瑞士写法', () => {
+  assert.equal(value('1 699,99 ₽', 'RUB'), 1699.99);
+  assert.equal(value('3 490 ₽', 'RUB'), 3490);
+  assert.equal(value('CHF 1.–', 'CHF'), 1);
+  assert.equal(value('CHF 10.-', 'CHF'), 10);
+});
+
+test('parsePriceDetailed: 拒绝含义不明的写法并说明原因', () => {
+  assert.equal(parsePriceDetailed('₩1,5', 'KRW').error, 'fraction-not-allowed');
+  assert.equal(parsePriceDetailed('$12,34,5', 'USD').error, 'invalid-grouping');
+  assert.equal(parsePriceDetailed('$1.2345', 'USD').error, 'ambiguous-separator');
+  assert.equal(parsePriceDetailed('$1 or $2', 'USD').error, 'multiple-numbers');
+  assert.equal(parsePriceDetailed('—', 'USD').error, 'no-digits');
+  assert.ok(Number.isNaN(value('—', 'USD')));
+});
+
+test('parsePriceDetailed: 记录原始文本与判断依据', () => {
+  assert.deepEqual(parsePriceDetailed('₺1.699,99', 'TRY'), {
+    raw: '₺1.699,99',
+    currency: 'TRY',
+    value: 1699.99,
+    rule: 'mixed-separators',
+    error: null
+  });
+});
@@ -0,0 +1,269 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const query = require('../lib/query');
+const { displayWidth, runCLI } = require('../scripts/icloud-pricing');
+
+const DATA_PATH = path.join(__dirname, 'fixtures/prices.json');
+const DATA = require(DATA_PATH);
+
+test('parseQuery: 识别套餐、计价口径、货币与地区关键词', () => {
+  assert.deepEqual(query.parseQuery('2TB jp hk 税前 usd'), {
+    help: false,
+    plan: '2TB',
+    regions: ['jp', 'hk'],
+    groups: [],
+    compare: false,
+    maxPrice: null,
+    top: null,
+    perTB: false,
+    upgrade: false,
+    priceField: 'PriceInCNYExclTax',
+    currency: 'USD'
+  });
+  assert.equal(query.parseQuery(' ? ').help, true);
+  assert.deepEqual(query.parseQuery('x').regions, []);
+});
+
+test('parseQuery: 显示货币代码设置显示货币，cur: 前缀按货币查找地区', () => {
+  for (const code of Object.keys(query.CURRENCY_SYMBOLS)) {
+    const parsed = query.parseQuery(`2tb ${code.toLowerCase()}`);
+    assert.equal(parsed.currency, code);
+    assert.deepEqual(parsed.regions, []);
+  }
+
+  const parsed = query.parseQuery('2tb cur:usd 货币：EUR jpy');
+  assert.deepEqual(parsed.regions, ['usd', 'eur']);
+  assert.equal(parsed.currency, 'JPY');
+
+  // 不是显示货币的货币代码仍按地区关键词处理
+  assert.deepEqual(query.parseQuery('2tb try').regions, ['try']);
+
+  const result = query.executeQuery(DATA, '2tb cur:eur cur:gbp usd');
+  assert.deepEqual(result.rows.map(r => r.iso).sort(), ['DE', 'GB']);
+  assert.equal(result.view.currency, 'USD');
+});
+
+test('formatMoney: 小数位数按 ISO 4217 最小单位', () => {
+  assert.equal(query.formatMoney(1300.4, 'JPY'), 'JP¥1300');
+  assert.equal(query.formatMoney(1300.4, 'ISK'), '1300 ISK');
+  assert.equal(query.formatMoney(3.14159, 'KWD'), '3.142 KWD');
+  assert.equal(query.formatMoney(9.99, 'USD'), '$9.99');
+  assert.equal(query.formatMoney(9.99, 'XYZ'), '9.99 XYZ');
+});
+
+test('parseQuery: 分组、价格上限、topN、/tb 与对比', () => {
+  const parsed = query.parseQuery('2tb eu 亚洲 < ¥30 top 5 /tb');
+  assert.deepEqual(parsed.groups, ['eu', 'asia']);
+  assert.deepEqual(parsed.maxPrice, { value: 30, currency: 'CNY' });
+  assert.equal(parsed.top, 5);
+  assert.equal(parsed.perTB, true);
+
+  assert.deepEqual(query.parsePriceCap('<30'), { value: 30, currency: null });
+  assert.deepEqual(query.parsePriceCap('<hk$80'), { value: 80, currency: 'HKD' });
+  assert.deepEqual(query.parsePriceCap('<=2.5usd'), { value: 2.5, currency: 'USD' });
+  assert.equal(query.parsePriceCap('<abc'), null);
+
+  const compare = query.parseQuery('2tb us vs cn');
+  assert.equal(compare.compare, true);
+  assert.deepEqual(compare.regions, ['us', 'cn']);
+});
+
+test('executeQuery: 按所选口径的 CNY 价格排名', () => {
+  const result = query.executeQuery(DATA, '2tb');
+
+  assert.equal(result.type, 'results');
+  assert.equal(result.mode, 'ranking');
+  assert.equal(result.view.priceField, 'PriceInCNYInclTax');
+  assert.deepEqual(result.rows.map(r => [r.rank, r.iso]), [
+    [1, 'TR'], [2, 'CN'], [3, 'US'], [4, 'JP'], [5, 'DE'], [6, 'GB']
+  ]);
+  assert.equal(result.rows[0].displayStr, '¥67.45');
+  assert.equal(result.rows[0].localPriceStr, '379.99 TRY');
+});
+
+test('executeQuery: 单个地区显示全部套餐，显示货币不影响排名', () => {
+  const region = query.executeQuery(DATA, 'japan jpy');
+  assert.equal(region.mode, 'region');
+  assert.deepEqual(region.rows.map(r => r.displayStr), ['JP¥150', 'JP¥450', 'JP¥1500', 'JP¥4500', 'JP¥9000']);
+
+  const cny = query.executeQuery(DATA, '50gb excl');
+  const eur = query.executeQuery(DATA, '50gb excl', { currency: 'eur' });
+  assert.equal(eur.view.currency, 'EUR');
+  assert.deepEqual(eur.rows.map(r => r.iso), cny.rows.map(r => r.iso));
+});
+
+test('executeQuery: 多个地区与分组取并集，上限与 topN 截取排名', () => {
+  const multi = query.executeQuery(DATA, '2tb us jp');
+  assert.equal(multi.mode, 'ranking');
+  assert.deepEqual(multi.rows.map(r => r.iso), ['US', 'JP']);
+
+  const europe = query.executeQuery(DATA, '2tb europe cn');
+  assert.deepEqual(europe.rows.map(r => r.iso), ['TR', 'CN', 'DE', 'GB']);
+
+  // 上限未写货币时按显示货币比较
+  const capped = query.executeQuery(DATA, '2tb <10 usd');
+  assert.deepEqual(capped.rows.map(r => [r.rank, r.iso]), [[1, 'TR'], [2, 'CN'], [3, 'US'], [4, 'JP']]);
+  assert.deepEqual(query.executeQuery(DATA, '2tb <¥70 top1').rows.map(r => r.iso), ['TR']);
+});
+
+test('executeQuery: /tb 未指定套餐时对所有套餐按每 TB 价格排名', () => {
+  const result = query.executeQuery(DATA, '/tb top3');
+  assert.equal(result.plan, null);
+  assert.deepEqual(result.rows.map(r => `${r.iso} ${r.plan} ${r.displayStr}`), [
+    'CN 6TB ¥33.00/TB',
+    'CN 12TB ¥33.17/TB',
+    'TR 2TB ¥33.73/TB'
+  ]);
+  assert.equal(query.getPlanTB('200GB'), 0.2);
+});
+
+test('executeQuery: /tb 在口径与价值指标一致时读取数据中的每 TB 价格', () => {
+  const data = structuredClone(DATA);
+  const cn6 = data.regions.find(r => r.CountryISO === 'CN').Plans.find(p => p.Name === '6TB');
+  cn6.PricePerTBInCNY = 1;
+
+  const cnRow = result => result.rows.find(r => r.iso === 'CN');
+  assert.equal(cnRow(query.executeQuery(data, '6tb /tb')).displayStr, '¥1.00/TB');
+  // 其他口径按容量换算
+  const excl = cnRow(query.executeQuery(data, '6tb /tb 税前'));
+  assert.equal(excl.displayStr, `¥${(cn6.PriceInCNYExclTax / 6).toFixed(2)}/TB`);
+});
+
+test('executeQuery: 按升级成本排名并附带相对中位数的溢价', () => {
+  const result = query.executeQuery(DATA, 'upgrade top2');
+  assert.equal(result.plan, '2TB');
+  assert.deepEqual(result.rows.map(r => [r.iso, r.displayStr, r.upgradeStr, r.premiumStr]), [
+    ['TR', '¥24.66/TB', '200GB→2TB +¥44.38', '比中位数 -4.96%'],
+    ['CN', '¥26.11/TB', '200GB→2TB +¥47.00', '比中位数 -4.18%']
+  ]);
+
+  // 最低一档没有升级成本
+  assert.deepEqual(query.executeQuery(DATA, 'cn upgrade').rows.map(r => r.plan), ['200GB', '2TB', '6TB', '12TB']);
+
+  const legacy = { ...DATA, metrics: undefined };
+  assert.equal(query.executeQuery(legacy, '2tb upgrade').type, 'error');
+});
+
+test('executeQuery: 对比模式以第一个地区为基准计算差价', () => {
+  const result = query.executeQuery(DATA, '2tb us vs cn');
+  assert.equal(result.mode, 'compare');
+  assert.deepEqual(result.rows.map(r => [r.iso, r.diffStr]), [
+    ['US', '基准'],
+    ['CN', '-¥2.93 (-4.13%)']
+  ]);
+  assert.equal(query.executeQuery(DATA, 'us vs cn').rows.length, 10);
+  assert.equal(query.executeQuery(DATA, 'us vs atlantis').missing, 'atlantis');
+  assert.equal(query.executeQuery(DATA, 'us vs').type, 'error');
+});
+
+test('executeQuery: 套餐别名、未知档位与缺少最小档位时的默认档位', () => {
+  assert.equal(query.parseQuery('2t jp').plan, '2TB');
+  assert.equal(query.parseQuery('2000gb').plan, '2TB');
+
+  const alias = query.executeQuery(DATA, '2000gb top1');
+  assert.equal(alias.plan, '2TB');
+  assert.deepEqual(alias.rows.map(r => r.iso), ['TR']);
+
+  const unknown = query.executeQuery(DATA, '3tb');
+  assert.equal(unknown.type, 'error');
+  assert.match(unknown.message, /未知的套餐: 3TB \(可选: 50gb, 200gb, 2tb, 6tb, 12tb\)/);
+
+  // 没有 50GB 的数据默认按 200GB 排名，而不是全部排在末尾
+  const no50 = { ...DATA, regions: DATA.regions.map(r => ({ ...r, Plans: r.Plans.filter(p => p.Name !== '50GB') })) };
+  const ranking = query.executeQuery(no50, '');
+  assert.equal(ranking.plan, '200GB');
+  assert.equal(ranking.rows.length, DATA.regions.length);
+});
+
+test('executeQuery: 无数据与无匹配', () => {
+  assert.equal(query.executeQuery(null, '2tb').type, 'error');
+  assert.equal(query.executeQuery(DATA, 'atlantis').type, 'empty');
+  assert.equal(query.executeQuery(null, 'help').type, 'help');
+});
+
+test('executeQuery: 旧数据缺少含税/不含税价格与价值指标时给出提示', () => {
+  const legacy = {
+    lastUpdated: DATA.lastUpdated,
+    regions: DATA.regions.map(region => ({
+      ...region,
+      Plans: region.Plans.map(plan => ({ Name: plan.Name, Price: plan.Price, PriceInCNY: plan.PriceInCNY }))
+    }))
+  };
+
+  const result = query.executeQuery(legacy, '2tb excl');
+  assert.equal(result.view.priceField, 'PriceInCNY');
+  assert.deepEqual(result.notices, ['价格数据缺少不含税价格，按标价 (PriceInCNY) 计算，请重新运行 npm run fetch']);
+  assert.deepEqual(result.rows.map(r => r.cnyPrice), legacy.regions
+    .map(r => r.Plans.find(p => p.Name === '2TB').PriceInCNY)
+    .sort((a, b) => a - b));
+  assert.deepEqual(query.executeQuery(DATA, '2tb excl').notices, []);
+  assert.match(query.executeQuery(legacy, '2tb upgrade').message, /npm run migrate/);
+});
+
+test('CLI: 输出按显示宽度对齐的排名表', () => {
+  const { output, exitCode } = runCLI(['2tb', `--data=${DATA_PATH}`]);
+  const lines = output.split('\n');
+
+  assert.equal(exitCode, 0);
+  assert.match(lines[2], /^1 {2}🇹🇷 Türkiye +2TB +379\.99 TRY +¥67\.45 +-4\.96%$/);
+  // 含国旗与中文的表头按两列宽度计算，各行价格列右对齐
+  const widths = lines.slice(2, 8).map(displayWidth);
+  assert.equal(new Set(widths).size, 1);
+
+  assert.equal(runCLI(['atlantis', `--data=${DATA_PATH}`]).exitCode, 1);
+  assert.equal(JSON.parse(runCLI(['us', '--json', `--data=${DATA_PATH}`]).output).mode, 'region');
+});
+
+test('CLI: 数据缺少汇率时表头与提示使用实际显示的 CNY', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-no-rates-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataPath = path.join(dir, 'prices.json');
+  const { exchangeRates, ...withoutRates } = DATA;
+  withoutRates.regions = DATA.regions.map(region => ({
+    ...region,
+    Plans: region.Plans.map(({ PriceIn, PriceInInclTax, PriceInExclTax, ...plan }) => plan)
+  }));
+  fs.writeFileSync(dataPath, JSON.stringify(withoutRates));
+
+  const { output, exitCode } = runCLI(['2tb', 'usd', 'top2', `--data=${dataPath}`]);
+  assert.equal(exitCode, 0);
+  const lines = output.split('\n');
+  assert.match(lines[0], /\bCNY\b/);
+  assert.doesNotMatch(lines[0], /USD/);
+  assert.match(lines[2], /¥/);
+  assert.match(output, /⚠️ 价格数据缺少 USD 汇率，部分价格以 CNY 显示/);
+
+  const plan = runCLI(['plan', '3tb', 'usd', 'top1', `--data=${dataPath}`]);
+  assert.match(plan.output, /⚠️ 价格数据缺少 USD 汇率，以 CNY 显示/);
+
+  // 有汇率时表头为显示货币，没有提示
+  const normal = runCLI(['2tb', 'usd', 'top2', `--data=${DATA_PATH}`]).output;
+  assert.match(normal.split('\n')[0], /\bUSD\b/);
+  assert.doesNotMatch(normal, /汇率/);
+});
+
+test('executeQuery / CLI: 标出未在最近一次抓取中更新的地区', (t) => {
+  const data = JSON.parse(JSON.stringify(DATA));
+  Object.assign(data.regions.find(r => r.CountryISO === 'JP'), { Source: 'carried-over', PriceObservedAt: '2026-09-01T00:00:00.000Z' });
+  data.regions.forEach(r => { r.Source = r.Source || 'scraped'; });
+
+  const rows = query.executeQuery(data, '2tb').rows;
+  const jp = rows.find(row => row.iso === 'JP');
+  assert.equal(jp.stale, true);
+  assert.equal(jp.staleStr, '⚠️ 沿用旧数据 (2026-09-01)');
+  assert.ok(rows.filter(row => row.iso !== 'JP').every(row => !row.stale && row.staleStr === null));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-stale-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataPath = path.join(dir, 'prices.json');
+  fs.writeFileSync(dataPath, JSON.stringify(data));
+
+  const { output } = runCLI(['2tb', `--data=${dataPath}`]);
+  assert.match(output, /🇯🇵 Japan \*/);
+  assert.match(output, /Japan ⚠️ 沿用旧数据 \(2026-09-01\)/);
+  assert.doesNotMatch(output, /Türkiye \*/);
+});
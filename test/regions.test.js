@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { REGION_ALIASES, searchRegions, scoreRegion, resolveRegionISO, editDistance } = require('../lib/regions');
+const { REGION_GROUPS, parseQuery } = require('../lib/query');
+const registry = require('../lib/registry');
+
+function region(CountryISO, Country, Currency) {
+  return { CountryISO, Country, Currency, Plans: [] };
+}
+
+const REGIONS = [
+  region('US', 'United States', 'USD'),
+  region('GB', 'United Kingdom', 'GBP'),
+  region('AE', 'United Arab Emirates', 'AED'),
+  region('KR', 'Republic of Korea', 'KRW'),
+  region('HK', 'Hong Kong', 'HKD'),
+  region('TR', 'Türkiye', 'TRY'),
+  region('AU', 'Australia', 'AUD'),
+  region('AT', 'Austria', 'EUR'),
+  region('ZA', 'South Africa', 'ZAR'),
+  // 按美元计价的地区曾被误标为 US
+  region('US', 'Bahamas', 'USD')
+];
+
+const names = list => list.map(r => r.Country);
+
+test('searchRegions: 中文名、拼音、alpha-3 与货币代码', () => {
+  assert.deepEqual(names(searchRegions(REGIONS, '香港')), ['Hong Kong']);
+  assert.deepEqual(names(searchRegions(REGIONS, '土耳其')), ['Türkiye']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'xianggang')), ['Hong Kong']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'kor')), ['Republic of Korea']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'zar')), ['South Africa']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'turkey')), ['Türkiye']);
+});
+
+test('searchRegions: 别名与完全匹配优先', () => {
+  assert.deepEqual(names(searchRegions(REGIONS, 'uk')), ['United Kingdom']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'korea')), ['Republic of Korea']);
+  // 数据中的 CountryISO 错误时以名称为准
+  assert.deepEqual(names(searchRegions(REGIONS, 'us')), ['United States']);
+  assert.equal(resolveRegionISO(REGIONS[9]), 'BS');
+  // 部分名称匹配多个地区，按得分与原有顺序排列
+  assert.deepEqual(names(searchRegions(REGIONS, 'united')), ['United States', 'United Kingdom', 'United Arab Emirates']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'aust')), ['Australia', 'Austria']);
+});
+
+test('searchRegions: 拼写错误只在没有其他匹配时使用', () => {
+  assert.deepEqual(names(searchRegions(REGIONS, 'austrailia')), ['Australia']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'hnog kong')), ['Hong Kong']);
+  assert.deepEqual(searchRegions(REGIONS, 'atlantis'), []);
+  assert.equal(scoreRegion(REGIONS[0], 'xy'), 0);
+  assert.equal(editDistance('austria', 'austira'), 1);
+});
+
+test('parseQuery: 多个单词组成的地区名称合并为一个关键词', () => {
+  assert.deepEqual(parseQuery('2tb south africa vs hong kong').regions, ['south africa', 'hong kong']);
+  assert.deepEqual(parseQuery('new zealand jp').regions, ['new zealand', 'jp']);
+});
+
+test('REGION_GROUPS: 由注册表的大洲与分组生成，已发布数据中的地区都属于某个分组', () => {
+  assert.ok(REGION_GROUPS.europe.includes('TR'));
+  assert.ok(REGION_GROUPS.europe.includes('XK'));
+  assert.ok(!REGION_GROUPS.asia.includes('TR'));
+  assert.ok(!REGION_GROUPS.asia.includes('AE'));
+  assert.ok(REGION_GROUPS.latam.includes('MX'));
+  assert.ok(!REGION_GROUPS.latam.includes('US'));
+  assert.deepEqual(REGION_GROUPS.africa, registry.countriesIn('AF'));
+
+  const data = require('../data/prices.json');
+  const grouped = new Set([].concat(...Object.values(REGION_GROUPS)));
+  assert.deepEqual(data.regions.map(r => r.CountryISO).filter(iso => !grouped.has(iso)), []);
+});
+
+test('REGION_ALIASES 与地区分组只使用注册表中的 alpha-2 代码', () => {
+  const unknown = Object.keys(REGION_ALIASES)
+    .concat(...Object.values(REGION_GROUPS))
+    .filter(iso => !registry.getCountry(iso));
+  assert.deepEqual(unknown, []);
+  // 英文名称与 alpha-3 取自注册表
+  assert.deepEqual(names(searchRegions(REGIONS, 'deutschland')), []);
+  assert.deepEqual(names(searchRegions([region('DE', 'Germany', 'EUR')], 'deutschland')), ['Germany']);
+  assert.deepEqual(names(searchRegions(REGIONS, 'are')), ['United Arab Emirates']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const registry = require('../lib/registry');
+const history = require('../lib/history');
+
+test('COUNTRIES: 覆盖全部 ISO 3166-1 国家 (另含科索沃)，代码唯一且货币均为 ISO 4217 代码', () => {
+  const countries = Object.values(registry.COUNTRIES);
+  assert.equal(countries.length, 250);
+  assert.equal(new Set(countries.map(c => c.alpha3)).size, 250);
+  // 科索沃使用用户自定义代码，没有数字代码
+  const numbered = countries.filter(c => c.numeric !== null);
+  assert.equal(numbered.length, 249);
+  assert.equal(new Set(numbered.map(c => c.numeric)).size, 249);
+  countries.forEach(country => {
+    assert.match(country.alpha2, /^[A-Z]{2}$/);
+    assert.ok(registry.CONTINENTS[country.continent], `${country.alpha2} 的大洲未知`);
+    if (country.currency) assert.ok(registry.CURRENCY_CODES.includes(country.currency), country.currency);
+  });
+  assert.equal(registry.getCountry('tz').currency, 'TZS');
+  assert.equal(registry.getCountry('EU'), null);
+  assert.ok(registry.countriesIn('OC').includes('NZ'));
+});
+
+test('resolveCountry: 英文名称、别名与常见变体解析为 alpha-2，无法识别时返回 null', () => {
+  assert.equal(registry.resolveCountry('Tanzania'), 'TZ');
+  assert.equal(registry.resolveCountry('Moldova'), 'MD');
+  assert.equal(registry.resolveCountry('Zambia'), 'ZM');
+  assert.equal(registry.resolveCountry('St. Kitts & Nevis'), 'KN');
+  assert.equal(registry.resolveCountry('Ivory Coast'), 'CI');
+  assert.equal(registry.resolveCountry('Côte d’Ivoire'), 'CI');
+  assert.equal(registry.resolveCountry('Republic of Congo'), 'CG');
+  assert.equal(registry.resolveCountry('the Bahamas'), 'BS');
+  assert.equal(registry.resolveCountry('Bahamas, The'), 'BS');
+  assert.equal(registry.resolveCountry('Gambia, The'), 'GM');
+  assert.equal(registry.resolveCountry('Congo, Democratic Republic of'), 'CD');
+  assert.equal(registry.resolveCountry('Kosovo'), 'XK');
+  assert.equal(registry.resolveCountry('DEU'), 'DE');
+  assert.equal(registry.resolveCountry('Atlantis'), null);
+  assert.equal(registry.resolveCountry(''), null);
+});
+
+test('resolveCountry: 已发布的价格数据中的国家名称都能解析', () => {
+  const data = require(path.join(__dirname, '..', 'data', 'prices.json'));
+  const unresolved = data.regions
+    .map(region => history.regionName(region))
+    .filter(name => !registry.resolveCountry(name));
+  assert.deepEqual(unresolved, []);
+});
+
+test('getMinorUnits: 按 ISO 4217 返回最小单位位数', () => {
+  assert.equal(registry.getMinorUnits('JPY'), 0);
+  assert.equal(registry.getMinorUnits('KWD'), 3);
+  assert.equal(registry.getMinorUnits('USD'), 2);
+  assert.equal(registry.getMinorUnits('EU'), null);
+});
+
+test('GROUPINGS: 只使用注册表中的 alpha-2 代码', () => {
+  Object.entries(registry.GROUPINGS).forEach(([name, members]) => {
+    const unknown = members.filter(iso => !registry.getCountry(iso));
+    assert.deepEqual(unknown, [], name);
+  });
+  assert.equal(registry.GROUPINGS.EU.length, 27);
+});
+
+test('COUNTRIES: 每个国家都有用于地图定位的近似地理中心', () => {
+  const invalid = Object.values(registry.COUNTRIES).filter(({ centroid }) =>
+    !centroid || Math.abs(centroid[0]) > 90 || Math.abs(centroid[1]) > 180);
+  assert.deepEqual(invalid.map(c => c.alpha2), []);
+  assert.deepEqual(registry.getCountry('CG').centroid, [-1, 15]);
+  assert.deepEqual(registry.getCountry('XK').centroid, [43, 21]);
+});
@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  escapeHTML,
+  buildPriceSeries,
+  renderSparkline,
+  renderRankingChart,
+  renderHeatMap,
+  buildReport,
+  writeReport
+} = require('../lib/report');
+const history = require('../lib/history');
+
+const DATA = require('./fixtures/prices.json');
+
+/**
+ * 生成一份较早的快照: 土耳其 2TB 价格较低
+ */
+function olderSnapshot() {
+  const data = JSON.parse(JSON.stringify(DATA));
+  data.lastUpdated = '2026-09-01T00:00:00.000Z';
+  const plan = data.regions.find(r => r.CountryISO === 'TR').Plans.find(p => p.Name === '2TB');
+  plan.PriceInCNYInclTax = 50;
+  return { date: '2026-09-01', data };
+}
+
+test('renderRankingChart: 按所选口径从低到高排列', () => {
+  const svg = renderRankingChart(DATA, '2TB', 'PriceInCNYInclTax');
+  const labels = [...svg.matchAll(/<text x="0" y="\d+">(\d+)\. \S+ ([^<]+)<\/text>/g)].map(m => m[2]);
+
+  assert.deepEqual(labels, ['Türkiye', 'China mainland', 'United States', 'Japan', 'Germany', 'United Kingdom']);
+  assert.match(svg, /¥67\.45/);
+  assert.equal(renderRankingChart(DATA, '99TB', 'PriceInCNY'), '');
+});
+
+test('renderHeatMap: 地区按地理位置放置在陆地轮廓上并按价格着色', () => {
+  const svg = renderHeatMap(DATA, '2TB', 'PriceInCNYInclTax');
+  const markers = [...svg.matchAll(/<circle class="marker" data-iso="(\w+)" cx="([\d.]+)" cy="([\d.]+)"[^>]*fill="([^"]+)"/g)];
+
+  assert.equal(markers.length, 6);
+  const colors = Object.fromEntries(markers.map(m => [m[1], m[4]]));
+  assert.equal(colors.TR, 'hsl(120, 65%, 45%)');
+  assert.equal(colors.GB, 'hsl(0, 65%, 45%)');
+  // 美国在中国以西、日本在中国以东
+  const x = Object.fromEntries(markers.map(m => [m[1], Number(m[2])]));
+  assert.ok(x.US < x.GB && x.GB < x.CN && x.CN < x.JP);
+  assert.match(svg, /<path class="land" d="M/);
+  assert.doesNotMatch(svg, /未在地图上标出/);
+});
+
+test('renderHeatMap: 已发布数据中的每个地区都有地图位置', () => {
+  const data = require('../data/prices.json');
+  const planName = data.regions[0].Plans[data.regions[0].Plans.length - 1].Name;
+  const svg = renderHeatMap(data, planName, 'PriceInCNY');
+  const placed = new Set([...svg.matchAll(/data-iso="(\w+)"/g)].map(m => m[1]));
+  const offered = data.regions.filter(r => r.Plans.some(p => p.Name === planName)).map(r => r.CountryISO);
+
+  assert.deepEqual(offered.filter(iso => !placed.has(iso)), []);
+  assert.doesNotMatch(svg, /未在地图上标出/);
+});
+
+test('buildPriceSeries: 快照与当前数据组成走势，迷你图至少需要两个点', () => {
+  const series = buildPriceSeries([olderSnapshot()], DATA, 'PriceInCNYInclTax');
+  assert.deepEqual(series.get('TR|2TB'), [
+    { date: '2026-09-01', value: 50 },
+    { date: '2026-10-19', value: 67.45 }
+  ]);
+
+  const sparkline = renderSparkline(series.get('TR|2TB'));
+  assert.match(sparkline, /<polyline/);
+  assert.match(sparkline, /stroke="#c62828"/);
+  assert.equal(renderSparkline(buildPriceSeries([], DATA, 'PriceInCNY').get('TR|2TB')), '');
+});
+
+test('buildReport: 生成自包含页面', () => {
+  const html = buildReport(DATA, { snapshots: [olderSnapshot()] });
+
+  assert.match(html, /^<!DOCTYPE html>/);
+  assert.doesNotMatch(html, /<(?:script|link|img)[^>]+(?:src|href)=/);
+  assert.equal((html.match(/<tr>/g) || []).length, 1 + DATA.regions.length);
+  assert.equal((html.match(/<details/g) || []).length, 5);
+  assert.match(html, /2TB 价格热力图/);
+  assert.match(html, /历史快照 1 份/);
+  assert.match(html, /class="sparkline"/);
+  assert.equal(escapeHTML('<a & "b">'), '&lt;a &amp; &quot;b&quot;&gt;');
+});
+
+test('writeReport: 写入页面与数据副本，并读取历史快照目录', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-report-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const historyDir = path.join(dir, 'history');
+  history.saveSnapshot(olderSnapshot().data, historyDir);
+  fs.writeFileSync(path.join(historyDir, 'notes.txt'), '');
+  const snapshots = history.loadSnapshots(historyDir);
+  assert.deepEqual(snapshots.map(s => s.date), ['2026-09-01']);
+  assert.deepEqual(history.loadSnapshots(path.join(dir, 'missing')), []);
+
+  const files = writeReport(path.join(dir, 'site'), DATA, { snapshots, mapPlan: '50GB' });
+  assert.deepEqual(files.map(file => path.basename(file)), ['index.html', 'prices.json']);
+  assert.match(fs.readFileSync(files[0], 'utf8'), /50GB 价格热力图/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(files[1], 'utf8')).regions.length, DATA.regions.length);
+});
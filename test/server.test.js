@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer } = require('../lib/server');
+const history = require('../lib/history');
+
+const DATA_PATH = path.join(__dirname, 'fixtures/prices.json');
+
+/**
+ * 在随机端口启动服务器，测试结束时关闭
+ */
+async function startServer(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'icloud-server-'));
+  const historyDir = path.join(dir, 'history');
+  const older = JSON.parse(fs.readFileSync(DATA_PATH, 'utf8'));
+  older.lastUpdated = '2026-09-01T00:00:00.000Z';
+  older.regions.find(r => r.CountryISO === 'JP').Plans.find(p => p.Name === '2TB').Price = 1300;
+  history.saveSnapshot(older, historyDir);
+
+  const server = createServer({ dataPath: DATA_PATH, historyDir, ...options });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('server: 地区列表与单个地区', async (t) => {
+  const base = await startServer(t);
+
+  const list = await (await fetch(`${base}/regions?q=jp,tr`)).json();
+  assert.deepEqual(list.regions.map(r => r.CountryISO), ['JP', 'TR']);
+  assert.deepEqual(list.regions[0].Plans, ['50GB', '200GB', '2TB', '6TB', '12TB']);
+
+  const eu = await (await fetch(`${base}/regions?group=eu`)).json();
+  assert.deepEqual(eu.regions.map(r => r.CountryISO), ['DE']);
+
+  const japan = await (await fetch(`${base}/regions/%E6%97%A5%E6%9C%AC`)).json();
+  assert.equal(japan.Country, 'Japan');
+
+  const missing = await fetch(`${base}/regions/atlantis`);
+  assert.equal(missing.status, 404);
+  assert.match((await missing.json()).error, /atlantis/);
+  assert.equal((await fetch(`${base}/regions?group=mars`)).status, 400);
+
+  const malformed = await fetch(`${base}/regions/%E0%A4%A`);
+  assert.equal(malformed.status, 400);
+  assert.match((await malformed.json()).error, /无效的路径编码: %E0%A4%A/);
+});
+
+test('server: 套餐排名支持货币、数量、口径与地区过滤', async (t) => {
+  const base = await startServer(t);
+
+  const ranking = await (await fetch(`${base}/plans/2tb/ranking?currency=USD&limit=3`)).json();
+  assert.equal(ranking.plan, '2TB');
+  assert.equal(ranking.currency, 'USD');
+  assert.equal(ranking.basis, 'PriceInCNYInclTax');
+  assert.deepEqual(ranking.ranking.map(r => [r.rank, r.CountryISO]), [[1, 'TR'], [2, 'CN'], [3, 'US']]);
+  assert.equal(ranking.ranking[2].DisplayPrice, 9.99);
+
+  // 只剩一个地区时仍返回排名
+  const single = await (await fetch(`${base}/plans/2TB/ranking?region=jp`)).json();
+  assert.deepEqual(single.ranking.map(r => [r.rank, r.CountryISO, r.Price]), [[1, 'JP', 1500]]);
+
+  const capped = await (await fetch(`${base}/plans/2tb/ranking?max=%C2%A570`)).json();
+  assert.deepEqual(capped.ranking.map(r => r.CountryISO), ['TR', 'CN']);
+
+  const alias = await (await fetch(`${base}/plans/2000gb/ranking?limit=1`)).json();
+  assert.deepEqual([alias.plan, alias.ranking[0].CountryISO], ['2TB', 'TR']);
+
+  assert.equal((await fetch(`${base}/plans/3tb/ranking`)).status, 404);
+  assert.equal((await fetch(`${base}/plans/2tb/ranking?limit=0`)).status, 400);
+  assert.equal((await fetch(`${base}/plans/2tb/ranking?currency=XYZ`)).status, 400);
+  assert.equal((await fetch(`${base}/plans/2tb/ranking?region=atlantis`)).status, 404);
+});
+
+test('server: 历史价格由快照与当前数据组成', async (t) => {
+  const base = await startServer(t);
+
+  const result = await (await fetch(`${base}/history/jp/2tb`)).json();
+  assert.equal(result.Country, 'Japan');
+  assert.deepEqual(result.history.map(p => [p.date, p.Price, p.Currency]), [
+    ['2026-09-01', 1300, 'JPY'],
+    ['2026-10-19', 1500, 'JPY']
+  ]);
+});
+
+test('server: ETag、Last-Modified 与 CORS', async (t) => {
+  const base = await startServer(t, { corsOrigin: 'https://tools.example' });
+
+  const first = await fetch(`${base}/prices`);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get('access-control-allow-origin'), 'https://tools.example');
+  assert.match(first.headers.get('content-type'), /^application\/json/);
+  const etag = first.headers.get('etag');
+  const lastModified = first.headers.get('last-modified');
+  assert.match(etag, /^W\/".+"$/);
+  assert.equal((await first.json()).regions.length, 6);
+
+  const byTag = await fetch(`${base}/prices`, { headers: { 'If-None-Match': etag } });
+  assert.equal(byTag.status, 304);
+  assert.equal(byTag.headers.get('etag'), etag);
+
+  const byDate = await fetch(`${base}/prices`, { headers: { 'If-Modified-Since': lastModified } });
+  assert.equal(byDate.status, 304);
+
+  // 不同资源的 ETag 不同
+  const other = await fetch(`${base}/regions`, { headers: { 'If-None-Match': etag } });
+  assert.equal(other.status, 200);
+
+  const preflight = await fetch(`${base}/prices`, { method: 'OPTIONS' });
+  assert.equal(preflight.status, 204);
+  assert.match(preflight.headers.get('access-control-allow-methods'), /GET/);
+
+  assert.equal((await fetch(`${base}/prices`, { method: 'POST' })).status, 405);
+  assert.equal((await fetch(`${base}/unknown`)).status, 404);
+});
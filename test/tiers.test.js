@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const tiers = require('../lib/tiers');
+
+test('parseTier: 各种容量写法规范化为档位 ID 与字节数', () => {
+  assert.deepEqual(tiers.parseTier('50 GB'), { id: '50GB', bytes: 50e9 });
+  assert.deepEqual(tiers.parseTier('2t'), { id: '2TB', bytes: 2e12 });
+  assert.deepEqual(tiers.parseTier('2000gb'), { id: '2TB', bytes: 2e12 });
+  assert.deepEqual(tiers.parseTier('2,000 GB'), { id: '2TB', bytes: 2e12 });
+  assert.deepEqual(tiers.parseTier('1,5 TB'), { id: '1500GB', bytes: 1.5e12 });
+  assert.deepEqual(tiers.parseTier('12TB'), { id: '12TB', bytes: 12e12 });
+  assert.equal(tiers.parseTier('0gb'), null);
+  assert.equal(tiers.parseTier('2tbs'), null);
+  assert.equal(tiers.parseTier(undefined), null);
+  assert.equal(tiers.tierBytes('200GB'), 200e9);
+});
+
+test('buildTierCatalog: 统计各档位的地区数量并选出默认排名档位', () => {
+  const regions = [
+    { Plans: [{ Name: '200GB' }, { Name: '2TB' }, { Name: '6TB' }] },
+    { Plans: [{ Name: '50GB' }, { Name: '200GB' }, { Name: '2TB' }] },
+    { Plans: [{ Name: '200GB' }, { Name: '2TB' }, { Name: 'Family' }] }
+  ];
+  const catalog = tiers.buildTierCatalog(regions);
+  assert.deepEqual(catalog.map(t => [t.id, t.regionCount]), [['50GB', 1], ['200GB', 3], ['2TB', 3], ['6TB', 1]]);
+
+  // 提供的地区最多的档位中容量最小的一个
+  assert.equal(tiers.defaultTier(catalog), '200GB');
+  assert.equal(tiers.defaultTier([]), null);
+
+  assert.equal(tiers.findTier(catalog, '2000 gb').id, '2TB');
+  assert.equal(tiers.findTier(catalog, '12tb'), null);
+
+  // 已写入档位目录时直接使用
+  assert.equal(tiers.getTierCatalog({ tiers: catalog.slice(0, 1), regions }).length, 1);
+  assert.equal(tiers.getTierCatalog({ regions }).length, 4);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkSchema, checkSanity, validatePriceData } = require('../lib/validate');
+
+const PLAN_PRICES = [
+  ['50GB', 0.99, 7.03],
+  ['200GB', 2.99, 21.23],
+  ['2TB', 9.99, 70.93],
+  ['6TB', 29.99, 212.93],
+  ['12TB', 59.99, 425.93]
+];
+
+function region(country, overrides = {}) {
+  return {
+    CountryISO: 'US',
+    Country: country,
+    Currency: 'USD',
+    Plans: PLAN_PRICES.map(([Name, Price, PriceInCNY]) => ({ Name, Price, PriceInCNY })),
+    ...overrides
+  };
+}
+
+function priceData(regions) {
+  return {
+    lastUpdated: '2026-10-19T00:00:00.000Z',
+    source: 'Apple Support + ExchangeRate-API',
+    regions
+  };
+}
+
+test('checkSchema: 合法数据通过校验', () => {
+  assert.deepEqual(checkSchema(priceData([region('United States')])), []);
+});
+
+test('checkSchema: 国家名称带脚注编号时报错', () => {
+  const errors = checkSchema(priceData([region('Russia3')]));
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /\/regions\/0\/Country/);
+});
+
+test('checkSanity: 缺少常见档位与价格不递增', () => {
+  const broken = region('United States');
+  broken.Plans = broken.Plans.filter(p => p.Name !== '12TB');
+  broken.Plans[2] = { ...broken.Plans[2], Price: 2.99 };
+  const others = Array.from({ length: 9 }, (_, i) => region(`Region ${String.fromCharCode(65 + i)}`));
+
+  assert.deepEqual(checkSanity(priceData([broken, ...others]), null), [
+    'United States (USD): 缺少套餐 12TB',
+    'United States (USD): 2TB 价格 2.99 不高于 200GB 价格 2.99'
+  ]);
+
+  // 只有少数地区提供的档位不是必需的
+  const withExtra = others.map((r, i) => (i < 2 ? { ...r, Plans: [...r.Plans, { Name: '24TB', Price: 119.99, PriceInCNY: 851.86 }] } : r));
+  assert.deepEqual(checkSanity(priceData(withExtra), null), []);
+});
+
+test('checkSanity: 套餐需出现在档位目录中', () => {
+  const data = priceData([region('United States')]);
+  data.tiers = [{ id: '50GB', bytes: 5e10, regionCount: 1 }, { id: '200GB', bytes: 2e11, regionCount: 1 }];
+
+  assert.deepEqual(checkSanity(data, null), ['United States (USD): 档位目录中没有套餐 2TB, 6TB, 12TB']);
+});
+
+test('checkSanity: CNY 价格超出合理区间', () => {
+  const broken = region('United States');
+  broken.Plans[0] = { ...broken.Plans[0], PriceInCNY: 99 };
+
+  assert.deepEqual(checkSanity(priceData([broken]), null), [
+    'United States (USD): 50GB 价格 ¥99 超出合理区间 ¥1-¥40'
+  ]);
+
+  // 含税与税前价格同样检查
+  const taxed = region('United States');
+  taxed.Plans = taxed.Plans.map(plan => ({ ...plan, PriceInCNYInclTax: plan.PriceInCNY * 1.1, PriceInCNYExclTax: plan.PriceInCNY }));
+  taxed.Plans[4] = { ...taxed.Plans[4], PriceInCNYInclTax: 2500, PriceInCNYExclTax: 0 };
+  assert.deepEqual(checkSanity(priceData([taxed]), null), [
+    'United States (USD): 12TB 含税价格 ¥2500 超出合理区间 ¥60-¥2400',
+    'United States (USD): 12TB 税前价格 ¥0 超出合理区间 ¥60-¥2400'
+  ]);
+});
+
+test('checkSanity: 必需档位取自上一次校验通过的数据', () => {
+  const previous = priceData(Array.from({ length: 10 }, (_, i) => region(`Region ${String.fromCharCode(65 + i)}`)));
+  // 本次抓取有 3 个地区丢失 12TB，按本次数据统计 12TB 已不是常见档位
+  const current = priceData(previous.regions.map((r, i) => (i < 3 ? { ...r, Plans: r.Plans.slice(0, 4) } : r)));
+
+  assert.deepEqual(checkSanity(current, null), []);
+  assert.deepEqual(checkSanity(current, previous), [
+    'Region A (USD): 缺少套餐 12TB',
+    'Region B (USD): 缺少套餐 12TB',
+    'Region C (USD): 缺少套餐 12TB'
+  ]);
+});
+
+test('checkSanity: 地区数量大幅下降', () => {
+  const previous = priceData(Array.from({ length: 70 }, (_, i) => region(`Region ${String.fromCharCode(65 + i % 26)}`)));
+  const current = priceData(previous.regions.slice(0, 12));
+
+  assert.deepEqual(checkSanity(current, previous), ['地区数量从 70 降到 12，低于下限 56']);
+  assert.deepEqual(checkSanity(priceData(previous.regions.slice(0, 60)), previous), []);
+});
+
+test('validatePriceData: Schema 失败时不再做合理性检查', () => {
+  const errors = validatePriceData({ regions: [] }, null);
+  assert.ok(errors.length > 0);
+  assert.ok(errors.every(err => err.startsWith('schema:')));
+});
+
+test('随仓库发布的 data/prices.json 通过校验', () => {
+  const data = require('../data/prices.json');
+  assert.deepEqual(validatePriceData(data, null), []);
+});